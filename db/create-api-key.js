@@ -0,0 +1,22 @@
+// Crea una clave de la API externa para un marketer desde la línea de comandos.
+// Uso: node db/create-api-key.js <marketer> ["Descripción"]
+import pool from './pool.js';
+import { createApiKey } from '../lib/marketer-api.js';
+
+const [marketer, label] = process.argv.slice(2);
+
+if (!marketer) {
+    console.error('Uso: node db/create-api-key.js <marketer> ["Descripción"]');
+    process.exit(1);
+}
+
+createApiKey(pool, { marketer, label }, null)
+    .then((key) => {
+        console.log(`Clave de API para ${key.marketer} (no se volverá a mostrar):\n${key.apiKey}`);
+        return pool.end();
+    })
+    .catch(async (error) => {
+        console.error(error.message);
+        await pool.end();
+        process.exit(1);
+    });
@@ -0,0 +1,22 @@
+// Crea un usuario desde la línea de comandos.
+// Uso: node db/create-user.js <usuario> <contraseña> <rol[,rol...]> ["Nombre visible"]
+import pool from './pool.js';
+import { createUser, VALID_ROLES } from '../lib/auth.js';
+
+const [username, password, rolesArg, displayName] = process.argv.slice(2);
+
+if (!username || !password || !rolesArg) {
+    console.error(`Uso: node db/create-user.js <usuario> <contraseña> <rol[,rol...]> ["Nombre visible"]\nRoles: ${VALID_ROLES.join(', ')}`);
+    process.exit(1);
+}
+
+createUser(pool, { username, password, displayName, roles: rolesArg.split(',').map(r => r.trim()).filter(Boolean) })
+    .then((user) => {
+        console.log(`Usuario "${user.username}" creado con roles: ${user.roles.join(', ')}.`);
+        return pool.end();
+    })
+    .catch(async (error) => {
+        console.error(error.code === '23505' ? `El usuario "${username}" ya existe.` : error.message);
+        await pool.end();
+        process.exit(1);
+    });
@@ -0,0 +1,108 @@
+// Importa el estado de la versión anterior (archivos JSON en la raíz del repo) a Postgres.
+// Nunca sobrescribe datos existentes: cada fila que ya está en la base se deja como está.
+import fs from 'fs/promises';
+import path from 'path';
+import pool from './pool.js';
+import { resolveTagForLine } from '../lib/tags.js';
+
+// Los archivos legados pueden estar vacíos (0 bytes) o no existir.
+const readJsonFile = async (filePath) => {
+    try {
+        const raw = await fs.readFile(filePath, 'utf8');
+        return raw.trim() ? JSON.parse(raw) : {};
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw new Error(`No se pudo leer ${path.basename(filePath)}: ${error.message}`);
+    }
+};
+
+// state.json agrupaba todo; los archivos sueltos son posteriores y tienen precedencia.
+export const readLegacyState = async (baseDir) => {
+    const [stateFile, lines, loads, priorities] = await Promise.all([
+        readJsonFile(path.join(baseDir, 'state.json')),
+        readJsonFile(path.join(baseDir, 'lines.json')),
+        readJsonFile(path.join(baseDir, 'loads.json')),
+        readJsonFile(path.join(baseDir, 'priorities.json'))
+    ]);
+    return {
+        lines: { ...(stateFile.lines || {}), ...lines },
+        loads: { ...(stateFile.loads || {}), ...loads },
+        priorities: { ...(stateFile.priorities || {}), ...priorities }
+    };
+};
+
+// "1452-17" -> { orderId: 1452, standardId: '17' }
+const parseLineKey = (key) => {
+    const separator = key.indexOf('-');
+    if (separator <= 0) return null;
+    const orderId = parseInt(key.slice(0, separator), 10);
+    const standardId = key.slice(separator + 1);
+    return isNaN(orderId) || !standardId ? null : { orderId, standardId };
+};
+
+// "LINE 2" -> 2
+const parseOutfeedId = (lineName) => {
+    const match = /(\d+)\s*$/.exec(String(lineName));
+    return match ? parseInt(match[1], 10) : null;
+};
+
+export const importLegacyFiles = async (baseDir) => {
+    const legacy = await readLegacyState(baseDir);
+    const summary = { loads: 0, priorities: 0, queueItems: 0, skipped: [] };
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // Los archivos son de cuando había una sola planta: todo va a la planta por defecto.
+        const facilityRes = await client.query('SELECT id FROM facilities WHERE is_default');
+        const facilityId = facilityRes.rows[0].id;
+
+        for (const [orderId, loadName] of Object.entries(legacy.loads)) {
+            if (!loadName) continue;
+            const result = await client.query('INSERT INTO loads (order_id, load_name, facility_id) VALUES ($1, $2, $3) ON CONFLICT (order_id) DO NOTHING', [orderId, loadName, facilityId]);
+            summary.loads += result.rowCount;
+        }
+
+        for (const [loadName, priorityOrder] of Object.entries(legacy.priorities)) {
+            const result = await client.query('INSERT INTO load_priorities (load_name, priority_order, facility_id) VALUES ($1, $2, $3) ON CONFLICT (load_name) DO NOTHING', [loadName, priorityOrder, facilityId]);
+            summary.priorities += result.rowCount;
+        }
+
+        for (const [lineKey, lineName] of Object.entries(legacy.lines)) {
+            const line = parseLineKey(lineKey);
+            const outfeedId = parseOutfeedId(lineName);
+            if (!line || !outfeedId) {
+                summary.skipped.push(`${lineKey}: formato no reconocido ("${lineName}")`);
+                continue;
+            }
+            const loadRes = await client.query('SELECT load_name FROM loads WHERE order_id = $1', [line.orderId]);
+            if (loadRes.rows.length === 0) {
+                summary.skipped.push(`${lineKey}: la orden no tiene un Load asignado`);
+                continue;
+            }
+
+            await client.query('INSERT INTO outfeeds (id, facility_id) VALUES ($1, $2) ON CONFLICT (id) DO NOTHING', [outfeedId, facilityId]);
+            await client.query("INSERT INTO outfeed_status (outfeed_id, status) VALUES ($1, 'PAUSED') ON CONFLICT (outfeed_id) DO NOTHING", [outfeedId]);
+
+            const tag = await resolveTagForLine(client, line.orderId, line.standardId, loadRes.rows[0].load_name);
+            const result = await client.query(
+                `INSERT INTO outfeed_queue (outfeed_id, tag, order_id, standard_id, sequence)
+                 SELECT $1, $2, $3, $4, COALESCE(MAX(sequence), 0) + 1 FROM outfeed_queue WHERE outfeed_id = $1
+                 ON CONFLICT DO NOTHING`,
+                [outfeedId, tag, line.orderId, line.standardId]
+            );
+            summary.queueItems += result.rowCount;
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    console.log(`Importación legada: ${summary.loads} loads, ${summary.priorities} prioridades, ${summary.queueItems} líneas en cola.`);
+    summary.skipped.forEach(reason => console.warn(`Omitido ${reason}`));
+    return summary;
+};
@@ -0,0 +1,168 @@
+// Migraciones versionadas del esquema.
+// Cada versión son dos archivos en db/migrations: NNN_nombre.up.sql y NNN_nombre.down.sql.
+// Uso: node db/migrate.js <migrate|rollback [pasos]|status|import-legacy>
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pool from './pool.js';
+import { importLegacyFiles } from './legacy-import.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+// Clave arbitraria del advisory lock: evita que dos instancias migren a la vez.
+const MIGRATION_LOCK_KEY = 7301001;
+
+export const loadMigrations = async () => {
+    const files = await fs.readdir(MIGRATIONS_DIR);
+    const byVersion = new Map();
+
+    for (const file of files) {
+        const match = MIGRATION_FILE_PATTERN.exec(file);
+        if (!match) continue;
+        const [, versionStr, name, direction] = match;
+        const version = parseInt(versionStr, 10);
+        if (!byVersion.has(version)) byVersion.set(version, { version, name, up: null, down: null });
+        const migration = byVersion.get(version);
+        if (migration.name !== name) {
+            throw new Error(`La migración ${version} tiene nombres distintos: "${migration.name}" y "${name}".`);
+        }
+        migration[direction] = await fs.readFile(path.join(MIGRATIONS_DIR, file), 'utf8');
+    }
+
+    const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+    for (const migration of migrations) {
+        if (!migration.up || !migration.down) {
+            throw new Error(`A la migración ${migration.version}_${migration.name} le falta el archivo .up.sql o .down.sql.`);
+        }
+    }
+    return migrations;
+};
+
+const ensureMigrationsTable = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+};
+
+const getAppliedVersions = async (client) => {
+    const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+    return result.rows.map(row => row.version);
+};
+
+// Ejecuta fn con un cliente dedicado que mantiene el advisory lock de migraciones.
+const withMigrationLock = async (fn) => {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        await ensureMigrationsTable(client);
+        return await fn(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+};
+
+// Aplica, en orden y cada una en su propia transacción, las migraciones pendientes.
+export const migrate = async () => {
+    const migrations = await loadMigrations();
+    return withMigrationLock(async (client) => {
+        const applied = new Set(await getAppliedVersions(client));
+        const pending = migrations.filter(m => !applied.has(m.version));
+
+        for (const migration of pending) {
+            try {
+                await client.query('BEGIN');
+                await client.query(migration.up);
+                await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+                await client.query('COMMIT');
+                console.log(`Migración aplicada: ${migration.version}_${migration.name}`);
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw new Error(`Falló la migración ${migration.version}_${migration.name}: ${error.message}`);
+            }
+        }
+
+        if (pending.length === 0) console.log('El esquema ya está al día.');
+        return pending.map(m => m.version);
+    });
+};
+
+// Revierte las últimas `steps` migraciones aplicadas, de la más reciente a la más antigua.
+export const rollback = async (steps = 1) => {
+    const migrations = await loadMigrations();
+    const byVersion = new Map(migrations.map(m => [m.version, m]));
+    return withMigrationLock(async (client) => {
+        const toRevert = (await getAppliedVersions(client)).reverse().slice(0, steps);
+
+        for (const version of toRevert) {
+            const migration = byVersion.get(version);
+            if (!migration) {
+                throw new Error(`La migración ${version} está aplicada pero su archivo no existe.`);
+            }
+            try {
+                await client.query('BEGIN');
+                await client.query(migration.down);
+                await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+                await client.query('COMMIT');
+                console.log(`Migración revertida: ${migration.version}_${migration.name}`);
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw new Error(`Falló la reversión de ${migration.version}_${migration.name}: ${error.message}`);
+            }
+        }
+
+        if (toRevert.length === 0) console.log('No hay migraciones que revertir.');
+        return toRevert;
+    });
+};
+
+export const migrationStatus = async () => {
+    const migrations = await loadMigrations();
+    return withMigrationLock(async (client) => {
+        const applied = new Set(await getAppliedVersions(client));
+        return migrations.map(m => ({ version: m.version, name: m.name, applied: applied.has(m.version) }));
+    });
+};
+
+const runCli = async (command, arg) => {
+    switch (command) {
+        case 'migrate':
+            await migrate();
+            break;
+        case 'rollback': {
+            const steps = arg ? parseInt(arg, 10) : 1;
+            if (isNaN(steps) || steps < 1) throw new Error('El número de pasos debe ser un entero positivo.');
+            await rollback(steps);
+            break;
+        }
+        case 'status':
+            for (const m of await migrationStatus()) {
+                console.log(`${m.applied ? '[x]' : '[ ]'} ${m.version}_${m.name}`);
+            }
+            break;
+        case 'import-legacy':
+            await migrate();
+            await importLegacyFiles(path.join(__dirname, '..'));
+            break;
+        default:
+            throw new Error(`Comando desconocido: "${command}". Usar migrate, rollback [pasos], status o import-legacy.`);
+    }
+};
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    const [command = 'migrate', arg] = process.argv.slice(2);
+    runCli(command, arg)
+        .then(() => pool.end())
+        .catch(async (error) => {
+            console.error(error.message);
+            await pool.end();
+            process.exit(1);
+        });
+}
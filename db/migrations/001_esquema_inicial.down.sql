@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS marketer_logos;
+DROP TABLE IF EXISTS app_config;
+DROP TABLE IF EXISTS load_priorities;
+DROP TABLE IF EXISTS loads;
+DROP TABLE IF EXISTS outfeed_queue;
+DROP TABLE IF EXISTS outfeed_status;
+DROP TABLE IF EXISTS outfeeds;
@@ -0,0 +1,51 @@
+-- Esquema base del planificador. Usa IF NOT EXISTS para poder aplicarse sobre
+-- la base de producción en Render, donde estas tablas ya fueron creadas a mano.
+
+CREATE TABLE IF NOT EXISTS outfeeds (
+    id INTEGER PRIMARY KEY,
+    description TEXT
+);
+
+CREATE TABLE IF NOT EXISTS outfeed_status (
+    outfeed_id INTEGER PRIMARY KEY,
+    status TEXT NOT NULL DEFAULT 'PAUSED',
+    last_updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS outfeed_queue (
+    id SERIAL PRIMARY KEY,
+    outfeed_id INTEGER NOT NULL,
+    tag TEXT NOT NULL,
+    order_id INTEGER NOT NULL,
+    standard_id TEXT NOT NULL,
+    sequence INTEGER NOT NULL
+);
+
+-- Requeridos por los ON CONFLICT de /api/plan-order y /api/update-queue-order.
+CREATE UNIQUE INDEX IF NOT EXISTS outfeed_queue_outfeed_order_standard_key
+    ON outfeed_queue (outfeed_id, order_id, standard_id);
+CREATE UNIQUE INDEX IF NOT EXISTS outfeed_queue_outfeed_tag_key
+    ON outfeed_queue (outfeed_id, tag);
+CREATE INDEX IF NOT EXISTS outfeed_queue_tag_idx ON outfeed_queue (tag);
+
+CREATE TABLE IF NOT EXISTS loads (
+    order_id INTEGER PRIMARY KEY,
+    load_name TEXT NOT NULL,
+    last_updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS loads_load_name_idx ON loads (load_name);
+
+CREATE TABLE IF NOT EXISTS load_priorities (
+    load_name TEXT PRIMARY KEY,
+    priority_order INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS app_config (
+    config_key TEXT PRIMARY KEY,
+    config_value TEXT
+);
+
+CREATE TABLE IF NOT EXISTS marketer_logos (
+    marketer_name TEXT PRIMARY KEY,
+    logo_filename TEXT NOT NULL
+);
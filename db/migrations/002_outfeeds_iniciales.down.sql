@@ -0,0 +1,18 @@
+-- Quita solo los outfeeds que sembró esta migración (anotados en app_config) y su estado. En una base que ya tenía
+-- outfeeds la migración no sembró nada y la reversión no toca ninguno. Si alguno de los sembrados ya tiene tags en
+-- cola la reversión falla, en lugar de dejar colas sin outfeed; hay que vaciarlas antes.
+DO $$
+DECLARE
+    sembrados INTEGER[];
+BEGIN
+    SELECT string_to_array(config_value, ',')::int[] INTO sembrados FROM app_config WHERE config_key = 'outfeeds_sembrados_002';
+    IF sembrados IS NULL THEN
+        RETURN;
+    END IF;
+    IF EXISTS (SELECT 1 FROM outfeed_queue WHERE outfeed_id = ANY(sembrados)) THEN
+        RAISE EXCEPTION 'No se puede revertir 002_outfeeds_iniciales: los outfeeds sembrados (%) tienen tags en cola.', array_to_string(sembrados, ', ');
+    END IF;
+    DELETE FROM outfeed_status WHERE outfeed_id = ANY(sembrados);
+    DELETE FROM outfeeds WHERE id = ANY(sembrados);
+    DELETE FROM app_config WHERE config_key = 'outfeeds_sembrados_002';
+END $$;
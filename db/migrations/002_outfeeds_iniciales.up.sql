@@ -0,0 +1,14 @@
+-- Una base nueva arranca con los 4 outfeeds de la planta; si ya hay outfeeds no se toca nada.
+-- Los outfeeds sembrados quedan anotados en app_config para que la reversión quite solo esos.
+WITH sembrados AS (
+    INSERT INTO outfeeds (id, description)
+    SELECT g, NULL FROM generate_series(1, 4) AS g
+    WHERE NOT EXISTS (SELECT 1 FROM outfeeds)
+    RETURNING id
+)
+INSERT INTO app_config (config_key, config_value)
+SELECT 'outfeeds_sembrados_002', string_agg(id::text, ',' ORDER BY id) FROM sembrados HAVING COUNT(*) > 0;
+
+INSERT INTO outfeed_status (outfeed_id, status)
+SELECT id, 'PAUSED' FROM outfeeds
+ON CONFLICT (outfeed_id) DO NOTHING;
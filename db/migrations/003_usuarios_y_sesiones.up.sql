@@ -0,0 +1,22 @@
+-- Cuentas de usuario con roles y sesiones persistentes (reemplazan las contraseñas compartidas de app_config).
+
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    username TEXT NOT NULL,
+    display_name TEXT,
+    password_hash TEXT NOT NULL,
+    roles TEXT[] NOT NULL DEFAULT ARRAY['viewer']::TEXT[],
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_login_at TIMESTAMPTZ
+);
+CREATE UNIQUE INDEX IF NOT EXISTS users_username_key ON users (LOWER(username));
+
+-- Solo se guarda el hash SHA-256 del token; el token en claro vive únicamente en la cookie del navegador.
+CREATE TABLE IF NOT EXISTS user_sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMPTZ NOT NULL
+);
+CREATE INDEX IF NOT EXISTS user_sessions_user_id_idx ON user_sessions (user_id);
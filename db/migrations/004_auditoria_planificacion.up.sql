@@ -0,0 +1,24 @@
+-- Bitácora de cambios de planificación. before_state / after_state guardan una "foto" de lo afectado
+-- (colas, estados de outfeed, loads o prioridades) para poder consultar y deshacer cada cambio.
+
+CREATE TABLE IF NOT EXISTS planning_audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    username TEXT NOT NULL,
+    action TEXT NOT NULL,
+    summary TEXT,
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    order_ids INTEGER[] NOT NULL DEFAULT '{}',
+    outfeed_ids INTEGER[] NOT NULL DEFAULT '{}',
+    before_state JSONB NOT NULL,
+    after_state JSONB NOT NULL,
+    undone_at TIMESTAMPTZ,
+    undone_by TEXT,
+    undo_of BIGINT REFERENCES planning_audit_log(id)
+);
+
+CREATE INDEX IF NOT EXISTS planning_audit_log_created_at_idx ON planning_audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS planning_audit_log_tags_idx ON planning_audit_log USING GIN (tags);
+CREATE INDEX IF NOT EXISTS planning_audit_log_order_ids_idx ON planning_audit_log USING GIN (order_ids);
+CREATE INDEX IF NOT EXISTS planning_audit_log_outfeed_ids_idx ON planning_audit_log USING GIN (outfeed_ids);
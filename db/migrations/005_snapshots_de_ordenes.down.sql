@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS order_snapshot_changes;
+DROP TABLE IF EXISTS order_snapshots;
@@ -0,0 +1,22 @@
+-- Fotos de la API de órdenes. Solo se guarda una fila nueva cuando el contenido cambia;
+-- order_snapshot_changes registra qué líneas cambiaron respecto de la foto anterior.
+
+CREATE TABLE IF NOT EXISTS order_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    fetched_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_confirmed_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    order_count INTEGER NOT NULL,
+    checksum TEXT NOT NULL,
+    payload JSONB
+);
+
+CREATE TABLE IF NOT EXISTS order_snapshot_changes (
+    id BIGSERIAL PRIMARY KEY,
+    snapshot_id BIGINT NOT NULL REFERENCES order_snapshots(id) ON DELETE CASCADE,
+    order_id INTEGER NOT NULL,
+    standard_id TEXT NOT NULL,
+    change_type TEXT NOT NULL,
+    changes JSONB NOT NULL DEFAULT '{}'
+);
+CREATE INDEX IF NOT EXISTS order_snapshot_changes_snapshot_idx ON order_snapshot_changes (snapshot_id);
+CREATE INDEX IF NOT EXISTS order_snapshot_changes_order_idx ON order_snapshot_changes (order_id);
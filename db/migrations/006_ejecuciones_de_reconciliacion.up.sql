@@ -0,0 +1,17 @@
+-- Registro de cada reconciliación (programada o manual) con su resultado.
+
+CREATE TABLE IF NOT EXISTS reconcile_runs (
+    id BIGSERIAL PRIMARY KEY,
+    trigger TEXT NOT NULL,
+    triggered_by TEXT NOT NULL,
+    started_at TIMESTAMPTZ NOT NULL,
+    finished_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    status TEXT NOT NULL,
+    tags_removed TEXT[] NOT NULL DEFAULT '{}',
+    loads_released TEXT[] NOT NULL DEFAULT '{}',
+    priorities_changed BOOLEAN NOT NULL DEFAULT FALSE,
+    orders_fetched_at TIMESTAMPTZ,
+    orders_stale BOOLEAN,
+    error TEXT
+);
+CREATE INDEX IF NOT EXISTS reconcile_runs_started_at_idx ON reconcile_runs (started_at DESC);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS outfeed_rate_samples;
+DROP TABLE IF EXISTS outfeed_progress;
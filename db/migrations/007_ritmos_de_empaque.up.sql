@@ -0,0 +1,20 @@
+-- Ritmo de empaque por outfeed, aprendido entre reconciliaciones.
+-- outfeed_progress guarda la última observación de la línea en cabeza de cada outfeed en marcha;
+-- outfeed_rate_samples, el avance (cajas en segundos) entre dos observaciones consecutivas.
+
+CREATE TABLE IF NOT EXISTS outfeed_progress (
+    outfeed_id INTEGER PRIMARY KEY,
+    order_id INTEGER NOT NULL,
+    standard_id TEXT NOT NULL,
+    cantidad_asignada NUMERIC NOT NULL,
+    observed_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS outfeed_rate_samples (
+    id BIGSERIAL PRIMARY KEY,
+    outfeed_id INTEGER NOT NULL,
+    observed_at TIMESTAMPTZ NOT NULL,
+    boxes NUMERIC NOT NULL,
+    seconds NUMERIC NOT NULL
+);
+CREATE INDEX IF NOT EXISTS outfeed_rate_samples_outfeed_idx ON outfeed_rate_samples (outfeed_id, observed_at);
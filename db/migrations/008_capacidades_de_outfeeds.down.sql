@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS capability_overrides;
+DROP TABLE IF EXISTS label_families;
+DROP TABLE IF EXISTS outfeed_capabilities;
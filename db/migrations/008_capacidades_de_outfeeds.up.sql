@@ -0,0 +1,35 @@
+-- Qué puede empacar cada outfeed. Una columna NULL significa "sin restricción" y un outfeed sin fila
+-- acepta cualquier línea, así que las colas existentes no cambian hasta que se definan reglas.
+
+CREATE TABLE IF NOT EXISTS outfeed_capabilities (
+    outfeed_id INTEGER PRIMARY KEY,
+    allowed_formaciones TEXT[],
+    organic_certified BOOLEAN NOT NULL DEFAULT TRUE,
+    allowed_label_families TEXT[],
+    max_boxes_per_pallet INTEGER,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_by TEXT
+);
+
+-- Familia de cada label (para allowed_label_families) y si corresponde a producto orgánico.
+CREATE TABLE IF NOT EXISTS label_families (
+    label TEXT PRIMARY KEY,
+    family TEXT NOT NULL,
+    organic BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+-- Excepciones a las reglas autorizadas por un supervisor, con su justificación.
+CREATE TABLE IF NOT EXISTS capability_overrides (
+    id BIGSERIAL PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    username TEXT NOT NULL,
+    audit_id BIGINT REFERENCES planning_audit_log(id) ON DELETE SET NULL,
+    outfeed_id INTEGER NOT NULL,
+    order_id INTEGER NOT NULL,
+    standard_id TEXT NOT NULL,
+    tag TEXT,
+    violations TEXT[] NOT NULL,
+    reason TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS capability_overrides_created_at_idx ON capability_overrides (created_at DESC);
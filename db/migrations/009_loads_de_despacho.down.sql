@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS shipping_load_events;
+DROP TABLE IF EXISTS shipping_loads;
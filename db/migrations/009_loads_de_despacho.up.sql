@@ -0,0 +1,41 @@
+-- Loads como entidad: camión, andén, cita y capacidad en pallets, con su avance building → staged → loaded → shipped.
+-- La tabla loads sigue asociando cada orden a un load_name; el nombre (A, B, ...) se reutiliza una vez despachado,
+-- por eso cada load tiene su propio id y solo uno activo (released_at IS NULL) por nombre.
+
+CREATE TABLE IF NOT EXISTS shipping_loads (
+    id BIGSERIAL PRIMARY KEY,
+    load_name TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'building' CHECK (status IN ('building', 'staged', 'loaded', 'shipped')),
+    carrier TEXT,
+    truck TEXT,
+    dock_door TEXT,
+    appointment_start TIMESTAMPTZ,
+    appointment_end TIMESTAMPTZ,
+    pallet_capacity INTEGER,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_by TEXT NOT NULL DEFAULT 'system',
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    -- Al liberarse se guarda qué órdenes llevaba, porque sus filas en loads se eliminan.
+    released_at TIMESTAMPTZ,
+    released_order_ids INTEGER[] NOT NULL DEFAULT '{}'
+);
+CREATE UNIQUE INDEX IF NOT EXISTS shipping_loads_active_name_key ON shipping_loads (load_name) WHERE released_at IS NULL;
+CREATE INDEX IF NOT EXISTS shipping_loads_released_at_idx ON shipping_loads (released_at DESC);
+
+-- Historial de carga: cada cambio de estado o de datos del camión.
+CREATE TABLE IF NOT EXISTS shipping_load_events (
+    id BIGSERIAL PRIMARY KEY,
+    load_id BIGINT NOT NULL REFERENCES shipping_loads(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    username TEXT NOT NULL,
+    event TEXT NOT NULL,
+    from_status TEXT,
+    to_status TEXT,
+    note TEXT
+);
+CREATE INDEX IF NOT EXISTS shipping_load_events_load_idx ON shipping_load_events (load_id, created_at);
+
+-- Los loads que ya estaban en uso pasan a ser entidades en construcción.
+INSERT INTO shipping_loads (load_name)
+SELECT DISTINCT load_name FROM loads
+WHERE NOT EXISTS (SELECT 1 FROM shipping_loads s WHERE s.load_name = loads.load_name AND s.released_at IS NULL);
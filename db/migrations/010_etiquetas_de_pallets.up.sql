@@ -0,0 +1,19 @@
+-- Etiquetas impresas de cada tag. Se guarda el contenido con el que se imprimió, así se puede reimprimir
+-- igual aunque la orden ya no esté en la foto vigente o el tag haya salido de la cola.
+
+CREATE TABLE IF NOT EXISTS label_prints (
+    id BIGSERIAL PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    username TEXT NOT NULL,
+    tag TEXT NOT NULL,
+    order_id INTEGER NOT NULL,
+    standard_id TEXT NOT NULL,
+    format TEXT NOT NULL CHECK (format IN ('pdf', 'zpl')),
+    -- Cómo se pidió: outfeed, load, tags o reprint.
+    scope TEXT NOT NULL,
+    data JSONB NOT NULL,
+    reprint_of BIGINT REFERENCES label_prints(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS label_prints_tag_idx ON label_prints (tag, created_at DESC);
+CREATE INDEX IF NOT EXISTS label_prints_created_at_idx ON label_prints (created_at DESC);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS packing_reports;
+DROP TABLE IF EXISTS tag_completions;
@@ -0,0 +1,32 @@
+-- Acciones de los operadores desde el kiosco de cada outfeed.
+
+-- Tags dados por terminados a mano (la API de órdenes todavía no refleja todo lo asignado).
+-- Mientras la línea no vuelva a planificarse, el tablero y la reconciliación la consideran terminada.
+CREATE TABLE IF NOT EXISTS tag_completions (
+    id BIGSERIAL PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    username TEXT NOT NULL,
+    audit_id BIGINT REFERENCES planning_audit_log(id) ON DELETE SET NULL,
+    outfeed_id INTEGER NOT NULL,
+    tag TEXT NOT NULL,
+    order_id INTEGER NOT NULL,
+    standard_id TEXT NOT NULL,
+    reason TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS tag_completions_line_idx ON tag_completions (order_id, standard_id);
+CREATE INDEX IF NOT EXISTS tag_completions_created_at_idx ON tag_completions (created_at DESC);
+
+-- Cajas empacadas que informa el operador durante el turno.
+CREATE TABLE IF NOT EXISTS packing_reports (
+    id BIGSERIAL PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    username TEXT NOT NULL,
+    outfeed_id INTEGER NOT NULL,
+    tag TEXT,
+    order_id INTEGER,
+    standard_id TEXT,
+    boxes INTEGER NOT NULL CHECK (boxes > 0)
+);
+CREATE INDEX IF NOT EXISTS packing_reports_outfeed_idx ON packing_reports (outfeed_id, created_at DESC);
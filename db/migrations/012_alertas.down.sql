@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS alert_deliveries;
+DROP TABLE IF EXISTS alerts;
+DROP TABLE IF EXISTS alert_channels;
+DROP TABLE IF EXISTS alert_rules;
@@ -0,0 +1,53 @@
+-- Alertas por reglas, evaluadas después de cada reconciliación (ver lib/alerts.js).
+
+-- Reglas disponibles; params ajusta umbrales (los valores por defecto están en el código).
+CREATE TABLE IF NOT EXISTS alert_rules (
+    rule TEXT PRIMARY KEY,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    params JSONB NOT NULL DEFAULT '{}',
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_by TEXT
+);
+INSERT INTO alert_rules (rule) VALUES
+    ('ship_today_pending'), ('past_due_unplanned'), ('outfeed_paused'), ('done_load_with_priority')
+ON CONFLICT (rule) DO NOTHING;
+
+-- Destinos de las notificaciones. rules NULL = todas las reglas.
+CREATE TABLE IF NOT EXISTS alert_channels (
+    id SERIAL PRIMARY KEY,
+    type TEXT NOT NULL CHECK (type IN ('webhook', 'email')),
+    target TEXT NOT NULL,
+    rules TEXT[],
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_by TEXT
+);
+
+-- Una alerta queda abierta mientras su condición se siga cumpliendo; dedupe_key identifica el caso
+-- (línea, outfeed o load), así que cada caso se notifica una sola vez hasta que se resuelve.
+CREATE TABLE IF NOT EXISTS alerts (
+    id BIGSERIAL PRIMARY KEY,
+    rule TEXT NOT NULL,
+    dedupe_key TEXT NOT NULL,
+    severity TEXT NOT NULL CHECK (severity IN ('critical', 'warning', 'info')),
+    message TEXT NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}',
+    first_seen_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMPTZ,
+    acknowledged_at TIMESTAMPTZ,
+    acknowledged_by TEXT
+);
+CREATE UNIQUE INDEX IF NOT EXISTS alerts_open_key ON alerts (rule, dedupe_key) WHERE resolved_at IS NULL;
+CREATE INDEX IF NOT EXISTS alerts_first_seen_at_idx ON alerts (first_seen_at DESC);
+
+-- Resultado de cada envío, para revisar webhooks o correos que fallaron.
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    alert_id BIGINT REFERENCES alerts(id) ON DELETE CASCADE,
+    channel_id INTEGER REFERENCES alert_channels(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+    error TEXT
+);
+CREATE INDEX IF NOT EXISTS alert_deliveries_alert_idx ON alert_deliveries (alert_id);
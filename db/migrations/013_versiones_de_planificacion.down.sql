@@ -0,0 +1,9 @@
+DROP TRIGGER IF EXISTS load_priorities_truncate_version ON load_priorities;
+DROP TRIGGER IF EXISTS load_priorities_version ON load_priorities;
+DROP TRIGGER IF EXISTS loads_truncate_version ON loads;
+DROP TRIGGER IF EXISTS loads_version ON loads;
+DROP TRIGGER IF EXISTS outfeed_queue_version ON outfeed_queue;
+DROP FUNCTION IF EXISTS planning_set_bump_version();
+DROP FUNCTION IF EXISTS outfeed_queue_bump_version();
+DROP FUNCTION IF EXISTS bump_planning_version(TEXT);
+DROP TABLE IF EXISTS planning_versions;
@@ -0,0 +1,53 @@
+-- Versiones del tablero para el control de concurrencia optimista (ver lib/versions.js).
+-- Cada cola de outfeed ('queue:<id>'), el conjunto de loads ('loads') y el de prioridades ('priorities') tiene un
+-- contador que sube una vez por transacción que los modifica, venga del tablero, del kiosco o de la reconciliación.
+
+CREATE TABLE IF NOT EXISTS planning_versions (
+    scope TEXT PRIMARY KEY,
+    version BIGINT NOT NULL DEFAULT 0,
+    -- Transacción que subió la versión por última vez: las demás filas que toque la misma transacción no la vuelven a subir.
+    last_txid BIGINT,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE OR REPLACE FUNCTION bump_planning_version(target_scope TEXT) RETURNS VOID AS $$
+BEGIN
+    INSERT INTO planning_versions (scope, version, last_txid) VALUES (target_scope, 1, txid_current())
+    ON CONFLICT (scope) DO UPDATE SET version = planning_versions.version + 1, last_txid = EXCLUDED.last_txid, updated_at = CURRENT_TIMESTAMP
+    WHERE planning_versions.last_txid IS DISTINCT FROM EXCLUDED.last_txid;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION outfeed_queue_bump_version() RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN PERFORM bump_planning_version('queue:' || OLD.outfeed_id); END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN PERFORM bump_planning_version('queue:' || NEW.outfeed_id); END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION planning_set_bump_version() RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM bump_planning_version(TG_ARGV[0]);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS outfeed_queue_version ON outfeed_queue;
+CREATE TRIGGER outfeed_queue_version AFTER INSERT OR UPDATE OR DELETE ON outfeed_queue
+    FOR EACH ROW EXECUTE FUNCTION outfeed_queue_bump_version();
+
+-- Por fila (y no por sentencia) para que un DELETE que no borra nada no cambie la versión.
+DROP TRIGGER IF EXISTS loads_version ON loads;
+CREATE TRIGGER loads_version AFTER INSERT OR UPDATE OR DELETE ON loads
+    FOR EACH ROW EXECUTE FUNCTION planning_set_bump_version('loads');
+DROP TRIGGER IF EXISTS loads_truncate_version ON loads;
+CREATE TRIGGER loads_truncate_version AFTER TRUNCATE ON loads
+    FOR EACH STATEMENT EXECUTE FUNCTION planning_set_bump_version('loads');
+
+DROP TRIGGER IF EXISTS load_priorities_version ON load_priorities;
+CREATE TRIGGER load_priorities_version AFTER INSERT OR UPDATE OR DELETE ON load_priorities
+    FOR EACH ROW EXECUTE FUNCTION planning_set_bump_version('priorities');
+DROP TRIGGER IF EXISTS load_priorities_truncate_version ON load_priorities;
+CREATE TRIGGER load_priorities_truncate_version AFTER TRUNCATE ON load_priorities
+    FOR EACH STATEMENT EXECUTE FUNCTION planning_set_bump_version('priorities');
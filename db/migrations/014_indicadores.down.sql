@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS kpi_outfeed_production;
+DROP TABLE IF EXISTS kpi_queue_tags;
+DROP TABLE IF EXISTS kpi_line_days;
+DROP TABLE IF EXISTS kpi_outfeed_snapshots;
+DROP TABLE IF EXISTS kpi_snapshots;
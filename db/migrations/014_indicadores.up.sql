@@ -0,0 +1,71 @@
+-- Indicadores históricos de cumplimiento y de los outfeeds (ver lib/kpis.js). Se registran tras cada reconciliación.
+
+-- Foto del tablero en cada reconciliación. La última de cada día es la foto diaria y se conserva;
+-- las demás se borran pasados 90 días.
+CREATE TABLE IF NOT EXISTS kpi_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    taken_at TIMESTAMPTZ NOT NULL,
+    business_day DATE NOT NULL,
+    reconcile_run_id BIGINT,
+    lines_by_status JSONB NOT NULL DEFAULT '{}',
+    pallets_requested NUMERIC NOT NULL DEFAULT 0,
+    pallets_packed NUMERIC NOT NULL DEFAULT 0,
+    pallets_shipped NUMERIC NOT NULL DEFAULT 0
+);
+CREATE INDEX IF NOT EXISTS kpi_snapshots_day_idx ON kpi_snapshots (business_day, taken_at DESC);
+
+CREATE TABLE IF NOT EXISTS kpi_outfeed_snapshots (
+    snapshot_id BIGINT NOT NULL REFERENCES kpi_snapshots(id) ON DELETE CASCADE,
+    outfeed_id INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    queue_length INTEGER NOT NULL,
+    queue_pallets NUMERIC NOT NULL DEFAULT 0,
+    head_tag TEXT,
+    PRIMARY KEY (snapshot_id, outfeed_id)
+);
+
+-- Avance de cada línea al cierre de cada día: se reescribe en cada reconciliación del día.
+CREATE TABLE IF NOT EXISTS kpi_line_days (
+    business_day DATE NOT NULL,
+    order_id INTEGER NOT NULL,
+    standard_id TEXT NOT NULL,
+    order_number TEXT,
+    marketer TEXT,
+    fecha_envio DATE,
+    packing_status TEXT NOT NULL,
+    boxes_requested NUMERIC NOT NULL DEFAULT 0,
+    boxes_assigned NUMERIC NOT NULL DEFAULT 0,
+    boxes_shipped NUMERIC NOT NULL DEFAULT 0,
+    pallets_requested NUMERIC NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL,
+    PRIMARY KEY (business_day, order_id, standard_id)
+);
+CREATE INDEX IF NOT EXISTS kpi_line_days_ship_idx ON kpi_line_days (fecha_envio);
+CREATE INDEX IF NOT EXISTS kpi_line_days_line_idx ON kpi_line_days (order_id, standard_id);
+
+-- Paso de cada tag por una cola: cuándo apareció, cuándo quedó en cabeza de un outfeed en marcha y cuándo salió.
+CREATE TABLE IF NOT EXISTS kpi_queue_tags (
+    id BIGSERIAL PRIMARY KEY,
+    outfeed_id INTEGER NOT NULL,
+    tag TEXT NOT NULL,
+    order_id INTEGER NOT NULL,
+    standard_id TEXT NOT NULL,
+    queued_at TIMESTAMPTZ NOT NULL,
+    started_at TIMESTAMPTZ,
+    left_at TIMESTAMPTZ
+);
+CREATE UNIQUE INDEX IF NOT EXISTS kpi_queue_tags_open_idx ON kpi_queue_tags (outfeed_id, tag) WHERE left_at IS NULL;
+CREATE INDEX IF NOT EXISTS kpi_queue_tags_queued_at_idx ON kpi_queue_tags (queued_at);
+
+-- Lo empacado por outfeed entre dos reconciliaciones (las muestras de ritmo de lib/eta.js, con su línea y en pallets).
+CREATE TABLE IF NOT EXISTS kpi_outfeed_production (
+    id BIGSERIAL PRIMARY KEY,
+    outfeed_id INTEGER NOT NULL,
+    observed_at TIMESTAMPTZ NOT NULL,
+    order_id INTEGER NOT NULL,
+    standard_id TEXT NOT NULL,
+    boxes NUMERIC NOT NULL,
+    pallets NUMERIC NOT NULL,
+    seconds NUMERIC NOT NULL
+);
+CREATE INDEX IF NOT EXISTS kpi_outfeed_production_idx ON kpi_outfeed_production (observed_at, outfeed_id);
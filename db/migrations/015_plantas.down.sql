@@ -0,0 +1,55 @@
+-- Vuelve a una sola planta: las fotos de la bitácora recuperan el formato anterior (las prioridades de todas las
+-- plantas quedan juntas) y las versiones de loads y prioridades vuelven a ser únicas, con las de la planta por defecto.
+CREATE OR REPLACE FUNCTION audit_snapshot_without_facility(snapshot JSONB) RETURNS JSONB AS $$
+DECLARE
+    result JSONB := snapshot;
+BEGIN
+    IF result ? 'loads' THEN
+        result := jsonb_set(result, '{loads}', COALESCE((
+            SELECT jsonb_object_agg(key, CASE WHEN jsonb_typeof(value) = 'object' THEN value->'load' ELSE value END)
+            FROM jsonb_each(result->'loads')), '{}'::jsonb));
+    END IF;
+    IF result ? 'priorities' THEN
+        result := jsonb_set(result, '{priorities}', COALESCE((
+            SELECT jsonb_object_agg(load.key, load.value)
+            FROM jsonb_each(result->'priorities') AS facility, jsonb_each(facility.value) AS load
+            WHERE jsonb_typeof(facility.value) = 'object'), '{}'::jsonb));
+    END IF;
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql;
+
+UPDATE planning_audit_log SET
+    before_state = audit_snapshot_without_facility(before_state),
+    after_state = audit_snapshot_without_facility(after_state)
+WHERE before_state ?| ARRAY['loads', 'priorities'] OR after_state ?| ARRAY['loads', 'priorities'];
+
+DROP FUNCTION audit_snapshot_without_facility(JSONB);
+
+DROP TRIGGER IF EXISTS load_priorities_truncate_version ON load_priorities;
+CREATE TRIGGER load_priorities_truncate_version AFTER TRUNCATE ON load_priorities
+    FOR EACH STATEMENT EXECUTE FUNCTION planning_set_bump_version('priorities');
+DROP TRIGGER IF EXISTS load_priorities_version ON load_priorities;
+CREATE TRIGGER load_priorities_version AFTER INSERT OR UPDATE OR DELETE ON load_priorities
+    FOR EACH ROW EXECUTE FUNCTION planning_set_bump_version('priorities');
+DROP TRIGGER IF EXISTS loads_truncate_version ON loads;
+CREATE TRIGGER loads_truncate_version AFTER TRUNCATE ON loads
+    FOR EACH STATEMENT EXECUTE FUNCTION planning_set_bump_version('loads');
+DROP TRIGGER IF EXISTS loads_version ON loads;
+CREATE TRIGGER loads_version AFTER INSERT OR UPDATE OR DELETE ON loads
+    FOR EACH ROW EXECUTE FUNCTION planning_set_bump_version('loads');
+DROP FUNCTION IF EXISTS facility_set_truncate_bump_version();
+DROP FUNCTION IF EXISTS facility_set_bump_version();
+
+DELETE FROM planning_versions
+WHERE (scope LIKE 'loads:%' OR scope LIKE 'priorities:%')
+    AND split_part(scope, ':', 2) IS DISTINCT FROM (SELECT id FROM facilities WHERE is_default);
+UPDATE planning_versions SET scope = split_part(scope, ':', 1) WHERE scope LIKE 'loads:%' OR scope LIKE 'priorities:%';
+
+ALTER TABLE shipping_loads DROP COLUMN IF EXISTS facility_id;
+ALTER TABLE load_priorities DROP COLUMN IF EXISTS facility_id;
+DROP INDEX IF EXISTS loads_facility_idx;
+ALTER TABLE loads DROP COLUMN IF EXISTS facility_id;
+ALTER TABLE outfeeds DROP COLUMN IF EXISTS facility_id;
+DROP TABLE IF EXISTS facility_routing_rules;
+DROP TABLE IF EXISTS facilities;
@@ -0,0 +1,112 @@
+-- Varias plantas (packing sheds) en un mismo servidor (ver lib/facilities.js).
+-- Cada outfeed pertenece a una planta; sus colas y su estado la heredan del outfeed. Los loads y sus prioridades
+-- llevan la planta en la fila: cada planta ordena sus propios loads. Los nombres de load (y por lo tanto los tags,
+-- que se derivan de ellos) siguen siendo únicos en todo el servidor.
+
+CREATE TABLE IF NOT EXISTS facilities (
+    id TEXT PRIMARY KEY CHECK (id ~ '^[a-z0-9][a-z0-9-]*$'),
+    name TEXT NOT NULL,
+    -- Origen de las rutas hacia la dirección del recibidor en el tablero.
+    origin_address TEXT,
+    -- Planta de las órdenes que no calzan con ninguna regla de ruteo.
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    position INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_by TEXT
+);
+CREATE UNIQUE INDEX IF NOT EXISTS facilities_default_key ON facilities (is_default) WHERE is_default;
+
+-- La planta que existía hasta ahora, con la dirección que el tablero tenía fija.
+INSERT INTO facilities (id, name, origin_address, is_default, position)
+SELECT 'curtis', 'Curtis', '2460 Wildwood RD Curtis WA 98538', TRUE, 1
+WHERE NOT EXISTS (SELECT 1 FROM facilities);
+
+-- Reglas de ruteo de órdenes, evaluadas por posición: gana la primera que calza. Un criterio NULL acepta cualquier
+-- valor; marketer y recibidor se comparan sin distinguir mayúsculas y address_contains busca dentro de la dirección.
+CREATE TABLE IF NOT EXISTS facility_routing_rules (
+    id SERIAL PRIMARY KEY,
+    position INTEGER NOT NULL,
+    facility_id TEXT NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+    marketer TEXT,
+    recibidor TEXT,
+    address_contains TEXT,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_by TEXT
+);
+
+ALTER TABLE outfeeds ADD COLUMN IF NOT EXISTS facility_id TEXT REFERENCES facilities(id);
+UPDATE outfeeds SET facility_id = (SELECT id FROM facilities WHERE is_default) WHERE facility_id IS NULL;
+ALTER TABLE outfeeds ALTER COLUMN facility_id SET NOT NULL;
+
+ALTER TABLE loads ADD COLUMN IF NOT EXISTS facility_id TEXT REFERENCES facilities(id);
+UPDATE loads SET facility_id = (SELECT id FROM facilities WHERE is_default) WHERE facility_id IS NULL;
+ALTER TABLE loads ALTER COLUMN facility_id SET NOT NULL;
+CREATE INDEX IF NOT EXISTS loads_facility_idx ON loads (facility_id);
+
+ALTER TABLE load_priorities ADD COLUMN IF NOT EXISTS facility_id TEXT REFERENCES facilities(id);
+UPDATE load_priorities SET facility_id = (SELECT id FROM facilities WHERE is_default) WHERE facility_id IS NULL;
+ALTER TABLE load_priorities ALTER COLUMN facility_id SET NOT NULL;
+
+ALTER TABLE shipping_loads ADD COLUMN IF NOT EXISTS facility_id TEXT REFERENCES facilities(id);
+UPDATE shipping_loads SET facility_id = (SELECT id FROM facilities WHERE is_default) WHERE facility_id IS NULL;
+ALTER TABLE shipping_loads ALTER COLUMN facility_id SET NOT NULL;
+
+-- Las versiones de loads y prioridades pasan a ser por planta ('loads:<planta>', 'priorities:<planta>'):
+-- guardar el orden de una planta no invalida lo que otro planificador está editando en la otra.
+UPDATE planning_versions SET scope = scope || ':' || (SELECT id FROM facilities WHERE is_default)
+WHERE scope IN ('loads', 'priorities');
+
+CREATE OR REPLACE FUNCTION facility_set_bump_version() RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN PERFORM bump_planning_version(TG_ARGV[0] || ':' || OLD.facility_id); END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN PERFORM bump_planning_version(TG_ARGV[0] || ':' || NEW.facility_id); END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Un TRUNCATE no dice qué plantas tocó: sube la versión de todas.
+CREATE OR REPLACE FUNCTION facility_set_truncate_bump_version() RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM bump_planning_version(TG_ARGV[0] || ':' || id) FROM facilities;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS loads_version ON loads;
+CREATE TRIGGER loads_version AFTER INSERT OR UPDATE OR DELETE ON loads
+    FOR EACH ROW EXECUTE FUNCTION facility_set_bump_version('loads');
+DROP TRIGGER IF EXISTS loads_truncate_version ON loads;
+CREATE TRIGGER loads_truncate_version AFTER TRUNCATE ON loads
+    FOR EACH STATEMENT EXECUTE FUNCTION facility_set_truncate_bump_version('loads');
+
+DROP TRIGGER IF EXISTS load_priorities_version ON load_priorities;
+CREATE TRIGGER load_priorities_version AFTER INSERT OR UPDATE OR DELETE ON load_priorities
+    FOR EACH ROW EXECUTE FUNCTION facility_set_bump_version('priorities');
+DROP TRIGGER IF EXISTS load_priorities_truncate_version ON load_priorities;
+CREATE TRIGGER load_priorities_truncate_version AFTER TRUNCATE ON load_priorities
+    FOR EACH STATEMENT EXECUTE FUNCTION facility_set_truncate_bump_version('priorities');
+
+-- Las fotos de la bitácora guardan ahora la planta de cada load y las prioridades agrupadas por planta
+-- (ver lib/audit.js); las ya registradas se llevan al nuevo formato para que se puedan seguir deshaciendo.
+CREATE OR REPLACE FUNCTION audit_snapshot_with_facility(snapshot JSONB, facility TEXT) RETURNS JSONB AS $$
+DECLARE
+    result JSONB := snapshot;
+BEGIN
+    IF result ? 'loads' THEN
+        result := jsonb_set(result, '{loads}', COALESCE((
+            SELECT jsonb_object_agg(key, CASE WHEN jsonb_typeof(value) = 'string' THEN jsonb_build_object('load', value, 'facility', facility) ELSE value END)
+            FROM jsonb_each(result->'loads')), '{}'::jsonb));
+    END IF;
+    IF result ? 'priorities' AND NOT EXISTS (SELECT 1 FROM jsonb_each(result->'priorities') WHERE jsonb_typeof(value) = 'object') THEN
+        result := jsonb_set(result, '{priorities}', jsonb_build_object(facility, result->'priorities'));
+    END IF;
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql;
+
+UPDATE planning_audit_log SET
+    before_state = audit_snapshot_with_facility(before_state, (SELECT id FROM facilities WHERE is_default)),
+    after_state = audit_snapshot_with_facility(after_state, (SELECT id FROM facilities WHERE is_default))
+WHERE before_state ?| ARRAY['loads', 'priorities'] OR after_state ?| ARRAY['loads', 'priorities'];
+
+DROP FUNCTION audit_snapshot_with_facility(JSONB, TEXT);
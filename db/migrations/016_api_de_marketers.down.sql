@@ -0,0 +1 @@
+DROP TABLE IF EXISTS marketer_api_keys;
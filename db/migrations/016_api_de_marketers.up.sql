@@ -0,0 +1,16 @@
+-- Claves de la API externa de solo lectura para marketers (ver lib/marketer-api.js).
+-- Cada clave da acceso a las órdenes de un solo marketer. Como con las sesiones, solo se guarda el hash SHA-256;
+-- la clave en claro se entrega una vez al crearla. key_prefix permite reconocerla en la lista sin revelarla.
+CREATE TABLE IF NOT EXISTS marketer_api_keys (
+    id SERIAL PRIMARY KEY,
+    marketer_name TEXT NOT NULL REFERENCES marketer_logos(marketer_name) ON UPDATE CASCADE ON DELETE CASCADE,
+    label TEXT,
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_by TEXT,
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    revoked_by TEXT
+);
+CREATE INDEX IF NOT EXISTS marketer_api_keys_marketer_idx ON marketer_api_keys (marketer_name);
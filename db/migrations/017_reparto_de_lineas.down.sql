@@ -0,0 +1,3 @@
+-- Las partes que sigan en las colas quedan como líneas completas con su sub-tag.
+DROP TABLE IF EXISTS queue_allocation_progress;
+ALTER TABLE outfeed_queue DROP COLUMN IF EXISTS allocated_boxes;
@@ -0,0 +1,12 @@
+-- Reparto de una línea entre varios outfeeds (ver planSplitLine en lib/queues.js).
+-- Cada parte es una fila de outfeed_queue con su propio sub-tag (A001-1, A001-2, ...) y las cajas que le tocan en
+-- allocated_boxes; NULL es una línea sin repartir, que se empaca completa en cada outfeed donde está.
+ALTER TABLE outfeed_queue ADD COLUMN IF NOT EXISTS allocated_boxes INTEGER CHECK (allocated_boxes > 0);
+
+-- Cajas empacadas de cada parte, acumuladas por la reconciliación. Va aparte de outfeed_queue para que el avance
+-- no cambie la versión de la cola ni las fotos de la bitácora (deshacer compara las colas tal cual).
+CREATE TABLE IF NOT EXISTS queue_allocation_progress (
+    tag TEXT PRIMARY KEY,
+    packed_boxes NUMERIC NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS outfeed_status_events;
+ALTER TABLE outfeed_status DROP CONSTRAINT IF EXISTS outfeed_status_status_check;
+UPDATE outfeed_status SET status = 'PAUSED' WHERE status <> 'RUNNING';
+ALTER TABLE outfeed_status DROP COLUMN IF EXISTS note;
+ALTER TABLE outfeed_status DROP COLUMN IF EXISTS reason_code;
+DROP TABLE IF EXISTS outfeed_status_reasons;
@@ -0,0 +1,57 @@
+-- Estados de outfeed además de RUNNING y PAUSED, motivos de detención y la historia de cada cambio de estado
+-- (ver lib/outfeed-status.js). outfeed_status sigue guardando el estado vigente.
+
+-- Motivos que se eligen al detener un outfeed; cada uno corresponde a un estado. La descripción se muestra en pantalla.
+CREATE TABLE IF NOT EXISTS outfeed_status_reasons (
+    code TEXT PRIMARY KEY,
+    status TEXT NOT NULL CHECK (status IN ('PAUSED', 'CHANGEOVER', 'MAINTENANCE', 'NO_FRUIT', 'END_OF_SHIFT')),
+    description TEXT NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    position INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_by TEXT
+);
+INSERT INTO outfeed_status_reasons (code, status, description, position) VALUES
+    ('BREAK', 'PAUSED', 'Crew break', 1),
+    ('NO_CREW', 'PAUSED', 'Not enough crew', 2),
+    ('QUALITY_HOLD', 'PAUSED', 'Quality hold', 3),
+    ('NO_MATERIALS', 'PAUSED', 'Waiting for packing materials', 4),
+    ('OTHER', 'PAUSED', 'Other', 5),
+    ('PACK_STYLE_CHANGE', 'CHANGEOVER', 'Pack style change', 1),
+    ('LABEL_CHANGE', 'CHANGEOVER', 'Label change', 2),
+    ('MECHANICAL', 'MAINTENANCE', 'Mechanical failure', 1),
+    ('ELECTRICAL', 'MAINTENANCE', 'Electrical failure', 2),
+    ('SCHEDULED_MAINTENANCE', 'MAINTENANCE', 'Scheduled maintenance', 3),
+    ('SANITATION', 'MAINTENANCE', 'Sanitation', 4),
+    ('WAITING_FOR_FRUIT', 'NO_FRUIT', 'Waiting for fruit', 1),
+    ('END_OF_SHIFT', 'END_OF_SHIFT', 'End of shift', 1)
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE outfeed_status ADD COLUMN IF NOT EXISTS reason_code TEXT REFERENCES outfeed_status_reasons(code) ON UPDATE CASCADE;
+ALTER TABLE outfeed_status ADD COLUMN IF NOT EXISTS note TEXT;
+ALTER TABLE outfeed_status DROP CONSTRAINT IF EXISTS outfeed_status_status_check;
+ALTER TABLE outfeed_status ADD CONSTRAINT outfeed_status_status_check
+    CHECK (status IN ('RUNNING', 'PAUSED', 'CHANGEOVER', 'MAINTENANCE', 'NO_FRUIT', 'END_OF_SHIFT'));
+
+-- Un tramo por estado: queda abierto (ended_at NULL) hasta el siguiente cambio del outfeed.
+-- source: manual (kiosco o tablero), auto (cambio de formato detectado por la reconciliación), undo (bitácora)
+-- o migration (estado vigente al crear la tabla).
+CREATE TABLE IF NOT EXISTS outfeed_status_events (
+    id BIGSERIAL PRIMARY KEY,
+    outfeed_id INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    reason_code TEXT REFERENCES outfeed_status_reasons(code) ON UPDATE CASCADE,
+    note TEXT,
+    source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'auto', 'undo', 'migration')),
+    started_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMPTZ,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    username TEXT
+);
+CREATE INDEX IF NOT EXISTS outfeed_status_events_outfeed_idx ON outfeed_status_events (outfeed_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS outfeed_status_events_started_at_idx ON outfeed_status_events (started_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS outfeed_status_events_open_key ON outfeed_status_events (outfeed_id) WHERE ended_at IS NULL;
+
+INSERT INTO outfeed_status_events (outfeed_id, status, source, started_at)
+SELECT outfeed_id, status, 'migration', COALESCE(last_updated_at, CURRENT_TIMESTAMP) FROM outfeed_status
+ON CONFLICT DO NOTHING;
@@ -0,0 +1 @@
+ALTER TABLE queue_allocation_progress DROP COLUMN IF EXISTS observed_asignada;
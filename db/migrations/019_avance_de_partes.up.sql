@@ -0,0 +1,4 @@
+-- Avance de las partes de líneas repartidas medido por lo asignado de la línea (ver recordAllocationProgress en
+-- lib/reconcile.js): observed_asignada es la cantidad_asignada de la línea en la última reconciliación en que la
+-- parte estaba en cabeza. NULL mientras la parte no está en cabeza; al volver, se mide de nuevo desde ahí.
+ALTER TABLE queue_allocation_progress ADD COLUMN IF NOT EXISTS observed_asignada NUMERIC;
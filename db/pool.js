@@ -0,0 +1,18 @@
+// Pool de conexiones compartido por el servidor y los scripts de base de datos.
+import 'dotenv/config';
+import pg from 'pg';
+
+// --- CONFIGURACIÓN SEGURA DE LA CONEXIÓN A POSTGRESQL ---
+const connectionString = process.env.DATABASE_URL;
+
+if (!connectionString) {
+    console.error('ERROR CRÍTICO: La variable de entorno DATABASE_URL no está definida.');
+    process.exit(1);
+}
+
+// Render exige SSL; un Postgres local normalmente no lo tiene habilitado (DATABASE_SSL=false).
+const ssl = process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false };
+
+const pool = new pg.Pool({ connectionString, ssl });
+
+export default pool;
@@ -0,0 +1,309 @@
+// Alertas por reglas sobre el tablero. Se evalúan después de cada reconciliación; cada caso (línea, outfeed o load)
+// abre una sola alerta que sigue abierta mientras la condición se cumpla y se notifica una vez por webhook o correo.
+// El tablero muestra las abiertas para acusar recibo.
+import fetch from 'node-fetch';
+import nodemailer from 'nodemailer';
+import { getPackingStatus, packingStateFor, readPlanningState } from './reconcile.js';
+import { parseShipDate } from './eta.js';
+import { palletFigures } from './reports.js';
+
+export const ALERT_SEVERITIES = ['critical', 'warning', 'info'];
+export const ALERT_CHANNEL_TYPES = ['webhook', 'email'];
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const lineKey = (order) => `${order.id_marketer_order}-${order.codigo_producto}`;
+const isOpenLine = (order, packingState) => order.estado_marketer_order === 'activa' && !['done', 'shipped'].includes(getPackingStatus(order, packingState));
+const lineDetails = (order) => ({ order_id: order.id_marketer_order, standard_id: String(order.codigo_producto), order_number: order.order_number, fecha_envio: order.fecha_envio });
+
+// Cada regla devuelve los casos que hoy la cumplen: [{ key, message, details }].
+// ctx: { orders, state (readPlanningState), packingState, statusRows (outfeed_status), today, now }
+export const ALERT_RULES = {
+    ship_today_pending: {
+        severity: 'critical',
+        description: 'Órdenes que se despachan hoy y todavía tienen pallets pendientes.',
+        defaults: { minPendingPallets: 0 },
+        evaluate: ({ orders, packingState, today }, params) => orders
+            .filter(o => isOpenLine(o, packingState) && parseShipDate(o.fecha_envio)?.getTime() === today.getTime())
+            .map(o => ({ order: o, pending: palletFigures(o).pending }))
+            .filter(({ pending }) => pending > params.minPendingPallets)
+            .map(({ order, pending }) => ({
+                key: lineKey(order),
+                message: `La orden ${order.order_number} (${order.descripcion || order.codigo_producto}) se despacha hoy y tiene ${pending} pallets pendientes.`,
+                details: { ...lineDetails(order), pending_pallets: pending }
+            }))
+    },
+    past_due_unplanned: {
+        severity: 'warning',
+        description: 'Líneas con fecha de envío pasada que no están en ninguna cola de outfeed.',
+        defaults: {},
+        evaluate: ({ orders, state, packingState, today }) => {
+            const planned = new Set(Object.values(state.queues).flat().map(item => `${item.order_id}-${item.standard_id}`));
+            return orders
+                .filter(o => isOpenLine(o, packingState) && !planned.has(lineKey(o)))
+                .filter(o => { const date = parseShipDate(o.fecha_envio); return date && date < today; })
+                .filter(o => palletFigures(o).pending > 0)
+                .map(o => ({
+                    key: lineKey(o),
+                    message: `La orden ${o.order_number} (${o.descripcion || o.codigo_producto}) tenía envío el ${o.fecha_envio} y no está planificada en ningún outfeed.`,
+                    details: { ...lineDetails(o), pending_pallets: palletFigures(o).pending }
+                }));
+        }
+    },
+    outfeed_paused: {
+        severity: 'warning',
+        description: 'Outfeeds detenidos (en pausa, cambio de formato, mantención o sin fruta; no fin de turno) por más de `minutes` minutos con tags en cola.',
+        defaults: { minutes: 60 },
+        evaluate: ({ state, statusRows, now }, params) => statusRows
+            .filter(row => !['RUNNING', 'END_OF_SHIFT'].includes(row.status) && (state.queues[row.outfeed_id] || []).length > 0)
+            .map(row => ({ row, minutes: Math.floor((now - new Date(row.last_updated_at)) / 60000) }))
+            .filter(({ minutes }) => minutes >= params.minutes)
+            .map(({ row, minutes }) => ({
+                key: `outfeed-${row.outfeed_id}`,
+                message: `El outfeed ${row.outfeed_id} lleva ${minutes} min en ${row.status}${row.reason ? ` (${row.reason})` : ''} con ${state.queues[row.outfeed_id].length} tags en cola.`,
+                details: {
+                    outfeed_id: row.outfeed_id, status: row.status, reason_code: row.reason_code, paused_since: row.last_updated_at,
+                    queued_tags: state.queues[row.outfeed_id].map(item => item.tag)
+                }
+            }))
+    },
+    done_load_with_priority: {
+        severity: 'info',
+        description: 'Loads sin líneas pendientes que siguen ocupando un lugar en las prioridades.',
+        defaults: {},
+        evaluate: ({ orders, state, packingState }) => Object.entries(state.priorities)
+            .filter(([loadName]) => orders
+                .filter(o => state.loads[o.id_marketer_order] === loadName)
+                .every(o => ['done', 'shipped'].includes(getPackingStatus(o, packingState))))
+            .map(([loadName, priority]) => ({
+                key: `load-${loadName}`,
+                message: `El load ${loadName} ya está terminado y sigue con la prioridad ${priority}.`,
+                details: { load_name: loadName, priority }
+            }))
+    }
+};
+
+const ruleParams = (rule, row) => ({ ...ALERT_RULES[rule].defaults, ...(row?.params || {}) });
+
+// --- CONFIGURACIÓN ---
+
+export const readAlertRules = async (db) => {
+    const result = await db.query('SELECT * FROM alert_rules');
+    return Object.entries(ALERT_RULES).map(([rule, def]) => {
+        const row = result.rows.find(r => r.rule === rule);
+        return {
+            rule, severity: def.severity, description: def.description,
+            enabled: row ? row.enabled : true, params: ruleParams(rule, row),
+            updatedAt: row?.updated_at ?? null, updatedBy: row?.updated_by ?? null
+        };
+    });
+};
+
+// body: { enabled?, params? }. Los parámetros son los de la regla (números >= 0).
+export const updateAlertRule = async (db, rule, { enabled, params }, user) => {
+    if (!ALERT_RULES[rule]) throw httpError(404, `No existe la regla "${rule}". Reglas: ${Object.keys(ALERT_RULES).join(', ')}.`);
+    if (enabled !== undefined && typeof enabled !== 'boolean') throw httpError(400, 'enabled debe ser true o false.');
+    if (params !== undefined) {
+        const allowed = Object.keys(ALERT_RULES[rule].defaults);
+        const invalid = Object.entries(params || {}).filter(([key, value]) => !allowed.includes(key) || typeof value !== 'number' || value < 0);
+        if (params === null || typeof params !== 'object' || invalid.length > 0) {
+            throw httpError(400, `Parámetros no válidos para ${rule}. Admite: ${allowed.join(', ') || 'ninguno'} (números >= 0).`);
+        }
+    }
+    await db.query(
+        `INSERT INTO alert_rules (rule, enabled, params, updated_at, updated_by) VALUES ($1, COALESCE($2, TRUE), COALESCE($3, '{}'::jsonb), CURRENT_TIMESTAMP, $4)
+         ON CONFLICT (rule) DO UPDATE SET enabled = COALESCE($2, alert_rules.enabled), params = COALESCE($3, alert_rules.params),
+             updated_at = CURRENT_TIMESTAMP, updated_by = $4`,
+        [rule, enabled ?? null, params ?? null, user?.username ?? 'system']
+    );
+    return (await readAlertRules(db)).find(r => r.rule === rule);
+};
+
+export const listAlertChannels = async (db) => (await db.query('SELECT * FROM alert_channels ORDER BY id')).rows;
+
+export const createAlertChannel = async (db, { type, target, rules = null }, user) => {
+    if (!ALERT_CHANNEL_TYPES.includes(type)) throw httpError(400, `type debe ser ${ALERT_CHANNEL_TYPES.join(' o ')}.`);
+    const value = String(target ?? '').trim();
+    if (type === 'webhook' && !/^https?:\/\/\S+$/i.test(value)) throw httpError(400, 'El webhook necesita una URL http(s).');
+    if (type === 'email' && !/^[^\s@,]+@[^\s@,]+$/.test(value)) throw httpError(400, 'El destino debe ser una dirección de correo.');
+    if (rules !== null && (!Array.isArray(rules) || rules.length === 0 || rules.some(rule => !ALERT_RULES[rule]))) {
+        throw httpError(400, `rules debe ser null (todas) o una lista de: ${Object.keys(ALERT_RULES).join(', ')}.`);
+    }
+    const result = await db.query(
+        'INSERT INTO alert_channels (type, target, rules, created_by) VALUES ($1, $2, $3, $4) RETURNING *',
+        [type, value, rules, user?.username ?? 'system']
+    );
+    return result.rows[0];
+};
+
+export const deleteAlertChannel = async (db, channelId) => {
+    if (!/^\d+$/.test(String(channelId))) throw httpError(404, `No existe el canal ${channelId}.`);
+    const result = await db.query('DELETE FROM alert_channels WHERE id = $1', [channelId]);
+    if (result.rowCount === 0) throw httpError(404, `No existe el canal ${channelId}.`);
+};
+
+// --- ALERTAS ---
+
+// status: open (por defecto, sin resolver) o all.
+export const listAlerts = async (db, { status = 'open', limit } = {}) => {
+    const result = await db.query(
+        `SELECT * FROM alerts ${status === 'all' ? '' : 'WHERE resolved_at IS NULL'}
+         ORDER BY CASE severity WHEN 'critical' THEN 0 WHEN 'warning' THEN 1 ELSE 2 END, first_seen_at DESC LIMIT $1`,
+        [Math.min(parseInt(limit, 10) || 200, 1000)]
+    );
+    return result.rows;
+};
+
+export const acknowledgeAlert = async (db, alertId, user) => {
+    if (!/^\d+$/.test(String(alertId))) throw httpError(404, `No existe la alerta ${alertId}.`);
+    const result = await db.query(
+        `UPDATE alerts SET acknowledged_at = COALESCE(acknowledged_at, CURRENT_TIMESTAMP), acknowledged_by = COALESCE(acknowledged_by, $2)
+         WHERE id = $1 RETURNING *`,
+        [alertId, user?.username ?? 'system']
+    );
+    if (result.rows.length === 0) throw httpError(404, `No existe la alerta ${alertId}.`);
+    return result.rows[0];
+};
+
+// --- MOTOR ---
+
+// SMTP_HOST habilita los canales de correo; sin él esos envíos quedan registrados como fallidos.
+const createMailer = () => {
+    const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD } = process.env;
+    if (!SMTP_HOST) return null;
+    return nodemailer.createTransport({
+        host: SMTP_HOST,
+        port: parseInt(SMTP_PORT, 10) || 587,
+        secure: SMTP_SECURE === 'true',
+        auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASSWORD } : undefined
+    });
+};
+
+const alertPayload = (alert) => ({
+    id: Number(alert.id), rule: alert.rule, severity: alert.severity, message: alert.message,
+    details: alert.details, firstSeenAt: alert.first_seen_at
+});
+
+// onChange({ opened, resolved }) se llama cuando se abren o resuelven alertas.
+export const createAlertEngine = ({ db, onChange = () => {} }) => {
+    const mailer = createMailer();
+    const from = process.env.ALERTS_EMAIL_FROM || 'packmanager@localhost';
+    let pending = Promise.resolve();
+
+    const deliver = async (channel, alert) => {
+        if (channel.type === 'webhook') {
+            const response = await fetch(channel.target, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ event: 'alert', alert: alertPayload(alert) }),
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+            if (!response.ok) throw new Error(`El webhook respondió ${response.status}.`);
+            return;
+        }
+        if (!mailer) throw new Error('No hay servidor de correo configurado (SMTP_HOST).');
+        await mailer.sendMail({
+            from, to: channel.target,
+            subject: `[PackManager] ${alert.severity.toUpperCase()}: ${alert.message}`,
+            text: `${alert.message}\n\nRegla: ${alert.rule}\nDesde: ${new Date(alert.first_seen_at).toISOString()}\n\n${JSON.stringify(alert.details, null, 2)}`
+        });
+    };
+
+    // Envía la alerta a cada canal habilitado que la incluye y registra el resultado de cada envío.
+    const notify = async (alert, channels) => {
+        for (const channel of channels.filter(c => c.enabled && (!c.rules || c.rules.includes(alert.rule)))) {
+            let error = null;
+            try {
+                await deliver(channel, alert);
+            } catch (deliveryError) {
+                error = deliveryError.message;
+                console.error(`Alerta #${alert.id}: falló el envío al canal ${channel.id} (${channel.type}):`, error);
+            }
+            await db.query('INSERT INTO alert_deliveries (alert_id, channel_id, status, error) VALUES ($1, $2, $3, $4)',
+                [alert.id, channel.id, error ? 'failed' : 'sent', error]);
+        }
+    };
+
+    const run = async ({ orders, now }) => {
+        const [ruleRows, state, statusRes] = await Promise.all([
+            readAlertRules(db),
+            readPlanningState(db),
+            db.query(
+                `SELECT s.outfeed_id, s.status, s.last_updated_at, s.reason_code, r.description AS reason
+                 FROM outfeed_status s LEFT JOIN outfeed_status_reasons r ON r.code = s.reason_code`
+            )
+        ]);
+        const ctx = {
+            orders, state, now, statusRows: statusRes.rows,
+            packingState: packingStateFor(state),
+            today: new Date(now.getFullYear(), now.getMonth(), now.getDate())
+        };
+        const found = ruleRows.filter(r => r.enabled).flatMap(r => ALERT_RULES[r.rule].evaluate(ctx, r.params)
+            .map(match => ({ ...match, rule: r.rule, severity: r.severity })));
+
+        const opened = [];
+        let resolved = [];
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+            const openRes = await client.query('SELECT id, rule, dedupe_key FROM alerts WHERE resolved_at IS NULL FOR UPDATE');
+            const openByKey = new Map(openRes.rows.map(row => [`${row.rule}|${row.dedupe_key}`, row]));
+            for (const match of found) {
+                const existing = openByKey.get(`${match.rule}|${match.key}`);
+                if (existing) {
+                    await client.query('UPDATE alerts SET last_seen_at = $2, message = $3, details = $4 WHERE id = $1', [existing.id, now, match.message, match.details]);
+                    openByKey.delete(`${match.rule}|${match.key}`);
+                    continue;
+                }
+                const inserted = await client.query(
+                    `INSERT INTO alerts (rule, dedupe_key, severity, message, details, first_seen_at, last_seen_at) VALUES ($1, $2, $3, $4, $5, $6, $6)
+                     ON CONFLICT DO NOTHING RETURNING *`,
+                    [match.rule, match.key, match.severity, match.message, match.details, now]
+                );
+                opened.push(...inserted.rows);
+            }
+            // Lo que ya no se cumple (o cuya regla se desactivó) queda resuelto.
+            const stale = [...openByKey.values()].map(row => row.id);
+            if (stale.length > 0) {
+                resolved = (await client.query('UPDATE alerts SET resolved_at = $2 WHERE id = ANY($1::bigint[]) RETURNING id', [stale, now])).rows.map(row => Number(row.id));
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        if (opened.length > 0) {
+            const channels = await listAlertChannels(db);
+            for (const alert of opened) await notify(alert, channels);
+        }
+        if (opened.length > 0 || resolved.length > 0) onChange({ opened: opened.map(alertPayload), resolved });
+        return { opened: opened.length, resolved: resolved.length, open: found.length };
+    };
+
+    // Se llama tras cada reconciliación con la foto de órdenes usada. Las evaluaciones se encolan, nunca corren a la vez.
+    const evaluate = ({ orders, now = new Date() }) => {
+        const result = pending.then(() => run({ orders, now }));
+        pending = result.catch(() => {});
+        return result;
+    };
+
+    // Envía una alerta de prueba a un canal, sin registrarla. Devuelve { success, error }.
+    const testChannel = async (channel) => {
+        try {
+            await deliver(channel, {
+                id: 0, rule: 'test', severity: 'info', first_seen_at: new Date(), details: {},
+                message: 'Prueba de notificación de alertas de PackManager.'
+            });
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    };
+
+    return { evaluate, testChannel };
+};
@@ -0,0 +1,187 @@
+// Bitácora de cambios de planificación y "deshacer".
+// Cada cambio guarda una foto de lo afectado antes y después; deshacer restaura la foto anterior.
+import { readQueues } from './queues.js';
+import { setOutfeedStatus, clearOutfeedStatus } from './outfeed-status.js';
+
+// Permiso necesario para deshacer cada tipo de cambio.
+export const AUDIT_ACTION_PERMISSIONS = {
+    plan: 'queue:write',
+    unplan: 'queue:write',
+    reorder: 'queue:write',
+    auto_schedule: 'queue:write',
+    reconcile_removal: 'queue:write',
+    status_change: 'outfeed-status:write',
+    manual_complete: 'outfeed-status:write',
+    load_assignment: 'loads:write',
+    priority_rewrite: 'priorities:write'
+};
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// JSONB reordena las claves de los objetos; para comparar fotos se serializa con claves ordenadas.
+const canonical = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+const sameState = (a, b) => canonical(JSON.parse(JSON.stringify(a))) === canonical(JSON.parse(JSON.stringify(b)));
+
+// scope: { queues: [outfeedIds], statuses: [outfeedIds], loads: [orderIds], priorities: [plantas] | true (todas) }
+// Cada load se guarda con su planta ({ load, facility }) y las prioridades agrupadas por planta.
+export const captureSnapshot = async (client, scope) => {
+    const snapshot = {};
+    if (scope.queues) {
+        const ids = [...new Set(scope.queues.filter(Boolean).map(id => parseInt(id, 10)))];
+        snapshot.queues = await readQueues(client, ids);
+    }
+    if (scope.statuses) {
+        const ids = [...new Set(scope.statuses.map(id => parseInt(id, 10)))];
+        const result = await client.query('SELECT outfeed_id, status FROM outfeed_status WHERE outfeed_id = ANY($1::int[])', [ids]);
+        snapshot.statuses = Object.fromEntries(ids.map(id => [id, result.rows.find(r => r.outfeed_id === id)?.status ?? null]));
+    }
+    if (scope.loads) {
+        const ids = [...new Set(scope.loads.map(id => parseInt(id, 10)))];
+        const result = await client.query('SELECT order_id, load_name, facility_id FROM loads WHERE order_id = ANY($1::int[])', [ids]);
+        snapshot.loads = Object.fromEntries(ids.map(id => {
+            const row = result.rows.find(r => r.order_id === id);
+            return [id, row ? { load: row.load_name, facility: row.facility_id } : null];
+        }));
+    }
+    if (scope.priorities) {
+        const result = scope.priorities === true
+            ? await client.query('SELECT f.id AS facility_id, p.load_name, p.priority_order FROM facilities f LEFT JOIN load_priorities p ON p.facility_id = f.id')
+            : await client.query('SELECT facility_id, load_name, priority_order FROM load_priorities WHERE facility_id = ANY($1::text[])', [scope.priorities]);
+        const facilityIds = scope.priorities === true ? result.rows.map(r => r.facility_id) : scope.priorities;
+        snapshot.priorities = Object.fromEntries(facilityIds.map(facilityId => [facilityId, Object.fromEntries(result.rows
+            .filter(r => r.facility_id === facilityId && r.load_name)
+            .map(r => [r.load_name, r.priority_order]))]));
+    }
+    return snapshot;
+};
+
+// Aplica una foto sobre la base. Debe ejecutarse dentro de una transacción.
+export const restoreSnapshot = async (client, snapshot, user = null) => {
+    for (const [outfeedId, queue] of Object.entries(snapshot.queues || {})) {
+        await client.query('DELETE FROM outfeed_queue WHERE outfeed_id = $1', [outfeedId]);
+        for (let i = 0; i < queue.length; i++) {
+            const item = queue[i];
+            await client.query(
+                'INSERT INTO outfeed_queue (outfeed_id, tag, order_id, standard_id, sequence, allocated_boxes) VALUES ($1, $2, $3, $4, $5, $6)',
+                [outfeedId, item.tag, item.order_id, item.standard_id, i + 1, item.allocated_boxes ?? null]
+            );
+        }
+    }
+    // Restaurar un estado también queda en la historia del outfeed, como un cambio de origen "undo".
+    for (const [outfeedId, status] of Object.entries(snapshot.statuses || {})) {
+        if (status) {
+            await setOutfeedStatus(client, { outfeedId: parseInt(outfeedId, 10), status, user, source: 'undo' });
+        } else {
+            await clearOutfeedStatus(client, outfeedId);
+        }
+    }
+    for (const [orderId, assignment] of Object.entries(snapshot.loads || {})) {
+        if (assignment) {
+            await client.query(
+                'INSERT INTO loads (order_id, load_name, facility_id) VALUES ($1, $2, $3) ON CONFLICT (order_id) DO UPDATE SET load_name = $2, facility_id = $3, last_updated_at = CURRENT_TIMESTAMP',
+                [orderId, assignment.load, assignment.facility]
+            );
+        } else {
+            await client.query('DELETE FROM loads WHERE order_id = $1', [orderId]);
+        }
+    }
+    for (const [facilityId, priorities] of Object.entries(snapshot.priorities || {})) {
+        await client.query('DELETE FROM load_priorities WHERE facility_id = $1', [facilityId]);
+        for (const [loadName, priorityOrder] of Object.entries(priorities)) {
+            await client.query('INSERT INTO load_priorities (load_name, priority_order, facility_id) VALUES ($1, $2, $3)', [loadName, priorityOrder, facilityId]);
+        }
+    }
+};
+
+// Etiquetas de búsqueda (tags, órdenes, outfeeds) derivadas de las fotos, para no tener que pasarlas a mano.
+const collectKeys = (...snapshots) => {
+    const tags = new Set(), orderIds = new Set(), outfeedIds = new Set();
+    for (const snapshot of snapshots) {
+        for (const [outfeedId, queue] of Object.entries(snapshot.queues || {})) {
+            outfeedIds.add(parseInt(outfeedId, 10));
+            queue.forEach(item => { tags.add(item.tag); orderIds.add(parseInt(item.order_id, 10)); });
+        }
+        Object.keys(snapshot.statuses || {}).forEach(id => outfeedIds.add(parseInt(id, 10)));
+        Object.keys(snapshot.loads || {}).forEach(id => orderIds.add(parseInt(id, 10)));
+    }
+    return { tags: [...tags], orderIds: [...orderIds], outfeedIds: [...outfeedIds] };
+};
+
+// Registra un cambio. Si la foto anterior y la posterior son iguales no se registra nada y devuelve null.
+// `tags` / `orderIds` permiten destacar lo que cambió; si no se indican se usan todas las claves de las fotos.
+export const recordAudit = async (client, { user, action, summary = null, tags, orderIds, before, after, undoOf = null }) => {
+    if (sameState(before, after)) return null;
+    const keys = collectKeys(before, after);
+    const result = await client.query(
+        `INSERT INTO planning_audit_log (user_id, username, action, summary, tags, order_ids, outfeed_ids, before_state, after_state, undo_of)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id`,
+        [user?.id ?? null, user?.username ?? 'system', action, summary, tags ?? keys.tags, orderIds ?? keys.orderIds, keys.outfeedIds, before, after, undoOf]
+    );
+    return result.rows[0].id;
+};
+
+// Deshace un cambio (por defecto el último no deshecho). Solo procede si lo afectado sigue exactamente
+// como lo dejó ese cambio; si alguien lo modificó después, responde 409 para no pisar su trabajo.
+export const undoChange = async (client, user, { auditId = null, isAllowed = () => true } = {}) => {
+    const entryRes = auditId
+        ? await client.query('SELECT * FROM planning_audit_log WHERE id = $1 FOR UPDATE', [auditId])
+        : await client.query("SELECT * FROM planning_audit_log WHERE undone_at IS NULL AND action <> 'undo' ORDER BY id DESC LIMIT 1 FOR UPDATE");
+    const entry = entryRes.rows[0];
+    if (!entry) throw httpError(404, 'No hay cambios para deshacer.');
+    if (entry.action === 'undo') throw httpError(400, 'Un "deshacer" no se puede deshacer; registre el cambio nuevamente.');
+    if (entry.undone_at) throw httpError(409, `El cambio #${entry.id} ya fue deshecho por ${entry.undone_by}.`);
+    if (!isAllowed(entry.action)) throw httpError(403, `Su rol no permite deshacer cambios de tipo "${entry.action}".`);
+
+    const scope = {
+        queues: entry.after_state.queues && Object.keys(entry.after_state.queues),
+        statuses: entry.after_state.statuses && Object.keys(entry.after_state.statuses),
+        loads: entry.after_state.loads && Object.keys(entry.after_state.loads),
+        priorities: entry.after_state.priorities && Object.keys(entry.after_state.priorities)
+    };
+    const current = await captureSnapshot(client, scope);
+    if (!sameState(current, entry.after_state)) {
+        throw httpError(409, `No se puede deshacer el cambio #${entry.id}: el estado fue modificado después.`);
+    }
+
+    await restoreSnapshot(client, entry.before_state, user);
+    await client.query('UPDATE planning_audit_log SET undone_at = CURRENT_TIMESTAMP, undone_by = $2 WHERE id = $1', [entry.id, user?.username ?? 'system']);
+    await recordAudit(client, {
+        user,
+        action: 'undo',
+        summary: `Deshace #${entry.id} (${entry.action})${entry.summary ? `: ${entry.summary}` : ''}`,
+        tags: entry.tags,
+        orderIds: entry.order_ids,
+        before: entry.after_state,
+        after: entry.before_state,
+        undoOf: entry.id
+    });
+    return { entry, restored: entry.before_state };
+};
+
+// Filtros: tag, orderId, outfeedId, action, from, to (ISO), limit.
+export const queryAuditLog = async (db, { tag, orderId, outfeedId, action, from, to, limit } = {}) => {
+    const conditions = [];
+    const params = [];
+    const add = (sql, value) => { params.push(value); conditions.push(sql.replace('?', `$${params.length}`)); };
+    if (tag) add('? = ANY(tags)', tag);
+    if (orderId) add('?::int = ANY(order_ids)', orderId);
+    if (outfeedId) add('?::int = ANY(outfeed_ids)', outfeedId);
+    if (action) add('action = ?', action);
+    if (from) add('created_at >= ?::timestamptz', from);
+    if (to) add('created_at <= ?::timestamptz', to);
+    params.push(Math.min(parseInt(limit, 10) || 200, 1000));
+
+    const result = await db.query(
+        `SELECT id, created_at, username, action, summary, tags, order_ids, outfeed_ids, before_state, after_state, undone_at, undone_by, undo_of
+         FROM planning_audit_log ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY id DESC LIMIT $${params.length}`,
+        params
+    );
+    return result.rows;
+};
@@ -0,0 +1,148 @@
+// Usuarios, sesiones y permisos por rol.
+import crypto from 'crypto';
+import { promisify } from 'util';
+import pool from '../db/pool.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const SESSION_COOKIE = 'pm_session';
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 12;
+const SCRYPT_KEYLEN = 64;
+
+// Cada rol otorga un conjunto de permisos; un usuario puede tener varios roles.
+export const ROLE_PERMISSIONS = {
+    admin: ['*'],
+    planner: ['board:read', 'queue:write', 'alerts:acknowledge'],
+    load_coordinator: ['board:read', 'loads:write', 'priorities:write', 'alerts:acknowledge'],
+    line_lead: ['board:read', 'outfeed-status:write', 'alerts:acknowledge'],
+    // Puede autorizar líneas que no cumplen las reglas de capacidad de un outfeed.
+    supervisor: ['board:read', 'queue:write', 'outfeed-status:write', 'capabilities:override', 'alerts:acknowledge'],
+    viewer: ['board:read'],
+    price_viewer: ['board:read', 'price:read']
+};
+export const VALID_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+export const permissionsForRoles = (roles = []) => {
+    const permissions = new Set();
+    for (const role of roles) {
+        (ROLE_PERMISSIONS[role] || []).forEach(p => permissions.add(p));
+    }
+    return permissions;
+};
+
+export const hasPermission = (user, permission) => {
+    if (!user) return false;
+    const permissions = permissionsForRoles(user.roles);
+    return permissions.has('*') || permissions.has(permission);
+};
+
+// --- CONTRASEÑAS ---
+// Formato almacenado: scrypt$<salt hex>$<hash hex>
+export const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT_KEYLEN);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+export const verifyPassword = async (password, storedHash) => {
+    const [scheme, saltHex, hashHex] = String(storedHash).split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+// --- SESIONES ---
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const toPublicUser = (row) => ({
+    id: row.id,
+    username: row.username,
+    displayName: row.display_name || row.username,
+    roles: row.roles,
+    permissions: [...permissionsForRoles(row.roles)]
+});
+
+// Valida credenciales y crea una sesión. Devuelve null si el usuario no existe, está inactivo o la clave no coincide.
+export const login = async (username, password) => {
+    const result = await pool.query('SELECT * FROM users WHERE LOWER(username) = LOWER($1) AND active', [username]);
+    const user = result.rows[0];
+    if (!user || !(await verifyPassword(password, user.password_hash))) return null;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await pool.query(
+        `INSERT INTO user_sessions (token_hash, user_id, expires_at) VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(hours => $3))`,
+        [hashToken(token), user.id, SESSION_TTL_HOURS]
+    );
+    await pool.query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+    return { token, user: toPublicUser(user), maxAgeSeconds: SESSION_TTL_HOURS * 3600 };
+};
+
+export const logout = async (token) => {
+    if (token) await pool.query('DELETE FROM user_sessions WHERE token_hash = $1', [hashToken(token)]);
+};
+
+const findUserBySession = async (token) => {
+    const result = await pool.query(
+        `SELECT u.* FROM user_sessions s JOIN users u ON u.id = s.user_id
+         WHERE s.token_hash = $1 AND s.expires_at > CURRENT_TIMESTAMP AND u.active`,
+        [hashToken(token)]
+    );
+    return result.rows[0] ? toPublicUser(result.rows[0]) : null;
+};
+
+export const createUser = async (db, { username, password, displayName, roles }) => {
+    const invalidRoles = roles.filter(r => !VALID_ROLES.includes(r));
+    if (invalidRoles.length > 0) throw new Error(`Roles no válidos: ${invalidRoles.join(', ')}.`);
+    const result = await db.query(
+        'INSERT INTO users (username, display_name, password_hash, roles) VALUES ($1, $2, $3, $4) RETURNING *',
+        [username, displayName || null, await hashPassword(password), roles]
+    );
+    return toPublicUser(result.rows[0]);
+};
+
+// --- COOKIES Y MIDDLEWARE ---
+// Una cookie mal codificada (de otra aplicación del mismo dominio, p. ej.) se conserva tal cual en vez de fallar.
+const decodeCookieValue = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+};
+
+export const parseCookies = (header = '') => header.split(';').reduce((acc, part) => {
+    const index = part.indexOf('=');
+    if (index > 0) acc[part.slice(0, index).trim()] = decodeCookieValue(part.slice(index + 1).trim());
+    return acc;
+}, {});
+
+export const sessionCookie = (req, token, maxAgeSeconds) => {
+    const parts = [`${SESSION_COOKIE}=${token}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${maxAgeSeconds}`];
+    if (req.secure) parts.push('Secure');
+    return parts.join('; ');
+};
+
+// Carga req.user a partir de la cookie de sesión (si existe). No rechaza peticiones por sí mismo.
+export const loadSession = async (req, res, next) => {
+    req.sessionToken = null;
+    req.user = null;
+    try {
+        req.sessionToken = parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+        if (!req.sessionToken) return next();
+        req.user = await findUserBySession(req.sessionToken);
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const requirePermission = (permission) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ success: false, message: 'Debe iniciar sesión.' });
+    }
+    if (!hasPermission(req.user, permission)) {
+        return res.status(403).json({ success: false, message: `Su rol no tiene el permiso "${permission}".` });
+    }
+    next();
+};
@@ -0,0 +1,112 @@
+// Reglas de capacidad de cada outfeed: formaciones que puede empacar, certificación orgánica,
+// familias de label y máximo de cajas por pallet. Se validan al planificar y al mover tags entre colas;
+// un supervisor puede autorizar una excepción, que queda registrada con su justificación.
+
+export const CAPABILITY_OVERRIDE_PERMISSION = 'capabilities:override';
+
+// Si un label no tiene familia registrada, se considera orgánico cuando su nombre lo dice.
+const ORGANIC_LABEL_PATTERN = /organic|org[aá]nic/i;
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+const httpError = (status, message, extra = {}) => Object.assign(new Error(message), { status, ...extra });
+
+const toCapability = (row) => ({
+    allowedFormaciones: row.allowed_formaciones,
+    organicCertified: row.organic_certified,
+    allowedLabelFamilies: row.allowed_label_families,
+    maxBoxesPerPallet: row.max_boxes_per_pallet,
+    updatedAt: row.updated_at,
+    updatedBy: row.updated_by
+});
+
+// { outfeeds: { [outfeedId]: capacidad }, labelFamilies: { [label]: { family, organic } } }
+export const readCapabilityRules = async (db) => {
+    const [capabilitiesRes, familiesRes] = await Promise.all([
+        db.query('SELECT * FROM outfeed_capabilities ORDER BY outfeed_id'),
+        db.query('SELECT label, family, organic FROM label_families ORDER BY label')
+    ]);
+    return {
+        outfeeds: Object.fromEntries(capabilitiesRes.rows.map(row => [row.outfeed_id, toCapability(row)])),
+        labelFamilies: Object.fromEntries(familiesRes.rows.map(row => [row.label, { family: row.family, organic: row.organic }]))
+    };
+};
+
+// Motivos por los que una línea no puede ir en un outfeed con esa capacidad ([] si puede).
+export const checkLine = (order, capability, labelFamilies = {}) => {
+    if (!capability) return [];
+    const reasons = [];
+    const family = labelFamilies[order.label] ?? null;
+
+    if (capability.allowedFormaciones && !capability.allowedFormaciones.some(f => normalize(f) === normalize(order.formacion))) {
+        reasons.push(`formación "${order.formacion || 'sin formación'}" no permitida (permitidas: ${capability.allowedFormaciones.join(', ') || 'ninguna'})`);
+    }
+    const isOrganic = family ? family.organic : ORGANIC_LABEL_PATTERN.test(order.label || '');
+    if (isOrganic && !capability.organicCertified) {
+        reasons.push('línea orgánica en un outfeed sin certificación orgánica');
+    }
+    if (capability.allowedLabelFamilies) {
+        if (!family) reasons.push(`el label "${order.label || 'sin label'}" no tiene familia asignada`);
+        else if (!capability.allowedLabelFamilies.some(f => normalize(f) === normalize(family.family))) {
+            reasons.push(`familia de label "${family.family}" no permitida (permitidas: ${capability.allowedLabelFamilies.join(', ') || 'ninguna'})`);
+        }
+    }
+    const boxesPerPallet = parseFloat(order.cajas_por_pallet);
+    if (capability.maxBoxesPerPallet && boxesPerPallet > capability.maxBoxesPerPallet) {
+        reasons.push(`${boxesPerPallet} cajas por pallet supera el máximo del outfeed (${capability.maxBoxesPerPallet})`);
+    }
+    return reasons;
+};
+
+// placements: [{ outfeedId, order_id, standard_id, tag }]. Las líneas que no están en la foto de órdenes no se validan.
+export const findViolations = (rules, orders, placements) => {
+    const violations = [];
+    for (const placement of placements) {
+        const order = orders.find(o => o.id_marketer_order == placement.order_id && o.codigo_producto == placement.standard_id);
+        if (!order) continue;
+        const reasons = checkLine(order, rules.outfeeds[placement.outfeedId], rules.labelFamilies);
+        if (reasons.length > 0) {
+            violations.push({ outfeedId: parseInt(placement.outfeedId, 10), order_id: parseInt(placement.order_id, 10), standard_id: String(placement.standard_id), tag: placement.tag ?? null, reasons });
+        }
+    }
+    return violations;
+};
+
+export const describeViolations = (violations) => violations
+    .map(v => `${v.tag || `${v.order_id}-${v.standard_id}`} en outfeed ${v.outfeedId}: ${v.reasons.join('; ')}`)
+    .join('. ');
+
+// Rechaza la operación si hay violaciones y no viene una excepción válida.
+// override: { reason } enviado por el cliente. Devuelve las violaciones que hay que registrar como excepción.
+export const enforceCapabilities = ({ violations, override, canOverride }) => {
+    if (violations.length === 0) return [];
+    if (!override) {
+        throw httpError(422, `Reglas de outfeed no cumplidas: ${describeViolations(violations)}.`, { violations, overridable: canOverride });
+    }
+    if (!canOverride) {
+        throw httpError(403, 'Su rol no permite autorizar excepciones a las reglas de los outfeeds.', { violations, overridable: false });
+    }
+    if (!String(override.reason ?? '').trim()) {
+        throw httpError(400, 'La excepción necesita una justificación.', { violations, overridable: true });
+    }
+    return violations;
+};
+
+// Registra cada excepción autorizada, vinculada a la entrada de la bitácora del cambio.
+export const recordOverrides = async (client, { user, auditId, violations, reason }) => {
+    for (const v of violations) {
+        await client.query(
+            `INSERT INTO capability_overrides (user_id, username, audit_id, outfeed_id, order_id, standard_id, tag, violations, reason)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [user?.id ?? null, user?.username ?? 'system', auditId, v.outfeedId, v.order_id, v.standard_id, v.tag, v.reasons, String(reason).trim()]
+        );
+    }
+};
+
+export const listOverrides = async (db, { limit } = {}) => {
+    const result = await db.query(
+        'SELECT * FROM capability_overrides ORDER BY id DESC LIMIT $1',
+        [Math.min(parseInt(limit, 10) || 100, 1000)]
+    );
+    return result.rows;
+};
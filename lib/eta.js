@@ -0,0 +1,156 @@
+// Estimación de inicio y término de cada tag en las colas de outfeed.
+// El ritmo de cada outfeed (cajas/hora) se aprende de cuánto crece cantidad_asignada de la línea que está
+// empacando entre una reconciliación y la siguiente.
+
+const DEFAULT_RATE_BOXES_PER_HOUR = parseFloat(process.env.DEFAULT_PACKING_RATE_BOXES_PER_HOUR) || 300;
+const RATE_WINDOW_DAYS = 7;
+// Con menos tiempo observado el ritmo aprendido no es confiable y se usa el ritmo por defecto.
+const MIN_SAMPLED_SECONDS = 30 * 60;
+// Un intervalo más largo que esto entre observaciones (servidor detenido, API caída) no se usa como muestra.
+const MAX_SAMPLE_GAP_SECONDS = 15 * 60;
+// Hora del día de envío a la que el tag debe estar empacado (24 = fin del día).
+const SHIP_CUTOFF_HOUR = parseInt(process.env.SHIP_CUTOFF_HOUR ?? '24', 10);
+
+const lineKey = (orderId, standardId) => `${orderId}-${standardId}`;
+
+export const pendingBoxes = (order) => Math.max(0, (parseFloat(order.cantidad_solicitada) || 0) - (parseFloat(order.cantidad_asignada) || 0));
+
+// Cajas asignadas de la línea de un item: las de la API de órdenes o, si van adelante, las que informaron los
+// operadores para su tag, sin pasar de lo solicitado. reportedBoxes: readReportedBoxes() (lib/kiosk.js).
+export const lineAssignedBoxes = (item, order, reportedBoxes = {}) => Math.max(
+    parseFloat(order.cantidad_asignada) || 0,
+    Math.min(reportedBoxes[item.tag] || 0, parseFloat(order.cantidad_solicitada) || 0)
+);
+
+// Cajas que le faltan a un item de cola: si es la parte de una línea repartida, lo que queda de su parte (sin pasar
+// de lo pendiente de la línea); si no, todo lo pendiente de la línea. allocationProgress: readAllocationProgress().
+export const itemPendingBoxes = (item, order, allocationProgress = {}, reportedBoxes = {}) => {
+    const linePending = order ? pendingBoxes({ ...order, cantidad_asignada: lineAssignedBoxes(item, order, reportedBoxes) }) : null;
+    if (item.allocated_boxes === undefined || item.allocated_boxes === null) return linePending;
+    const remaining = Math.max(0, item.allocated_boxes - (allocationProgress[item.tag] || 0));
+    return linePending === null ? remaining : Math.min(remaining, linePending);
+};
+
+// fecha_envio viene como M/d/yyyy (igual que en el tablero). Devuelve la medianoche local de ese día, o null.
+export const parseShipDate = (fechaEnvio) => {
+    const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(String(fechaEnvio || '').trim());
+    if (!match) return null;
+    const [, month, day, year] = match.map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// Instante límite de empaque según SHIP_CUTOFF_HOUR (hora local del servidor).
+export const shipDeadline = (fechaEnvio) => {
+    const date = parseShipDate(fechaEnvio);
+    if (!date) return null;
+    date.setHours(SHIP_CUTOFF_HOUR);
+    return date;
+};
+
+// Se llama en cada reconciliación, con las colas y órdenes previas a retirar los tags terminados.
+// Compara la línea en cabeza de cada outfeed RUNNING con la observación anterior y guarda el avance como muestra.
+// Devuelve las muestras guardadas, con su línea: [{ outfeedId, order_id, standard_id, observedAt, boxes, seconds }].
+export const recordPackingProgress = async (client, { queueRows, orders, now = new Date() }) => {
+    const ordersByLine = new Map(orders.map(o => [lineKey(o.id_marketer_order, o.codigo_producto), o]));
+    const [statusRes, progressRes] = await Promise.all([
+        client.query('SELECT outfeed_id, status, last_updated_at FROM outfeed_status'),
+        client.query('SELECT outfeed_id, order_id, standard_id, cantidad_asignada, observed_at FROM outfeed_progress')
+    ]);
+    const previousByOutfeed = new Map(progressRes.rows.map(r => [r.outfeed_id, r]));
+
+    const runningHeads = queueRows.filter(r => r.sequence === 1 && statusRes.rows.find(s => s.outfeed_id === r.outfeed_id)?.status === 'RUNNING');
+    // Si la misma línea está en cabeza de varios outfeeds en marcha, su avance se reparte entre ellos.
+    const headsPerLine = runningHeads.reduce((acc, r) => acc.set(lineKey(r.order_id, r.standard_id), (acc.get(lineKey(r.order_id, r.standard_id)) || 0) + 1), new Map());
+    const samples = [];
+
+    for (const head of runningHeads) {
+        const order = ordersByLine.get(lineKey(head.order_id, head.standard_id));
+        if (!order) continue;
+        const assigned = parseFloat(order.cantidad_asignada) || 0;
+        const previous = previousByOutfeed.get(head.outfeed_id);
+        const statusSince = statusRes.rows.find(s => s.outfeed_id === head.outfeed_id).last_updated_at;
+
+        if (previous && previous.order_id === head.order_id && previous.standard_id === String(head.standard_id) && statusSince <= previous.observed_at) {
+            const seconds = (now - previous.observed_at) / 1000;
+            if (seconds > 0 && seconds <= MAX_SAMPLE_GAP_SECONDS) {
+                const boxes = Math.max(0, assigned - parseFloat(previous.cantidad_asignada)) / headsPerLine.get(lineKey(head.order_id, head.standard_id));
+                await client.query(
+                    'INSERT INTO outfeed_rate_samples (outfeed_id, observed_at, boxes, seconds) VALUES ($1, $2, $3, $4)',
+                    [head.outfeed_id, now, boxes, seconds]
+                );
+                samples.push({ outfeedId: head.outfeed_id, order_id: head.order_id, standard_id: String(head.standard_id), observedAt: now, boxes, seconds });
+            }
+        }
+        await client.query(
+            `INSERT INTO outfeed_progress (outfeed_id, order_id, standard_id, cantidad_asignada, observed_at) VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (outfeed_id) DO UPDATE SET order_id = $2, standard_id = $3, cantidad_asignada = $4, observed_at = $5`,
+            [head.outfeed_id, head.order_id, String(head.standard_id), assigned, now]
+        );
+    }
+
+    // Los outfeeds detenidos o sin cola pierden su observación: al reanudar se empieza a medir de nuevo.
+    await client.query('DELETE FROM outfeed_progress WHERE NOT (outfeed_id = ANY($1::int[]))', [runningHeads.map(r => r.outfeed_id)]);
+    await client.query(`DELETE FROM outfeed_rate_samples WHERE observed_at < $1::timestamptz - make_interval(days => $2)`, [now, RATE_WINDOW_DAYS]);
+    return samples;
+};
+
+// Ritmo por outfeed: { [outfeedId]: { boxesPerHour, sampledHours, source: 'learned' | 'default' } }
+export const readPackingRates = async (db, outfeedIds) => {
+    const result = await db.query(
+        `SELECT outfeed_id, SUM(boxes) AS boxes, SUM(seconds) AS seconds FROM outfeed_rate_samples
+         WHERE observed_at >= CURRENT_TIMESTAMP - make_interval(days => $1) GROUP BY outfeed_id`,
+        [RATE_WINDOW_DAYS]
+    );
+    const rates = {};
+    for (const id of outfeedIds) {
+        const row = result.rows.find(r => r.outfeed_id === parseInt(id, 10));
+        const seconds = row ? parseFloat(row.seconds) : 0;
+        const learned = row && seconds >= MIN_SAMPLED_SECONDS ? parseFloat(row.boxes) / seconds * 3600 : 0;
+        rates[id] = learned > 0
+            ? { boxesPerHour: Math.round(learned * 10) / 10, sampledHours: Math.round(seconds / 36) / 100, source: 'learned' }
+            : { boxesPerHour: DEFAULT_RATE_BOXES_PER_HOUR, sampledHours: Math.round(seconds / 36) / 100, source: 'default' };
+    }
+    return rates;
+};
+
+// Calcula inicio/término de cada tag encadenando la cola de cada outfeed desde `now`.
+// Un outfeed detenido se estima como si se reanudara ahora (assumesResume: true): sus tags marcados como atrasados
+// llegan tarde aun reanudando ya, y van en atRisk con paused: true para distinguirlos de los de un outfeed en marcha.
+// Cada cola se calcula por separado: un tag presente en varias colas cuenta todas sus cajas pendientes en cada una;
+// la parte de una línea repartida cuenta solo las suyas.
+export const computeEtas = ({ queues, statuses, orders, rates, allocationProgress = {}, reportedBoxes = {}, now = new Date() }) => {
+    const ordersByLine = new Map(orders.map(o => [lineKey(o.id_marketer_order, o.codigo_producto), o]));
+    const outfeeds = {};
+    const atRisk = [];
+
+    for (const [outfeedId, queue] of Object.entries(queues)) {
+        const status = statuses[outfeedId] || 'PAUSED';
+        const assumesResume = status !== 'RUNNING';
+        const rate = rates[outfeedId];
+        let cursor = now.getTime();
+        const items = queue.map(item => {
+            const order = ordersByLine.get(lineKey(item.order_id, item.standard_id));
+            const boxes = itemPendingBoxes(item, order, allocationProgress, reportedBoxes);
+            const startAt = cursor;
+            cursor += (boxes || 0) / rate.boxesPerHour * 3600 * 1000;
+            const deadline = order ? shipDeadline(order.fecha_envio) : null;
+            const missesShipDate = !!deadline && cursor > deadline.getTime();
+            if (missesShipDate) {
+                atRisk.push({ outfeedId: parseInt(outfeedId, 10), tag: item.tag, order_id: item.order_id, standard_id: item.standard_id, paused: assumesResume });
+            }
+            return {
+                tag: item.tag,
+                order_id: item.order_id,
+                standard_id: item.standard_id,
+                allocatedBoxes: item.allocated_boxes ?? null,
+                pendingBoxes: boxes,
+                startAt: new Date(startAt).toISOString(),
+                finishAt: new Date(cursor).toISOString(),
+                shipDeadline: deadline ? deadline.toISOString() : null,
+                missesShipDate
+            };
+        });
+        outfeeds[outfeedId] = { status, assumesResume, ...rate, items };
+    }
+    return { computedAt: now.toISOString(), outfeeds, atRisk };
+};
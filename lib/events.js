@@ -0,0 +1,36 @@
+// Canal de eventos en tiempo real (Server-Sent Events) para el tablero de planificación.
+// Cada cambio confirmado en la base se difunde a todos los navegadores conectados.
+
+const HEARTBEAT_MS = 25000; // Render corta las conexiones inactivas; un comentario periódico las mantiene vivas.
+
+const clients = new Set();
+let nextEventId = 1;
+
+// Registra una respuesta HTTP como suscriptor del canal. Se elimina sola al cerrarse la conexión.
+export const subscribe = (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    clients.add(res);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(res);
+    });
+};
+
+// Envía un evento con nombre y payload JSON a todos los suscriptores.
+export const broadcast = (type, payload) => {
+    if (clients.size === 0) return;
+    const message = `id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+    for (const res of clients) {
+        res.write(message);
+    }
+};
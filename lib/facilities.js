@@ -0,0 +1,216 @@
+// Plantas (packing sheds) de un mismo servidor. Cada outfeed pertenece a una planta y cada load se arma en una;
+// las órdenes llegan de un solo origen y se reparten por reglas de ruteo (marketer, recibidor o dirección).
+// Una orden que ya tiene load queda en la planta de su load aunque después cambien las reglas.
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+const cleanText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+const toFacility = (row) => ({
+    id: row.id,
+    name: row.name,
+    originAddress: row.origin_address,
+    isDefault: row.is_default,
+    position: row.position,
+    outfeedIds: row.outfeed_ids,
+    updatedAt: row.updated_at,
+    updatedBy: row.updated_by
+});
+
+const toRule = (row) => ({
+    id: row.id,
+    position: row.position,
+    facilityId: row.facility_id,
+    marketer: row.marketer,
+    recibidor: row.recibidor,
+    addressContains: row.address_contains
+});
+
+export const readFacilities = async (db) => {
+    const result = await db.query(
+        `SELECT f.*, ARRAY(SELECT o.id FROM outfeeds o WHERE o.facility_id = f.id ORDER BY o.id) AS outfeed_ids
+         FROM facilities f ORDER BY f.position, f.id`
+    );
+    return result.rows.map(toFacility);
+};
+
+export const readRoutingRules = async (db) => {
+    const result = await db.query('SELECT * FROM facility_routing_rules ORDER BY position, id');
+    return result.rows.map(toRule);
+};
+
+// Todo lo necesario para ubicar órdenes: plantas, reglas y la planta del load de cada orden que ya tiene uno.
+export const readRouting = async (db) => {
+    const [facilities, rules, loadsRes] = await Promise.all([
+        readFacilities(db),
+        readRoutingRules(db),
+        db.query('SELECT order_id, facility_id FROM loads')
+    ]);
+    return {
+        facilities,
+        rules,
+        defaultFacilityId: facilities.find(f => f.isDefault)?.id ?? facilities[0]?.id ?? null,
+        loadFacilities: new Map(loadsRes.rows.map(row => [Number(row.order_id), row.facility_id]))
+    };
+};
+
+const ruleMatches = (rule, order) => (!rule.marketer || normalize(rule.marketer) === normalize(order.marketer))
+    && (!rule.recibidor || normalize(rule.recibidor) === normalize(order.recibidor))
+    && (!rule.addressContains || normalize(order.direccion_recibidor).includes(normalize(rule.addressContains)));
+
+// Planta que indican las reglas (la primera que calza) o la planta por defecto.
+export const routeOrder = (order, { rules, defaultFacilityId }) => rules.find(rule => ruleMatches(rule, order))?.facilityId ?? defaultFacilityId;
+
+// Planta efectiva de una línea: la de su load si la orden ya tiene uno; si no, la de las reglas.
+export const facilityOfOrder = (order, routing) => routing.loadFacilities.get(Number(order.id_marketer_order)) ?? routeOrder(order, routing);
+
+export const ordersOfFacility = (orders, routing, facilityId) => orders.filter(order => facilityOfOrder(order, routing) === facilityId);
+
+// Planta pedida en una consulta (?facility=); sin indicarla, la planta por defecto.
+export const resolveFacility = (routing, facilityId) => {
+    if (!facilityId) return routing.defaultFacilityId;
+    if (!routing.facilities.some(f => f.id === facilityId)) throw httpError(404, `No existe la planta "${facilityId}".`);
+    return facilityId;
+};
+
+// Crea o actualiza una planta. Marcarla como por defecto se la quita a la anterior; una planta nueva sin position
+// queda al final de la lista.
+export const saveFacility = async (client, facilityId, { name, originAddress, isDefault, position }, user) => {
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(facilityId)) throw httpError(400, 'El id de la planta solo admite minúsculas, números y guiones.');
+    const existing = await client.query('SELECT * FROM facilities WHERE id = $1 FOR UPDATE', [facilityId]);
+    if (existing.rows.length === 0 && !cleanText(name)) throw httpError(400, 'Falta el nombre ("name") de la planta nueva.');
+    if (name !== undefined && !cleanText(name)) throw httpError(400, 'El nombre de la planta no puede quedar vacío.');
+    if (isDefault !== undefined && typeof isDefault !== 'boolean') throw httpError(400, 'isDefault debe ser booleano.');
+    if (position !== undefined && !Number.isInteger(position)) throw httpError(400, 'position debe ser un entero.');
+    if (isDefault === false && existing.rows[0]?.is_default) {
+        throw httpError(409, 'Siempre debe haber una planta por defecto: marque otra como por defecto en lugar de desmarcar esta.');
+    }
+
+    if (isDefault) await client.query('UPDATE facilities SET is_default = FALSE WHERE is_default AND id <> $1', [facilityId]);
+    const row = existing.rows[0];
+    const result = await client.query(
+        `INSERT INTO facilities (id, name, origin_address, is_default, position, updated_at, updated_by)
+         VALUES ($1, $2, $3, $4, COALESCE($5, (SELECT COALESCE(MAX(position), 0) + 1 FROM facilities)), CURRENT_TIMESTAMP, $6)
+         ON CONFLICT (id) DO UPDATE SET name = $2, origin_address = $3, is_default = $4, position = EXCLUDED.position, updated_at = CURRENT_TIMESTAMP, updated_by = $6
+         RETURNING *, ARRAY(SELECT o.id FROM outfeeds o WHERE o.facility_id = facilities.id ORDER BY o.id) AS outfeed_ids`,
+        [
+            facilityId,
+            name !== undefined ? cleanText(name) : row.name,
+            originAddress !== undefined ? cleanText(originAddress) : row?.origin_address ?? null,
+            isDefault ?? row?.is_default ?? false,
+            position ?? row?.position ?? null,
+            user?.username ?? 'system'
+        ]
+    );
+    return toFacility(result.rows[0]);
+};
+
+// Solo se elimina una planta vacía: sin outfeeds ni loads en curso, y que no sea la por defecto.
+export const deleteFacility = async (client, facilityId) => {
+    const result = await client.query(
+        `SELECT is_default, EXISTS (SELECT 1 FROM outfeeds WHERE facility_id = $1) AS has_outfeeds,
+             EXISTS (SELECT 1 FROM loads WHERE facility_id = $1) AS has_loads,
+             EXISTS (SELECT 1 FROM shipping_loads WHERE facility_id = $1) AS has_history
+         FROM facilities WHERE id = $1 FOR UPDATE`,
+        [facilityId]
+    );
+    const facility = result.rows[0];
+    if (!facility) throw httpError(404, `No existe la planta "${facilityId}".`);
+    if (facility.is_default) throw httpError(409, 'No se puede eliminar la planta por defecto.');
+    if (facility.has_outfeeds || facility.has_loads || facility.has_history) {
+        throw httpError(409, `La planta "${facilityId}" tiene outfeeds o loads; muévalos antes de eliminarla.`);
+    }
+    await client.query('DELETE FROM facilities WHERE id = $1', [facilityId]);
+};
+
+// Reemplaza las reglas de ruteo; el orden de la lista es el orden de evaluación.
+// rules: [{ facilityId, marketer?, recibidor?, addressContains? }]
+export const replaceRoutingRules = async (client, rules, user) => {
+    if (!Array.isArray(rules)) throw httpError(400, 'El cuerpo de la petición debe contener un array "rules".');
+    const facilitiesRes = await client.query('SELECT id FROM facilities');
+    const known = new Set(facilitiesRes.rows.map(row => row.id));
+    rules.forEach((rule, index) => {
+        if (!rule || !known.has(rule.facilityId)) throw httpError(400, `Regla ${index + 1}: no existe la planta "${rule?.facilityId}".`);
+        if (!cleanText(rule.marketer) && !cleanText(rule.recibidor) && !cleanText(rule.addressContains)) {
+            throw httpError(400, `Regla ${index + 1}: indique al menos uno de marketer, recibidor o addressContains.`);
+        }
+    });
+
+    await client.query('DELETE FROM facility_routing_rules');
+    for (const [index, rule] of rules.entries()) {
+        await client.query(
+            `INSERT INTO facility_routing_rules (position, facility_id, marketer, recibidor, address_contains, updated_by)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [index + 1, rule.facilityId, cleanText(rule.marketer), cleanText(rule.recibidor), cleanText(rule.addressContains), user?.username ?? 'system']
+        );
+    }
+    return readRoutingRules(client);
+};
+
+// Agrega un outfeed a una planta; parte en pausa, como los outfeeds iniciales.
+export const createOutfeed = async (client, { id, description = null, facilityId }) => {
+    if (!Number.isInteger(id) || id <= 0) throw httpError(400, 'El id del outfeed debe ser un entero positivo.');
+    if (!facilityId) throw httpError(400, 'Falta la planta ("facilityId") del outfeed.');
+    const facilityRes = await client.query('SELECT id FROM facilities WHERE id = $1', [facilityId]);
+    if (facilityRes.rows.length === 0) throw httpError(400, `No existe la planta "${facilityId}".`);
+    const result = await client.query(
+        'INSERT INTO outfeeds (id, description, facility_id) VALUES ($1, $2, $3) ON CONFLICT (id) DO NOTHING RETURNING id, description, facility_id',
+        [id, cleanText(description), facilityId]
+    );
+    if (result.rows.length === 0) throw httpError(409, `Ya existe el outfeed ${id}.`);
+    await client.query("INSERT INTO outfeed_status (outfeed_id, status) VALUES ($1, 'PAUSED') ON CONFLICT (outfeed_id) DO NOTHING", [id]);
+    return result.rows[0];
+};
+
+// Cambia la descripción o la planta de un outfeed. Para cambiarlo de planta su cola debe estar vacía.
+export const updateOutfeed = async (client, outfeedId, { description, facilityId }) => {
+    if (!Number.isInteger(outfeedId)) throw httpError(400, 'El id del outfeed debe ser un entero.');
+    const current = await client.query('SELECT id, description, facility_id FROM outfeeds WHERE id = $1 FOR UPDATE', [outfeedId]);
+    if (current.rows.length === 0) throw httpError(404, `No existe el outfeed ${outfeedId}.`);
+    const row = current.rows[0];
+    if (facilityId !== undefined && facilityId !== row.facility_id) {
+        const facilityRes = await client.query('SELECT id FROM facilities WHERE id = $1', [facilityId]);
+        if (facilityRes.rows.length === 0) throw httpError(400, `No existe la planta "${facilityId}".`);
+        const queueRes = await client.query('SELECT COUNT(*)::int AS total FROM outfeed_queue WHERE outfeed_id = $1', [outfeedId]);
+        if (queueRes.rows[0].total > 0) throw httpError(409, `El outfeed ${outfeedId} tiene ${queueRes.rows[0].total} tags en cola; vacíela antes de cambiarlo de planta.`);
+    }
+    const result = await client.query(
+        'UPDATE outfeeds SET description = $2, facility_id = $3 WHERE id = $1 RETURNING id, description, facility_id',
+        [outfeedId, description !== undefined ? cleanText(description) : row.description, facilityId ?? row.facility_id]
+    );
+    return result.rows[0];
+};
+
+// Una línea solo se planifica en outfeeds de la planta de su load. lines: [{ outfeedId, order_id }]
+export const checkLineFacilities = async (client, lines) => {
+    const outfeedIds = [...new Set(lines.map(line => parseInt(line.outfeedId, 10)))];
+    const orderIds = [...new Set(lines.map(line => parseInt(line.order_id, 10)))];
+    const [outfeedsRes, loadsRes] = await Promise.all([
+        client.query('SELECT id, facility_id FROM outfeeds WHERE id = ANY($1::int[])', [outfeedIds]),
+        client.query('SELECT order_id, load_name, facility_id FROM loads WHERE order_id = ANY($1::int[])', [orderIds])
+    ]);
+    for (const line of lines) {
+        const outfeed = outfeedsRes.rows.find(row => row.id === parseInt(line.outfeedId, 10));
+        const load = loadsRes.rows.find(row => row.order_id === parseInt(line.order_id, 10));
+        if (outfeed && load && outfeed.facility_id !== load.facility_id) {
+            throw httpError(422, `La orden ${line.order_id} va en el load ${load.load_name} de la planta "${load.facility_id}"; el outfeed ${outfeed.id} es de la planta "${outfeed.facility_id}".`);
+        }
+    }
+};
+
+// Un nombre de load identifica un solo load en todo el servidor (los tags se derivan de él): no se puede usar
+// en una planta mientras esté en uso en otra.
+export const checkLoadNames = async (client, facilityId, loadNames) => {
+    if (loadNames.length === 0) return;
+    const result = await client.query(
+        `SELECT load_name, facility_id FROM loads WHERE load_name = ANY($1::text[]) AND facility_id <> $2
+         UNION SELECT load_name, facility_id FROM shipping_loads WHERE load_name = ANY($1::text[]) AND facility_id <> $2 AND released_at IS NULL
+         UNION SELECT load_name, facility_id FROM load_priorities WHERE load_name = ANY($1::text[]) AND facility_id <> $2`,
+        [loadNames, facilityId]
+    );
+    if (result.rows.length > 0) {
+        throw httpError(409, `El load ${result.rows[0].load_name} está en uso en la planta "${result.rows[0].facility_id}"; use otro nombre.`);
+    }
+};
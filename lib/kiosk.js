@@ -0,0 +1,145 @@
+// Kiosco de operador por outfeed: tag actual y siguientes con su avance, cierre manual de un tag y cajas
+// empacadas en el turno. Iniciar y pausar usan /api/outfeed-status, igual que el tablero.
+import { readQueues, readAllocationProgress, resequenceQueue } from './queues.js';
+import { captureSnapshot, recordAudit } from './audit.js';
+import { isPackingStatus } from './outfeed-status.js';
+import { lineAssignedBoxes } from './eta.js';
+
+// Horas locales (del servidor) en que empieza cada turno.
+const SHIFT_START_HOURS = String(process.env.SHIFT_START_HOURS || '6,18').split(',')
+    .map(h => parseInt(h, 10)).filter(h => h >= 0 && h < 24).sort((a, b) => a - b);
+// Un cierre manual deja de contar cuando la línea ya no puede aparecer en la foto de órdenes.
+const COMPLETION_RETENTION_DAYS = 60;
+const NEXT_TAGS = 3;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+export const currentShiftStart = (now = new Date()) => {
+    const hours = SHIFT_START_HOURS.length > 0 ? SHIFT_START_HOURS : [0];
+    const started = hours.filter(h => h <= now.getHours());
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate(), started.length > 0 ? started.at(-1) : hours.at(-1));
+    if (started.length === 0) start.setDate(start.getDate() - 1); // Turno que empezó ayer (noche).
+    return start;
+};
+
+// Líneas cerradas a mano que no volvieron a planificarse ("orderId-standardId"). getPackingStatus las trata como terminadas;
+// si un planificador vuelve a poner la línea en una cola (o deshace el cierre), deja de contar.
+export const readCompletedLines = async (db) => {
+    const result = await db.query(
+        `SELECT DISTINCT c.order_id, c.standard_id FROM tag_completions c
+         WHERE c.created_at > CURRENT_TIMESTAMP - make_interval(days => $1)
+         AND NOT EXISTS (SELECT 1 FROM outfeed_queue q WHERE q.order_id = c.order_id AND q.standard_id = c.standard_id)`,
+        [COMPLETION_RETENTION_DAYS]
+    );
+    return result.rows.map(row => `${row.order_id}-${row.standard_id}`);
+};
+
+// Cajas informadas por los operadores para cada tag que sigue en las colas: { [tag]: cajas }. Cuentan como avance
+// del tag mientras la API de órdenes no registre tanto (ver lineAssignedBoxes en lib/eta.js y readAllocationProgress).
+export const readReportedBoxes = async (db) => {
+    const result = await db.query(
+        `SELECT r.tag, SUM(r.boxes)::int AS boxes FROM packing_reports r
+         WHERE EXISTS (SELECT 1 FROM outfeed_queue q WHERE q.tag = r.tag) GROUP BY r.tag`
+    );
+    return Object.fromEntries(result.rows.map(row => [row.tag, row.boxes]));
+};
+
+// El operador da un tag por terminado: sale de todas las colas (como en la reconciliación) y queda el motivo.
+// La parte de una línea repartida tiene su propio sub-tag, así que cerrarla no toca las demás partes.
+// Debe ejecutarse dentro de una transacción. Devuelve los outfeeds cuyas colas cambiaron.
+export const completeTag = async (client, { outfeedId, tag, reason, user }) => {
+    if (!String(reason ?? '').trim()) throw httpError(400, 'Indicar el motivo del cierre manual.');
+    const rowsRes = await client.query('SELECT outfeed_id, order_id, standard_id FROM outfeed_queue WHERE tag = $1 FOR UPDATE', [tag]);
+    const line = rowsRes.rows.find(row => row.outfeed_id === outfeedId);
+    if (!line) throw httpError(404, `El tag ${tag} no está en la cola del outfeed ${outfeedId}.`);
+
+    const outfeedIds = [...new Set(rowsRes.rows.map(row => row.outfeed_id))];
+    const before = await captureSnapshot(client, { queues: outfeedIds });
+    await client.query('DELETE FROM outfeed_queue WHERE tag = $1', [tag]);
+    for (const id of outfeedIds) await resequenceQueue(client, id);
+    const auditId = await recordAudit(client, {
+        user, action: 'manual_complete', summary: `Tag ${tag} cerrado a mano en outfeed ${outfeedId}: ${String(reason).trim()}`,
+        tags: [tag], before, after: await captureSnapshot(client, { queues: outfeedIds })
+    });
+    await client.query(
+        `INSERT INTO tag_completions (user_id, username, audit_id, outfeed_id, tag, order_id, standard_id, reason)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [user?.id ?? null, user?.username ?? 'system', auditId, outfeedId, tag, line.order_id, line.standard_id, String(reason).trim()]
+    );
+    return { outfeedIds };
+};
+
+// Cajas empacadas informadas por el operador. Si no indica tag se asignan al que está en cabeza. Suman al avance del
+// tag (ver readReportedBoxes): la ETA se recalcula enseguida y la reconciliación lo retira cuando completa sus cajas.
+export const reportPackedBoxes = async (db, { outfeedId, tag = null, boxes, user }) => {
+    if (!Number.isInteger(boxes) || boxes <= 0) throw httpError(400, 'boxes debe ser un entero positivo.');
+    const queue = (await readQueues(db, [outfeedId]))[outfeedId];
+    const item = tag ? queue.find(i => i.tag === tag) : queue[0];
+    if (tag && !item) throw httpError(404, `El tag ${tag} no está en la cola del outfeed ${outfeedId}.`);
+    const result = await db.query(
+        `INSERT INTO packing_reports (user_id, username, outfeed_id, tag, order_id, standard_id, boxes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [user?.id ?? null, user?.username ?? 'system', outfeedId, item?.tag ?? null, item?.order_id ?? null, item?.standard_id ?? null, boxes]
+    );
+    return result.rows[0];
+};
+
+// La parte de una línea repartida muestra el avance de sus propias cajas, no el de toda la línea.
+const progressOf = (item, order, allocationProgress, reportedBoxes) => {
+    const isAllocation = item.allocated_boxes !== undefined;
+    const requested = isAllocation ? item.allocated_boxes : parseFloat(order?.cantidad_solicitada) || 0;
+    const assigned = isAllocation ? Math.min(requested, Math.round(allocationProgress[item.tag] || 0))
+        : order ? lineAssignedBoxes(item, order, reportedBoxes) : 0;
+    return { requested, assigned, isAllocation, percentage: requested > 0 ? Math.min(100, Math.round(assigned / requested * 100)) : 0 };
+};
+
+// Vista del kiosco: estado del outfeed, tag en cabeza y los siguientes, con avance según la API de órdenes
+// o las cajas informadas por los operadores, si van adelante, y las cajas informadas en el turno. etas: resultado de computeEtas (opcional).
+export const readKioskView = async (db, { outfeedId, orders, etas = null, now = new Date() }) => {
+    const shiftStart = currentShiftStart(now);
+    const [outfeedRes, statusRes, queues, reportsRes, allocationProgress, reportedBoxes] = await Promise.all([
+        db.query('SELECT id, description FROM outfeeds WHERE id = $1', [outfeedId]),
+        db.query(
+            `SELECT s.status, s.last_updated_at, s.reason_code, r.description AS reason, s.note
+             FROM outfeed_status s LEFT JOIN outfeed_status_reasons r ON r.code = s.reason_code WHERE s.outfeed_id = $1`,
+            [outfeedId]
+        ),
+        readQueues(db, [outfeedId]),
+        db.query('SELECT tag, SUM(boxes)::int AS boxes FROM packing_reports WHERE outfeed_id = $1 AND created_at >= $2 GROUP BY tag', [outfeedId, shiftStart]),
+        readAllocationProgress(db),
+        readReportedBoxes(db)
+    ]);
+    if (outfeedRes.rows.length === 0) throw httpError(404, `No existe el outfeed ${outfeedId}.`);
+
+    const status = statusRes.rows[0]?.status || 'PAUSED';
+    const shiftBoxesByTag = Object.fromEntries(reportsRes.rows.map(row => [row.tag ?? '', row.boxes]));
+    const items = queues[outfeedId].slice(0, NEXT_TAGS + 1).map((item, index) => {
+        const order = orders.find(o => o.id_marketer_order == item.order_id && String(o.codigo_producto) === String(item.standard_id));
+        const eta = etas?.outfeeds?.[outfeedId]?.items?.[index];
+        return {
+            ...item,
+            position: index + 1,
+            orderNumber: order?.order_number || String(item.order_id),
+            marketer: order?.marketer || '',
+            packStyle: order?.descripcion || '',
+            label: order?.label || '',
+            shipDate: order?.fecha_envio || '',
+            ...progressOf(item, order, allocationProgress, reportedBoxes),
+            shiftBoxes: shiftBoxesByTag[item.tag] || 0,
+            finishAt: eta?.tag === item.tag ? eta.finishAt : null,
+            missesShipDate: eta?.tag === item.tag ? eta.missesShipDate : false
+        };
+    });
+    return {
+        outfeed: outfeedRes.rows[0],
+        status,
+        statusSince: statusRes.rows[0]?.last_updated_at ?? null,
+        statusReason: statusRes.rows[0]?.reason_code
+            ? { code: statusRes.rows[0].reason_code, description: statusRes.rows[0].reason, note: statusRes.rows[0].note }
+            : null,
+        current: items[0] ? { ...items[0], beingPacked: isPackingStatus(status) } : null,
+        next: items.slice(1),
+        queueLength: queues[outfeedId].length,
+        shift: { start: shiftStart, boxes: reportsRes.rows.reduce((sum, row) => sum + row.boxes, 0) }
+    };
+};
@@ -0,0 +1,469 @@
+// Indicadores históricos de cumplimiento y de los outfeeds, para las revisiones semanales con los marketers.
+// Tras cada reconciliación se guarda una foto del tablero (líneas por estado, largo y estado de cada cola), el avance
+// del día de cada línea, el paso de los tags por las colas y lo empacado por outfeed. La última foto de cada día
+// es la foto diaria y se conserva; las demás se depuran. Las fechas y turnos usan la hora local del servidor.
+import { getPackingStatus, packingStateFor } from './reconcile.js';
+import { parseShipDate } from './eta.js';
+import { palletFigures, queuedPallets, formatDateTime } from './reports.js';
+import { currentShiftStart } from './kiosk.js';
+
+const SNAPSHOT_RETENTION_DAYS = 90;
+const HISTORY_RETENTION_DAYS = 730;
+const MAX_RANGE_DAYS = 366;
+// Entre dos fotos más separadas que esto (servidor detenido, fotos ya depuradas) no se cuenta el tiempo.
+const MAX_SNAPSHOT_GAP_MINUTES = 15;
+const QUEUE_WAIT_TAG_LIMIT = 500;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const localDay = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+const dayStart = (day) => { const [year, month, date] = day.split('-').map(Number); return new Date(year, month - 1, date); };
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+const round2 = (n) => Math.round(n * 100) / 100;
+const rate = (part, total) => (total > 0 ? round2(part / total * 100) : null);
+const toMinutes = (value) => (value === null || value === undefined ? null : Math.round(parseFloat(value)));
+
+// --- REGISTRO ---
+
+// Guarda los indicadores de una reconciliación. state: readPlanningState(); packingSamples: lo que devolvió
+// recordPackingProgress en esa reconciliación.
+export const recordKpiSnapshot = async (db, { run, state, orders, packingSamples = [], now = new Date() }) => {
+    const packingState = packingStateFor(state);
+    const day = localDay(now);
+    const ordersByLine = new Map(orders.map(o => [`${o.id_marketer_order}-${o.codigo_producto}`, o]));
+    const lines = [...ordersByLine.values()]
+        .filter(o => ['activa', 'cerrada'].includes(o.estado_marketer_order) && o.fecha_envio)
+        .map(o => ({ order: o, status: getPackingStatus(o, packingState), pallets: palletFigures(o) }));
+
+    const linesByStatus = lines.reduce((acc, line) => { acc[line.status] = (acc[line.status] || 0) + 1; return acc; }, {});
+    const totals = lines.reduce((acc, { pallets }) => ({
+        requested: acc.requested + pallets.request, packed: acc.packed + pallets.assigned, shipped: acc.shipped + pallets.shipped
+    }), { requested: 0, packed: 0, shipped: 0 });
+
+    const outfeedIds = [...new Set([...Object.keys(state.statuses), ...Object.keys(state.queues)])].map(Number).sort((a, b) => a - b);
+    const outfeeds = outfeedIds.map(id => {
+        const queue = state.queues[id] || [];
+        return {
+            outfeed_id: id,
+            status: state.statuses[id] || 'PAUSED',
+            queue_length: queue.length,
+            queue_pallets: round2(queue.reduce((sum, item) => {
+                const order = ordersByLine.get(`${item.order_id}-${item.standard_id}`);
+                return sum + (order ? Math.max(0, queuedPallets(item, order, state.allocationProgress, state.reportedBoxes)) : 0);
+            }, 0)),
+            head_tag: queue[0]?.tag ?? null
+        };
+    });
+    const queued = outfeedIds.flatMap(id => (state.queues[id] || []).map((item, index) => ({
+        outfeed_id: id, tag: item.tag, order_id: item.order_id, standard_id: String(item.standard_id),
+        started: index === 0 && state.statuses[id] === 'RUNNING'
+    })));
+
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        const snapshot = await client.query(
+            `INSERT INTO kpi_snapshots (taken_at, business_day, reconcile_run_id, lines_by_status, pallets_requested, pallets_packed, pallets_shipped)
+             VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+            [now, day, run?.id ?? null, linesByStatus, round2(totals.requested), round2(totals.packed), round2(totals.shipped)]
+        );
+        await client.query(
+            `INSERT INTO kpi_outfeed_snapshots (snapshot_id, outfeed_id, status, queue_length, queue_pallets, head_tag)
+             SELECT $1, o.* FROM json_to_recordset($2::json) AS o(outfeed_id INTEGER, status TEXT, queue_length INTEGER, queue_pallets NUMERIC, head_tag TEXT)`,
+            [snapshot.rows[0].id, JSON.stringify(outfeeds)]
+        );
+
+        // Solo se reescriben las líneas que cambiaron desde la reconciliación anterior del día.
+        await client.query(
+            `INSERT INTO kpi_line_days (business_day, order_id, standard_id, order_number, marketer, fecha_envio, packing_status,
+                 boxes_requested, boxes_assigned, boxes_shipped, pallets_requested, updated_at)
+             SELECT $1, l.order_id, l.standard_id, l.order_number, l.marketer, l.fecha_envio, l.packing_status,
+                 l.boxes_requested, l.boxes_assigned, l.boxes_shipped, l.pallets_requested, $2
+             FROM json_to_recordset($3::json) AS l(order_id INTEGER, standard_id TEXT, order_number TEXT, marketer TEXT, fecha_envio DATE,
+                 packing_status TEXT, boxes_requested NUMERIC, boxes_assigned NUMERIC, boxes_shipped NUMERIC, pallets_requested NUMERIC)
+             ON CONFLICT (business_day, order_id, standard_id) DO UPDATE SET
+                 order_number = EXCLUDED.order_number, marketer = EXCLUDED.marketer, fecha_envio = EXCLUDED.fecha_envio,
+                 packing_status = EXCLUDED.packing_status, boxes_requested = EXCLUDED.boxes_requested, boxes_assigned = EXCLUDED.boxes_assigned,
+                 boxes_shipped = EXCLUDED.boxes_shipped, pallets_requested = EXCLUDED.pallets_requested, updated_at = EXCLUDED.updated_at
+             WHERE (kpi_line_days.packing_status, kpi_line_days.boxes_assigned, kpi_line_days.boxes_shipped, kpi_line_days.fecha_envio, kpi_line_days.boxes_requested)
+                 IS DISTINCT FROM (EXCLUDED.packing_status, EXCLUDED.boxes_assigned, EXCLUDED.boxes_shipped, EXCLUDED.fecha_envio, EXCLUDED.boxes_requested)`,
+            [day, now, JSON.stringify(lines.map(({ order, status, pallets }) => {
+                const shipDate = parseShipDate(order.fecha_envio);
+                return {
+                    order_id: order.id_marketer_order, standard_id: String(order.codigo_producto), order_number: order.order_number ?? null,
+                    marketer: order.marketer ?? null, fecha_envio: shipDate ? localDay(shipDate) : null, packing_status: status,
+                    boxes_requested: parseFloat(order.cantidad_solicitada) || 0, boxes_assigned: parseFloat(order.cantidad_asignada) || 0,
+                    boxes_shipped: parseFloat(order.cantidad_despachada) || 0, pallets_requested: pallets.request
+                };
+            }))]
+        );
+
+        // Paso de los tags por las colas: cierra los que salieron, abre los nuevos y marca los que empezaron a empacarse.
+        await client.query(
+            `UPDATE kpi_queue_tags k SET left_at = $1 WHERE k.left_at IS NULL AND NOT EXISTS (
+                 SELECT 1 FROM json_to_recordset($2::json) AS q(outfeed_id INTEGER, tag TEXT) WHERE q.outfeed_id = k.outfeed_id AND q.tag = k.tag)`,
+            [now, JSON.stringify(queued)]
+        );
+        await client.query(
+            `INSERT INTO kpi_queue_tags (outfeed_id, tag, order_id, standard_id, queued_at)
+             SELECT q.outfeed_id, q.tag, q.order_id, q.standard_id, $1 FROM json_to_recordset($2::json) AS q(outfeed_id INTEGER, tag TEXT, order_id INTEGER, standard_id TEXT)
+             ON CONFLICT (outfeed_id, tag) WHERE left_at IS NULL DO NOTHING`,
+            [now, JSON.stringify(queued)]
+        );
+        await client.query(
+            `UPDATE kpi_queue_tags k SET started_at = $1 FROM json_to_recordset($2::json) AS q(outfeed_id INTEGER, tag TEXT, started BOOLEAN)
+             WHERE q.started AND k.left_at IS NULL AND k.started_at IS NULL AND k.outfeed_id = q.outfeed_id AND k.tag = q.tag`,
+            [now, JSON.stringify(queued)]
+        );
+
+        for (const sample of packingSamples) {
+            const boxesPerPallet = parseFloat(ordersByLine.get(`${sample.order_id}-${sample.standard_id}`)?.cajas_por_pallet) || 0;
+            await client.query(
+                'INSERT INTO kpi_outfeed_production (outfeed_id, observed_at, order_id, standard_id, boxes, pallets, seconds) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+                [sample.outfeedId, sample.observedAt, sample.order_id, sample.standard_id, sample.boxes, boxesPerPallet > 0 ? sample.boxes / boxesPerPallet : 0, sample.seconds]
+            );
+        }
+
+        await client.query(
+            `DELETE FROM kpi_snapshots s WHERE s.taken_at < $1::timestamptz - make_interval(days => $2)
+             AND s.id <> (SELECT MAX(d.id) FROM kpi_snapshots d WHERE d.business_day = s.business_day)`,
+            [now, SNAPSHOT_RETENTION_DAYS]
+        );
+        await client.query('DELETE FROM kpi_line_days WHERE business_day < $1::date - $2::int', [day, HISTORY_RETENTION_DAYS]);
+        await client.query(`DELETE FROM kpi_queue_tags WHERE left_at < $1::timestamptz - make_interval(days => $2)`, [now, HISTORY_RETENTION_DAYS]);
+        await client.query(`DELETE FROM kpi_outfeed_production WHERE observed_at < $1::timestamptz - make_interval(days => $2)`, [now, HISTORY_RETENTION_DAYS]);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// --- CONSULTA ---
+
+// Rango de días (YYYY-MM-DD, ambos incluidos). Por defecto, los últimos 7 días.
+export const parseKpiRange = ({ from, to, marketer, outfeedId } = {}, now = new Date()) => {
+    const range = { from: from || localDay(addDays(now, -6)), to: to || localDay(now) };
+    for (const day of [range.from, range.to]) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || localDay(dayStart(day)) !== day) throw httpError(400, `Fecha no válida: "${day}". Usar YYYY-MM-DD.`);
+    }
+    if (range.from > range.to) throw httpError(400, 'from debe ser anterior o igual a to.');
+    if ((dayStart(range.to) - dayStart(range.from)) / 86400000 >= MAX_RANGE_DAYS) throw httpError(400, `El rango no puede superar ${MAX_RANGE_DAYS} días.`);
+    if (outfeedId !== undefined && !/^\d+$/.test(String(outfeedId))) throw httpError(400, 'outfeedId debe ser un número.');
+    return { ...range, marketer: marketer || null, outfeedId: outfeedId !== undefined ? Number(outfeedId) : null, today: localDay(now), now };
+};
+
+// Estado final de cada línea con envío en el rango y el primer día en que se vio despachada.
+// Una línea cuenta como vencida si su fecha de envío ya pasó o si ya se despachó.
+const readDueLines = async (db, { from, to, marketer, today }) => {
+    const result = await db.query(
+        `WITH lines AS (
+             SELECT DISTINCT ON (order_id, standard_id) order_id, standard_id, order_number, marketer, fecha_envio,
+                 boxes_requested, boxes_assigned, boxes_shipped, pallets_requested
+             FROM kpi_line_days WHERE fecha_envio BETWEEN $1 AND $2 AND ($4::text IS NULL OR marketer = $4)
+             ORDER BY order_id, standard_id, business_day DESC
+         ), shipped AS (
+             SELECT d.order_id, d.standard_id, MIN(d.business_day) AS shipped_day FROM kpi_line_days d
+             JOIN lines l USING (order_id, standard_id) WHERE d.packing_status = 'shipped' GROUP BY d.order_id, d.standard_id
+         )
+         SELECT l.*, l.fecha_envio::text AS ship_day, s.shipped_day::text AS shipped_day
+         FROM lines l LEFT JOIN shipped s USING (order_id, standard_id)
+         WHERE s.shipped_day IS NOT NULL OR l.fecha_envio < $3`,
+        [from, to, today, marketer]
+    );
+    return result.rows;
+};
+
+// Porcentaje de líneas despachadas a más tardar en su fecha de envío, en total, por marketer y por día de envío.
+export const readOnTimeShipRate = async (db, range) => {
+    const lines = await readDueLines(db, range);
+    const summarize = (rows) => {
+        const onTime = rows.filter(r => r.shipped_day && r.shipped_day <= r.ship_day).length;
+        const late = rows.filter(r => r.shipped_day && r.shipped_day > r.ship_day).length;
+        return { due: rows.length, onTime, late, notShipped: rows.length - onTime - late, onTimeRate: rate(onTime, rows.length) };
+    };
+    const groupBy = (key) => Object.entries(lines.reduce((acc, r) => { (acc[r[key] || ''] ??= []).push(r); return acc; }, {}))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([value, rows]) => ({ [key === 'ship_day' ? 'shipDay' : key]: value, ...summarize(rows) }));
+    return { ...summarize(lines), byMarketer: groupBy('marketer'), byShipDay: groupBy('ship_day') };
+};
+
+// Cajas despachadas (y empacadas) sobre las pedidas, por marketer, de las líneas vencidas en el rango.
+export const readFillRate = async (db, range) => {
+    const lines = await readDueLines(db, range);
+    const byMarketer = lines.reduce((acc, r) => {
+        const entry = acc[r.marketer || ''] ??= { marketer: r.marketer || '', lines: 0, boxesRequested: 0, boxesPacked: 0, boxesShipped: 0 };
+        const requested = parseFloat(r.boxes_requested), shipped = parseFloat(r.boxes_shipped);
+        entry.lines++;
+        entry.boxesRequested += requested;
+        entry.boxesPacked += Math.min(requested, parseFloat(r.boxes_assigned) + shipped);
+        entry.boxesShipped += Math.min(requested, shipped);
+        return acc;
+    }, {});
+    return Object.values(byMarketer)
+        .sort((a, b) => a.marketer.localeCompare(b.marketer))
+        .map(e => ({ ...e, fillRate: rate(e.boxesShipped, e.boxesRequested), packedFillRate: rate(e.boxesPacked, e.boxesRequested) }));
+};
+
+// Pallets empacados por outfeed y turno (ritmo medido en la línea en cabeza), junto a las cajas que informó el operador.
+export const readOutfeedShifts = async (db, { from, to, outfeedId }) => {
+    const params = [dayStart(from), addDays(dayStart(to), 1), outfeedId];
+    const [production, reports] = await Promise.all([
+        db.query(
+            `SELECT outfeed_id, observed_at, boxes, pallets, seconds FROM kpi_outfeed_production
+             WHERE observed_at >= $1 AND observed_at < $2 AND ($3::int IS NULL OR outfeed_id = $3)`,
+            params
+        ),
+        db.query(
+            `SELECT outfeed_id, created_at, boxes FROM packing_reports
+             WHERE created_at >= $1 AND created_at < $2 AND ($3::int IS NULL OR outfeed_id = $3)`,
+            params
+        )
+    ]);
+    const shifts = new Map();
+    const entryFor = (outfeed, at) => {
+        const shiftStart = currentShiftStart(new Date(at));
+        const key = `${outfeed}|${shiftStart.getTime()}`;
+        if (!shifts.has(key)) shifts.set(key, { outfeedId: outfeed, shiftStart: shiftStart.toISOString(), pallets: 0, boxes: 0, packingHours: 0, reportedBoxes: 0 });
+        return shifts.get(key);
+    };
+    production.rows.forEach(r => {
+        const entry = entryFor(r.outfeed_id, r.observed_at);
+        entry.pallets += parseFloat(r.pallets);
+        entry.boxes += parseFloat(r.boxes);
+        entry.packingHours += parseFloat(r.seconds) / 3600;
+    });
+    reports.rows.forEach(r => { entryFor(r.outfeed_id, r.created_at).reportedBoxes += r.boxes; });
+    return [...shifts.values()]
+        .sort((a, b) => a.shiftStart.localeCompare(b.shiftStart) || a.outfeedId - b.outfeedId)
+        .map(e => ({ ...e, pallets: round2(e.pallets), boxes: round2(e.boxes), packingHours: round2(e.packingHours) }));
+};
+
+// Minutos detenido (cualquier estado distinto de RUNNING) y en marcha por outfeed y día, según las fotos de cada
+// reconciliación. Pasados 90 días solo queda la foto diaria, así que los rangos más antiguos no tienen este dato.
+// La última foto cuenta hasta ahora. El detalle por estado y motivo está en readDowntime.
+export const readPausedTime = async (db, { from, to, outfeedId, now }) => {
+    const result = await db.query(
+        `WITH spans AS (
+             SELECT o.outfeed_id, s.business_day, o.status, o.queue_length,
+                 LEAST(EXTRACT(EPOCH FROM (COALESCE(LEAD(s.taken_at) OVER (PARTITION BY o.outfeed_id ORDER BY s.taken_at), $5) - s.taken_at)) / 60, $4) AS minutes
+             FROM kpi_outfeed_snapshots o JOIN kpi_snapshots s ON s.id = o.snapshot_id
+             WHERE s.business_day BETWEEN $1 AND $2 AND ($3::int IS NULL OR o.outfeed_id = $3)
+         )
+         SELECT outfeed_id, business_day::text AS day,
+             COALESCE(SUM(minutes) FILTER (WHERE status <> 'RUNNING'), 0) AS paused,
+             COALESCE(SUM(minutes) FILTER (WHERE status <> 'RUNNING' AND queue_length > 0), 0) AS paused_with_queue,
+             COALESCE(SUM(minutes) FILTER (WHERE status = 'RUNNING'), 0) AS running
+         FROM spans GROUP BY outfeed_id, business_day ORDER BY business_day, outfeed_id`,
+        [from, to, outfeedId, MAX_SNAPSHOT_GAP_MINUTES, now]
+    );
+    return result.rows.map(r => ({
+        outfeedId: r.outfeed_id, day: r.day,
+        pausedMinutes: toMinutes(r.paused), pausedWithQueueMinutes: toMinutes(r.paused_with_queue), runningMinutes: toMinutes(r.running)
+    }));
+};
+
+// Tiempo de cada outfeed por estado y motivo según la historia de estados (lib/outfeed-status.js), recortado al
+// rango; un tramo abierto cuenta hasta ahora. La disponibilidad es el tiempo en marcha sobre el tiempo total sin
+// contar el fin de turno.
+export const readDowntime = async (db, { from, to, outfeedId, now }) => {
+    const result = await db.query(
+        `WITH spans AS (
+             SELECT e.outfeed_id, e.status, e.reason_code,
+                 EXTRACT(EPOCH FROM (LEAST(COALESCE(e.ended_at, $4), $2) - GREATEST(e.started_at, $1))) / 60 AS minutes
+             FROM outfeed_status_events e
+             WHERE e.started_at < $2 AND COALESCE(e.ended_at, $4) > $1 AND ($3::int IS NULL OR e.outfeed_id = $3)
+         )
+         SELECT s.outfeed_id, s.status, s.reason_code, r.description AS reason, COUNT(*) AS stops, SUM(s.minutes) AS minutes
+         FROM spans s LEFT JOIN outfeed_status_reasons r ON r.code = s.reason_code
+         WHERE s.minutes > 0
+         GROUP BY s.outfeed_id, s.status, s.reason_code, r.description
+         ORDER BY s.outfeed_id, minutes DESC`,
+        [dayStart(from), addDays(dayStart(to), 1), outfeedId, now]
+    );
+    const byOutfeed = new Map();
+    for (const r of result.rows) {
+        if (!byOutfeed.has(r.outfeed_id)) byOutfeed.set(r.outfeed_id, { outfeedId: r.outfeed_id, runningMinutes: 0, stoppedMinutes: 0, endOfShiftMinutes: 0, stops: 0, minutesByStatus: {} });
+        const entry = byOutfeed.get(r.outfeed_id);
+        const minutes = parseFloat(r.minutes);
+        entry.minutesByStatus[r.status] = (entry.minutesByStatus[r.status] || 0) + minutes;
+        if (r.status === 'RUNNING') entry.runningMinutes += minutes;
+        else if (r.status === 'END_OF_SHIFT') entry.endOfShiftMinutes += minutes;
+        else { entry.stoppedMinutes += minutes; entry.stops += Number(r.stops); }
+    }
+    return {
+        byOutfeed: [...byOutfeed.values()].map(e => ({
+            ...e,
+            runningMinutes: toMinutes(e.runningMinutes), stoppedMinutes: toMinutes(e.stoppedMinutes), endOfShiftMinutes: toMinutes(e.endOfShiftMinutes),
+            availability: rate(e.runningMinutes, e.runningMinutes + e.stoppedMinutes),
+            minutesByStatus: Object.fromEntries(Object.entries(e.minutesByStatus).map(([status, minutes]) => [status, toMinutes(minutes)]))
+        })),
+        byReason: result.rows.filter(r => r.status !== 'RUNNING').map(r => ({
+            outfeedId: r.outfeed_id, status: r.status, reasonCode: r.reason_code, reason: r.reason,
+            stops: Number(r.stops), minutes: toMinutes(r.minutes)
+        }))
+    };
+};
+
+// Espera de cada tag en cola hasta quedar en cabeza de un outfeed en marcha, con resumen por outfeed.
+// Los tags que todavía esperan cuentan su espera hasta ahora; los que salieron sin empacarse no entran en el resumen.
+export const readQueueWait = async (db, { from, to, outfeedId, now }) => {
+    const params = [dayStart(from), addDays(dayStart(to), 1), outfeedId];
+    const [summary, tags] = await Promise.all([
+        db.query(
+            `WITH waits AS (
+                 SELECT outfeed_id, started_at, left_at, EXTRACT(EPOCH FROM (started_at - queued_at)) / 60 AS wait
+                 FROM kpi_queue_tags WHERE queued_at >= $1 AND queued_at < $2 AND ($3::int IS NULL OR outfeed_id = $3)
+             )
+             SELECT outfeed_id, COUNT(*) FILTER (WHERE started_at IS NOT NULL) AS tags,
+                 COUNT(*) FILTER (WHERE started_at IS NULL AND left_at IS NULL) AS waiting,
+                 AVG(wait) AS avg_wait, PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY wait) AS p90_wait, MAX(wait) AS max_wait
+             FROM waits GROUP BY outfeed_id ORDER BY outfeed_id`,
+            params
+        ),
+        db.query(
+            `SELECT outfeed_id, tag, order_id, standard_id, queued_at, started_at, left_at,
+                 EXTRACT(EPOCH FROM (COALESCE(started_at, left_at, $4) - queued_at)) / 60 AS wait
+             FROM kpi_queue_tags WHERE queued_at >= $1 AND queued_at < $2 AND ($3::int IS NULL OR outfeed_id = $3)
+             ORDER BY queued_at DESC LIMIT ${QUEUE_WAIT_TAG_LIMIT}`,
+            [...params, now]
+        )
+    ]);
+    return {
+        byOutfeed: summary.rows.map(r => ({
+            outfeedId: r.outfeed_id, tags: Number(r.tags), waiting: Number(r.waiting),
+            avgWaitMinutes: toMinutes(r.avg_wait), p90WaitMinutes: toMinutes(r.p90_wait), maxWaitMinutes: toMinutes(r.max_wait)
+        })),
+        tags: tags.rows.map(r => ({
+            outfeedId: r.outfeed_id, tag: r.tag, order_id: r.order_id, standard_id: r.standard_id,
+            queuedAt: r.queued_at, startedAt: r.started_at, leftAt: r.left_at,
+            state: r.started_at ? 'started' : r.left_at ? 'removed' : 'waiting', waitMinutes: toMinutes(r.wait)
+        }))
+    };
+};
+
+// Fotos diarias (la última de cada día): líneas por estado, pallets y el largo y estado de cada cola.
+export const readDailySnapshots = async (db, { from, to }) => {
+    const result = await db.query(
+        `SELECT DISTINCT ON (s.business_day) s.id, s.business_day::text AS day, s.taken_at, s.lines_by_status,
+             s.pallets_requested, s.pallets_packed, s.pallets_shipped,
+             COALESCE((SELECT json_agg(json_build_object('outfeedId', o.outfeed_id, 'status', o.status, 'queueLength', o.queue_length,
+                 'queuePallets', o.queue_pallets, 'headTag', o.head_tag) ORDER BY o.outfeed_id)
+                 FROM kpi_outfeed_snapshots o WHERE o.snapshot_id = s.id), '[]') AS outfeeds
+         FROM kpi_snapshots s WHERE s.business_day BETWEEN $1 AND $2 ORDER BY s.business_day, s.taken_at DESC`,
+        [from, to]
+    );
+    return result.rows.map(r => ({
+        day: r.day, takenAt: r.taken_at, linesByStatus: r.lines_by_status,
+        palletsRequested: parseFloat(r.pallets_requested), palletsPacked: parseFloat(r.pallets_packed), palletsShipped: parseFloat(r.pallets_shipped),
+        outfeeds: r.outfeeds
+    }));
+};
+
+export const KPI_READERS = {
+    'on-time': readOnTimeShipRate,
+    'fill-rate': readFillRate,
+    'outfeed-shifts': readOutfeedShifts,
+    'paused-time': readPausedTime,
+    downtime: readDowntime,
+    'queue-wait': readQueueWait,
+    snapshots: readDailySnapshots
+};
+
+// --- REPORTE ---
+
+// Tablas para descargar el reporte semanal en XLSX o PDF (ver toXlsx / toPdf en lib/reports.js).
+export const buildKpiTables = ({ onTime, fillRate, outfeedShifts, pausedTime, downtime, queueWait }) => [
+    {
+        title: 'On-Time Shipping',
+        columns: [
+            { key: 'marketer', header: 'MARKETER', width: 16 },
+            { key: 'due', header: 'LINES DUE', width: 8, numeric: true },
+            { key: 'onTime', header: 'ON TIME', width: 8, numeric: true },
+            { key: 'late', header: 'LATE', width: 8, numeric: true },
+            { key: 'notShipped', header: 'NOT SHIPPED', width: 8, numeric: true },
+            { key: 'onTimeRate', header: 'ON-TIME %', width: 8, numeric: true, decimals: 2 }
+        ],
+        rows: onTime.byMarketer,
+        totals: { due: onTime.due, onTime: onTime.onTime, late: onTime.late, notShipped: onTime.notShipped, onTimeRate: onTime.onTimeRate }
+    },
+    {
+        title: 'Fill Rate',
+        columns: [
+            { key: 'marketer', header: 'MARKETER', width: 16 },
+            { key: 'lines', header: 'LINES', width: 7, numeric: true },
+            { key: 'boxesRequested', header: 'BOXES REQUESTED', width: 10, numeric: true, decimals: 2 },
+            { key: 'boxesPacked', header: 'BOXES PACKED', width: 10, numeric: true, decimals: 2 },
+            { key: 'boxesShipped', header: 'BOXES SHIPPED', width: 10, numeric: true, decimals: 2 },
+            { key: 'packedFillRate', header: 'PACKED %', width: 8, numeric: true, decimals: 2 },
+            { key: 'fillRate', header: 'FILL RATE %', width: 8, numeric: true, decimals: 2 }
+        ],
+        rows: fillRate,
+        totals: null
+    },
+    {
+        title: 'Pallets per Shift',
+        columns: [
+            { key: 'shift', header: 'SHIFT START', width: 13 },
+            { key: 'outfeed', header: 'OUTFEED', width: 9 },
+            { key: 'pallets', header: 'PALLETS', width: 8, numeric: true, decimals: 2 },
+            { key: 'boxes', header: 'BOXES', width: 8, numeric: true, decimals: 2 },
+            { key: 'packingHours', header: 'PACKING HOURS', width: 8, numeric: true, decimals: 2 },
+            { key: 'reportedBoxes', header: 'BOXES REPORTED', width: 8, numeric: true }
+        ],
+        rows: outfeedShifts.map(s => ({ ...s, shift: formatDateTime(s.shiftStart), outfeed: `OUTFEED ${s.outfeedId}` })),
+        totals: null
+    },
+    {
+        title: 'Stopped Time',
+        columns: [
+            { key: 'day', header: 'DAY', width: 10 },
+            { key: 'outfeed', header: 'OUTFEED', width: 9 },
+            { key: 'pausedMinutes', header: 'STOPPED MIN', width: 8, numeric: true },
+            { key: 'pausedWithQueueMinutes', header: 'STOPPED WITH QUEUE MIN', width: 10, numeric: true },
+            { key: 'runningMinutes', header: 'RUNNING MIN', width: 8, numeric: true }
+        ],
+        rows: pausedTime.map(p => ({ ...p, outfeed: `OUTFEED ${p.outfeedId}` })),
+        totals: null
+    },
+    {
+        title: 'Outfeed Availability',
+        columns: [
+            { key: 'outfeed', header: 'OUTFEED', width: 9 },
+            { key: 'runningMinutes', header: 'RUNNING MIN', width: 8, numeric: true },
+            { key: 'stoppedMinutes', header: 'STOPPED MIN', width: 8, numeric: true },
+            { key: 'stops', header: 'STOPS', width: 7, numeric: true },
+            { key: 'endOfShiftMinutes', header: 'END OF SHIFT MIN', width: 9, numeric: true },
+            { key: 'availability', header: 'AVAILABILITY %', width: 8, numeric: true, decimals: 2 }
+        ],
+        rows: downtime.byOutfeed.map(d => ({ ...d, outfeed: `OUTFEED ${d.outfeedId}` })),
+        totals: null
+    },
+    {
+        title: 'Downtime by Reason',
+        columns: [
+            { key: 'outfeed', header: 'OUTFEED', width: 9 },
+            { key: 'status', header: 'STATUS', width: 11 },
+            { key: 'reason', header: 'REASON', width: 18 },
+            { key: 'stops', header: 'STOPS', width: 7, numeric: true },
+            { key: 'minutes', header: 'MINUTES', width: 8, numeric: true }
+        ],
+        rows: downtime.byReason.map(d => ({ ...d, outfeed: `OUTFEED ${d.outfeedId}`, reason: d.reason || d.reasonCode || '-' })),
+        totals: null
+    },
+    {
+        title: 'Queue Wait',
+        columns: [
+            { key: 'outfeed', header: 'OUTFEED', width: 9 },
+            { key: 'tags', header: 'TAGS STARTED', width: 8, numeric: true },
+            { key: 'waiting', header: 'STILL WAITING', width: 8, numeric: true },
+            { key: 'avgWaitMinutes', header: 'AVG WAIT MIN', width: 8, numeric: true },
+            { key: 'p90WaitMinutes', header: 'P90 WAIT MIN', width: 8, numeric: true },
+            { key: 'maxWaitMinutes', header: 'MAX WAIT MIN', width: 8, numeric: true }
+        ],
+        rows: queueWait.byOutfeed.map(q => ({ ...q, outfeed: `OUTFEED ${q.outfeedId}` })),
+        totals: null
+    }
+];
@@ -0,0 +1,194 @@
+// Etiquetas de pallet de los tags planificados: PDF (4x6", una por página) y ZPL para impresoras térmicas.
+// Cada etiqueta lleva el tag en Code128 y QR, la orden, pack style, label, logo del marketer, outfeed y fecha de envío.
+// Cada impresión queda registrada con su contenido para poder reimprimirla tal cual desde el historial del tag.
+import fs from 'fs';
+import path from 'path';
+import PDFDocument from 'pdfkit';
+import bwipjs from 'bwip-js';
+
+export const LABEL_FORMATS = {
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+    zpl: { contentType: 'text/plain; charset=utf-8', extension: 'zpl' }
+};
+
+// Tags a imprimir según el alcance pedido, con todos los outfeeds en que está cada uno:
+//   { outfeedId } en orden de la cola, { load } por tag, { tags } en el orden recibido.
+export const findLabelTags = async (db, { outfeedId, load, tags }) => {
+    let selected;
+    if (outfeedId !== undefined) {
+        selected = await db.query('SELECT tag FROM outfeed_queue WHERE outfeed_id = $1 ORDER BY sequence', [outfeedId]);
+    } else if (load !== undefined) {
+        selected = await db.query(
+            'SELECT DISTINCT q.tag FROM outfeed_queue q JOIN loads l ON l.order_id = q.order_id WHERE l.load_name = $1 ORDER BY q.tag',
+            [load]
+        );
+    } else {
+        selected = { rows: tags.map(tag => ({ tag })) };
+    }
+    const order = [...new Set(selected.rows.map(row => row.tag))];
+    const placements = await db.query(
+        'SELECT tag, order_id, standard_id, outfeed_id, allocated_boxes FROM outfeed_queue WHERE tag = ANY($1::text[]) ORDER BY outfeed_id',
+        [order]
+    );
+    return order
+        .map(tag => {
+            const rows = placements.rows.filter(row => row.tag === tag);
+            return rows.length > 0
+                ? { tag, order_id: rows[0].order_id, standard_id: rows[0].standard_id, allocatedBoxes: rows[0].allocated_boxes, outfeedIds: rows.map(row => row.outfeed_id) }
+                : null;
+        })
+        .filter(Boolean);
+};
+
+// Contenido de cada etiqueta a partir de la foto de órdenes. Si la orden ya no está en la foto, se imprime con lo conocido.
+// La parte de una línea repartida lleva las cajas de su parte, no las de toda la línea.
+export const buildLabels = (items, { orders, loads, logos }) => items.map(item => {
+    const order = orders.find(o => o.id_marketer_order == item.order_id && String(o.codigo_producto) === String(item.standard_id)) || {};
+    return {
+        tag: item.tag,
+        orderId: Number(item.order_id),
+        standardId: String(item.standard_id),
+        orderNumber: order.order_number || String(item.order_id),
+        marketer: order.marketer || '',
+        logoFilename: logos[order.marketer] || null,
+        packStyle: order.descripcion || '',
+        label: order.label || '',
+        formacion: order.formacion || '',
+        outfeedIds: item.outfeedIds,
+        shipDate: order.fecha_envio || '',
+        load: loads[item.order_id] || null,
+        boxes: item.allocatedBoxes ?? (parseFloat(order.cantidad_solicitada) || null),
+        boxesPerPallet: parseFloat(order.cajas_por_pallet) || null
+    };
+});
+
+const outfeedText = (label) => (label.outfeedIds.length > 0 ? `OUTFEED ${label.outfeedIds.join(' / ')}` : '');
+
+// --- PDF ---
+
+const PAGE_SIZE = [288, 432]; // 4 x 6 pulgadas
+
+const barcodePng = (bcid, text, options = {}) => bwipjs.toBuffer({ bcid, text, scale: 3, includetext: false, ...options });
+
+// El logo se toma de la carpeta de logos del tablero; si falta o no es PNG/JPEG se escribe el nombre del marketer.
+const drawLogo = (doc, label, logosDir, x, y) => {
+    if (label.logoFilename) {
+        try {
+            doc.image(path.join(logosDir, path.basename(label.logoFilename)), x, y, { fit: [130, 42] });
+            return;
+        } catch (error) {
+            console.warn(`Etiquetas: no se pudo usar el logo "${label.logoFilename}":`, error.message);
+        }
+    }
+    doc.font('Helvetica-Bold').fontSize(14).text(label.marketer || '-', x, y + 12, { width: 130, lineBreak: false, ellipsis: true });
+};
+
+export const toLabelPdf = async (labels, { logosDir }) => {
+    const barcodes = await Promise.all(labels.map(async label => ({
+        code128: await barcodePng('code128', label.tag, { height: 14 }),
+        qr: await barcodePng('qrcode', label.tag)
+    })));
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: PAGE_SIZE, margin: 14, autoFirstPage: false });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        labels.forEach((label, index) => {
+            doc.addPage();
+            const left = 14, width = PAGE_SIZE[0] - 28;
+            drawLogo(doc, label, logosDir, left, 14);
+            doc.font('Helvetica-Bold').fontSize(13).text(outfeedText(label), left + 135, 26, { width: width - 135, align: 'right' });
+            doc.moveTo(left, 62).lineTo(left + width, 62).stroke();
+
+            doc.font('Helvetica-Bold').fontSize(54).text(label.tag, left, 72, { width, align: 'center' });
+            doc.image(barcodes[index].code128, left + 10, 134, { fit: [width - 20, 62], align: 'center' });
+
+            const fields = [
+                ['ORDER', label.orderNumber],
+                ['PACK STYLE', label.packStyle],
+                ['LABEL', label.label],
+                ['PRODUCTION', label.formacion],
+                ['SHIP DATE', label.shipDate],
+                ['LOAD', label.load || '-'],
+                ['BOXES', label.boxes ? `${label.boxes}${label.boxesPerPallet ? ` (${label.boxesPerPallet} per pallet)` : ''}` : '-']
+            ];
+            let y = 212;
+            fields.forEach(([name, value]) => {
+                doc.font('Helvetica').fontSize(8).text(name, left, y, { width: 70 });
+                doc.font('Helvetica-Bold').fontSize(11).text(value || '-', left + 70, y - 2, { width: width - 160, height: 26, ellipsis: true });
+                y += 28;
+            });
+            doc.image(barcodes[index].qr, left + width - 84, 330, { fit: [84, 84] });
+            doc.font('Helvetica').fontSize(7).text(`${label.orderId} · ${label.standardId}`, left, PAGE_SIZE[1] - 24, { lineBreak: false });
+        });
+        doc.end();
+    });
+};
+
+// --- ZPL ---
+
+// ^ y ~ son comandos en ZPL: no pueden ir dentro de un campo de texto.
+const zplText = (value) => String(value ?? '').replace(/[\^~]/g, ' ');
+
+// 4x6" a 203 dpi. El logo no se envía (la impresora necesitaría el gráfico convertido); va el nombre del marketer.
+export const toLabelZpl = (labels) => labels.map(label => [
+    '^XA', '^CI28', '^PW812', '^LL1218',
+    `^FO40,40^A0N,44,44^FB480,1,0,L^FD${zplText(label.marketer || '-')}^FS`,
+    `^FO520,46^A0N,36,36^FB252,1,0,R^FD${zplText(outfeedText(label))}^FS`,
+    '^FO40,110^GB732,3,3^FS',
+    `^FO40,130^A0N,150,150^FB732,1,0,C^FD${zplText(label.tag)}^FS`,
+    `^FO96,300^BY4^BCN,170,N,N,N^FD${zplText(label.tag)}^FS`,
+    ...[
+        ['ORDER', label.orderNumber],
+        ['PACK STYLE', label.packStyle],
+        ['LABEL', label.label],
+        ['PRODUCTION', label.formacion],
+        ['SHIP DATE', label.shipDate],
+        ['LOAD', label.load || '-']
+    ].flatMap(([name, value], i) => [
+        `^FO40,${520 + i * 80}^A0N,24,24^FD${name}^FS`,
+        `^FO230,${512 + i * 80}^A0N,40,40^FB540,1,0,L^FD${zplText(value || '-')}^FS`
+    ]),
+    `^FO560,1000^BQN,2,7^FDQA,${zplText(label.tag)}^FS`,
+    `^FO40,1150^A0N,24,24^FD${label.orderId} / ${zplText(label.standardId)}^FS`,
+    '^XZ'
+].join('\n')).join('\n') + '\n';
+
+// --- HISTORIAL ---
+
+// Registra cada etiqueta impresa. reprintOf: id de la impresión original, alineado con labels.
+export const recordLabelPrints = async (db, { user, format, scope, labels, reprintOf = [] }) => {
+    for (let i = 0; i < labels.length; i++) {
+        const label = labels[i];
+        await db.query(
+            `INSERT INTO label_prints (user_id, username, tag, order_id, standard_id, format, scope, data, reprint_of)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [user?.id ?? null, user?.username ?? 'system', label.tag, label.orderId, label.standardId, format, scope, label, reprintOf[i] ?? null]
+        );
+    }
+};
+
+// Impresiones anteriores, de la más reciente a la más antigua. Filtros: tag, orderId, limit.
+export const listLabelPrints = async (db, { tag, orderId, limit } = {}) => {
+    const conditions = [];
+    const params = [];
+    if (tag) { params.push(tag); conditions.push(`tag = $${params.length}`); }
+    if (orderId) { params.push(parseInt(orderId, 10) || 0); conditions.push(`order_id = $${params.length}`); }
+    params.push(Math.min(parseInt(limit, 10) || 100, 1000));
+    const result = await db.query(
+        `SELECT * FROM label_prints ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY id DESC LIMIT $${params.length}`,
+        params
+    );
+    return result.rows;
+};
+
+// Contenido guardado de impresiones anteriores, en el orden pedido, para reimprimirlas.
+export const readPrintedLabels = async (db, printIds) => {
+    const result = await db.query('SELECT id, data FROM label_prints WHERE id = ANY($1::bigint[])', [printIds]);
+    return printIds
+        .map(id => result.rows.find(row => Number(row.id) === id))
+        .filter(Boolean)
+        .map(row => ({ printId: Number(row.id), label: row.data }));
+};
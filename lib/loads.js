@@ -0,0 +1,178 @@
+// Loads de despacho: datos del camión (transportista, camión o rampla, andén, cita, capacidad en pallets)
+// y avance building → staged → loaded → shipped. La asignación de órdenes sigue en la tabla loads (por nombre);
+// aquí vive la entidad, que se conserva con su historial cuando la reconciliación libera el nombre.
+
+export const LOAD_STATUSES = ['building', 'staged', 'loaded', 'shipped'];
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const toLoad = (row) => ({
+    id: Number(row.id),
+    loadName: row.load_name,
+    facilityId: row.facility_id,
+    status: row.status,
+    carrier: row.carrier,
+    truck: row.truck,
+    dockDoor: row.dock_door,
+    appointmentStart: row.appointment_start,
+    appointmentEnd: row.appointment_end,
+    palletCapacity: row.pallet_capacity,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    releasedAt: row.released_at
+});
+
+const recordEvent = (client, loadId, user, { event, fromStatus = null, toStatus = null, note = null }) => client.query(
+    'INSERT INTO shipping_load_events (load_id, username, event, from_status, to_status, note) VALUES ($1, $2, $3, $4, $5, $6)',
+    [loadId, user?.username ?? 'system', event, fromStatus, toStatus, note]
+);
+
+// Deja la tabla de entidades al día con la tabla loads: crea el load activo de cada nombre nuevo (en la planta de
+// sus órdenes) y elimina los que quedaron sin órdenes mientras se armaban. Se llama dentro de la transacción que modificó loads.
+export const syncShippingLoads = async (client, user) => {
+    const created = await client.query(
+        `INSERT INTO shipping_loads (load_name, facility_id, created_by)
+         SELECT DISTINCT ON (l.load_name) l.load_name, l.facility_id, $1 FROM loads l
+         WHERE NOT EXISTS (SELECT 1 FROM shipping_loads s WHERE s.load_name = l.load_name AND s.released_at IS NULL)
+         RETURNING id`,
+        [user?.username ?? 'system']
+    );
+    for (const row of created.rows) await recordEvent(client, row.id, user, { event: 'created', toStatus: 'building' });
+    await client.query(
+        `DELETE FROM shipping_loads s WHERE s.released_at IS NULL AND s.status = 'building'
+         AND NOT EXISTS (SELECT 1 FROM loads l WHERE l.load_name = s.load_name)`
+    );
+};
+
+// La reconciliación libera los loads despachados o cerrados: quedan como shipped, con sus órdenes, antes de
+// borrar sus filas de loads. Debe llamarse antes de ese DELETE y en la misma transacción.
+export const releaseShippingLoads = async (client, loadNames, user) => {
+    if (loadNames.length === 0) return;
+    const active = await client.query(
+        `SELECT s.id, s.status, ARRAY(SELECT l.order_id FROM loads l WHERE l.load_name = s.load_name ORDER BY l.order_id) AS order_ids
+         FROM shipping_loads s WHERE s.load_name = ANY($1::text[]) AND s.released_at IS NULL FOR UPDATE`,
+        [loadNames]
+    );
+    for (const row of active.rows) {
+        await client.query(
+            `UPDATE shipping_loads SET status = 'shipped', released_at = CURRENT_TIMESTAMP, released_order_ids = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+            [row.id, row.order_ids]
+        );
+        await recordEvent(client, row.id, user, { event: 'released', fromStatus: row.status, toStatus: 'shipped' });
+    }
+};
+
+// Pallets de una línea: cada pallet incompleto ocupa igual un lugar en el camión.
+export const linePallets = (order) => {
+    const boxesPerPallet = parseFloat(order.cajas_por_pallet) || 0;
+    return boxesPerPallet > 0 ? Math.ceil((parseFloat(order.cantidad_solicitada) || 0) / boxesPerPallet) : 0;
+};
+
+const receiverKey = (order) => `${String(order.recibidor ?? '').trim().toLowerCase()}|${String(order.direccion_recibidor ?? '').trim().toLowerCase()}`;
+
+// Advertencias del armado: camión sobrepasado o recibidores distintos en un mismo load.
+export const loadWarnings = (load, lines) => {
+    const warnings = [];
+    const pallets = lines.reduce((sum, line) => sum + line.pallets, 0);
+    if (load.palletCapacity && pallets > load.palletCapacity) {
+        warnings.push({ code: 'over_capacity', message: `${pallets} pallets superan la capacidad del camión (${load.palletCapacity}).` });
+    }
+    const receivers = [...new Set(lines.filter(line => line.recibidor || line.direccion_recibidor).map(receiverKey))];
+    if (receivers.length > 1) {
+        const names = [...new Set(lines.map(line => line.recibidor).filter(Boolean))];
+        warnings.push({ code: 'mixed_receivers', message: `El load mezcla ${receivers.length} recibidores o direcciones distintas (${names.join(', ')}).` });
+    }
+    return warnings;
+};
+
+// Vista del armador de loads: cada load activo con sus órdenes, pallets totales y advertencias.
+// orders: la foto vigente de órdenes (una fila por línea). facilityId: solo los loads de esa planta.
+export const readLoadBuilder = async (db, orders, { facilityId = null } = {}) => {
+    const [loadsRes, assignmentsRes, prioritiesRes] = await Promise.all([
+        db.query('SELECT * FROM shipping_loads WHERE released_at IS NULL AND ($1::text IS NULL OR facility_id = $1)', [facilityId]),
+        db.query('SELECT order_id, load_name, facility_id FROM loads WHERE ($1::text IS NULL OR facility_id = $1)', [facilityId]),
+        db.query('SELECT load_name, priority_order FROM load_priorities WHERE ($1::text IS NULL OR facility_id = $1)', [facilityId])
+    ]);
+    const names = [...new Set([...loadsRes.rows.map(r => r.load_name), ...assignmentsRes.rows.map(r => r.load_name)])]
+        .sort((a, b) => a.length - b.length || a.localeCompare(b));
+
+    return names.map(name => {
+        const row = loadsRes.rows.find(r => r.load_name === name);
+        const load = row ? toLoad(row) : { id: null, loadName: name, facilityId: assignmentsRes.rows.find(r => r.load_name === name).facility_id, status: 'building', carrier: null, truck: null, dockDoor: null, appointmentStart: null, appointmentEnd: null, palletCapacity: null };
+        const orderIds = assignmentsRes.rows.filter(r => r.load_name === name).map(r => r.order_id);
+        const lines = orders
+            .filter(o => orderIds.includes(o.id_marketer_order))
+            .map(o => ({ order_id: o.id_marketer_order, standard_id: String(o.codigo_producto), order_number: o.order_number, recibidor: o.recibidor, direccion_recibidor: o.direccion_recibidor, pallets: linePallets(o) }));
+        return {
+            ...load,
+            priority: prioritiesRes.rows.find(r => r.load_name === name)?.priority_order ?? null,
+            orderIds,
+            lines,
+            pallets: lines.reduce((sum, line) => sum + line.pallets, 0),
+            warnings: loadWarnings(load, lines)
+        };
+    });
+};
+
+const getActiveLoad = async (client, loadName) => {
+    const result = await client.query('SELECT * FROM shipping_loads WHERE load_name = $1 AND released_at IS NULL FOR UPDATE', [loadName]);
+    if (result.rows.length === 0) throw httpError(404, `No hay un load activo "${loadName}".`);
+    return result.rows[0];
+};
+
+const DETAIL_COLUMNS = { carrier: 'carrier', truck: 'truck', dockDoor: 'dock_door', appointmentStart: 'appointment_start', appointmentEnd: 'appointment_end', palletCapacity: 'pallet_capacity' };
+
+// Actualiza los datos del camión. Solo cambia los campos enviados; null los borra.
+export const updateLoadDetails = async (client, loadName, details, user) => {
+    const row = await getActiveLoad(client, loadName);
+    const fields = Object.keys(DETAIL_COLUMNS).filter(field => field in details);
+    if (fields.length === 0) throw httpError(400, `No hay datos que actualizar. Campos: ${Object.keys(DETAIL_COLUMNS).join(', ')}.`);
+    if ('palletCapacity' in details && details.palletCapacity !== null && !(Number.isInteger(details.palletCapacity) && details.palletCapacity > 0)) {
+        throw httpError(400, 'palletCapacity debe ser un entero positivo o null.');
+    }
+    for (const field of ['appointmentStart', 'appointmentEnd']) {
+        if (details[field] && Number.isNaN(Date.parse(details[field]))) throw httpError(400, `${field} no es una fecha válida (usar ISO 8601).`);
+    }
+    const start = 'appointmentStart' in details ? details.appointmentStart : row.appointment_start;
+    const end = 'appointmentEnd' in details ? details.appointmentEnd : row.appointment_end;
+    if (start && end && new Date(end) < new Date(start)) throw httpError(400, 'La cita termina antes de empezar.');
+
+    const values = fields.map(field => (typeof details[field] === 'string' ? details[field].trim() || null : details[field]));
+    const result = await client.query(
+        `UPDATE shipping_loads SET ${fields.map((field, i) => `${DETAIL_COLUMNS[field]} = $${i + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING *`,
+        [row.id, ...values]
+    );
+    await recordEvent(client, row.id, user, { event: 'details', note: fields.map((field, i) => `${field}: ${values[i] ?? '-'}`).join(', ') });
+    return toLoad(result.rows[0]);
+};
+
+// Avanza o retrocede un paso en building → staged → loaded → shipped.
+export const changeLoadStatus = async (client, loadName, { status, note = null }, user) => {
+    if (!LOAD_STATUSES.includes(status)) throw httpError(400, `Estado no válido. Usar: ${LOAD_STATUSES.join(', ')}.`);
+    const row = await getActiveLoad(client, loadName);
+    const step = LOAD_STATUSES.indexOf(status) - LOAD_STATUSES.indexOf(row.status);
+    if (step === 0) return toLoad(row);
+    if (Math.abs(step) !== 1) {
+        throw httpError(409, `El load ${loadName} está en "${row.status}" y no puede pasar directamente a "${status}".`);
+    }
+    const result = await client.query('UPDATE shipping_loads SET status = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *', [row.id, status]);
+    await recordEvent(client, row.id, user, { event: 'status', fromStatus: row.status, toStatus: status, note });
+    return toLoad(result.rows[0]);
+};
+
+// Loads liberados (ya despachados), del más reciente al más antiguo, con su historial de carga.
+export const listLoadHistory = async (db, { loadName, facilityId, limit } = {}) => {
+    const loadsRes = await db.query(
+        `SELECT * FROM shipping_loads WHERE released_at IS NOT NULL AND ($2::text IS NULL OR load_name = $2) AND ($3::text IS NULL OR facility_id = $3)
+         ORDER BY released_at DESC LIMIT $1`,
+        [Math.min(parseInt(limit, 10) || 50, 500), loadName || null, facilityId || null]
+    );
+    const ids = loadsRes.rows.map(row => row.id);
+    const eventsRes = await db.query('SELECT * FROM shipping_load_events WHERE load_id = ANY($1::bigint[]) ORDER BY created_at, id', [ids]);
+    return loadsRes.rows.map(row => ({
+        ...toLoad(row),
+        orderIds: row.released_order_ids,
+        events: eventsRes.rows.filter(e => e.load_id === row.id).map(({ load_id, ...event }) => event)
+    }));
+};
@@ -0,0 +1,172 @@
+// API externa de solo lectura para marketers (Dole, Giumarra, North Bay, ...): cada marketer consulta el estado
+// de sus propias órdenes con una clave propia, sin llamar a la planta. Se entrega lo que el planificador ya calcula
+// (estado de empaque, pallets, load y fecha estimada de despacho) sin precios ni detalles internos de outfeeds y tags.
+import crypto from 'crypto';
+import { getPackingStatus, packingStateFor } from './reconcile.js';
+import { palletFigures } from './reports.js';
+import { parseShipDate, shipDeadline } from './eta.js';
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const KEY_PREFIX = 'pmk_';
+// Caracteres que se guardan en claro para reconocer una clave en la lista (pmk_ + 8).
+const VISIBLE_KEY_CHARS = 12;
+// last_used_at se actualiza a lo más una vez por minuto por clave.
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const toApiKey = (row) => ({
+    id: row.id,
+    marketer: row.marketer_name,
+    label: row.label,
+    keyPrefix: row.key_prefix,
+    createdAt: row.created_at,
+    createdBy: row.created_by,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+    revokedBy: row.revoked_by
+});
+
+// --- CLAVES ---
+
+// El marketer debe existir en marketer_logos (se acepta el nombre sin distinguir mayúsculas).
+// Devuelve la clave en claro en apiKey: es la única vez que se puede ver.
+export const createApiKey = async (db, { marketer, label = null }, user) => {
+    if (typeof marketer !== 'string' || !marketer.trim()) throw httpError(400, 'Falta el marketer ("marketer").');
+    const marketerRes = await db.query('SELECT marketer_name FROM marketer_logos WHERE LOWER(marketer_name) = LOWER($1)', [marketer.trim()]);
+    if (marketerRes.rows.length === 0) throw httpError(400, `No existe el marketer "${marketer.trim()}" en marketer_logos.`);
+
+    const apiKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const result = await db.query(
+        `INSERT INTO marketer_api_keys (marketer_name, label, key_prefix, key_hash, created_by)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [marketerRes.rows[0].marketer_name, typeof label === 'string' && label.trim() ? label.trim() : null,
+            apiKey.slice(0, VISIBLE_KEY_CHARS), hashKey(apiKey), user?.username ?? 'system']
+    );
+    return { ...toApiKey(result.rows[0]), apiKey };
+};
+
+export const listApiKeys = async (db, { marketer = null } = {}) => {
+    const result = await db.query(
+        `SELECT * FROM marketer_api_keys WHERE ($1::text IS NULL OR LOWER(marketer_name) = LOWER($1))
+         ORDER BY marketer_name, created_at DESC`,
+        [marketer || null]
+    );
+    return result.rows.map(toApiKey);
+};
+
+// Una clave revocada deja de funcionar de inmediato; se conserva en la lista con quién y cuándo la revocó.
+export const revokeApiKey = async (db, keyId, user) => {
+    const result = await db.query(
+        `UPDATE marketer_api_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP), revoked_by = COALESCE(revoked_by, $2)
+         WHERE id = $1 RETURNING *`,
+        [keyId, user?.username ?? 'system']
+    );
+    if (result.rows.length === 0) throw httpError(404, `No existe la clave ${keyId}.`);
+    return toApiKey(result.rows[0]);
+};
+
+// Middleware de la API externa: acepta "Authorization: Bearer <clave>" o "X-API-Key: <clave>" y deja en
+// req.marketer el marketer dueño de la clave. No usa la sesión del tablero.
+export const requireApiKey = (db) => async (req, res, next) => {
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '')?.[1];
+    const apiKey = bearer || req.get('x-api-key');
+    if (!apiKey) {
+        return res.status(401).json({ success: false, message: 'Falta la clave de API (Authorization: Bearer <clave> o X-API-Key).' });
+    }
+    try {
+        const result = await db.query(
+            `SELECT k.id, k.marketer_name, m.logo_filename FROM marketer_api_keys k
+             JOIN marketer_logos m ON m.marketer_name = k.marketer_name
+             WHERE k.key_hash = $1 AND k.revoked_at IS NULL`,
+            [hashKey(apiKey)]
+        );
+        const key = result.rows[0];
+        if (!key) return res.status(401).json({ success: false, message: 'Clave de API no válida o revocada.' });
+        await db.query(
+            `UPDATE marketer_api_keys SET last_used_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - make_interval(secs => $2))`,
+            [key.id, LAST_USED_RESOLUTION_SECONDS]
+        );
+        req.marketer = { name: key.marketer_name, logoFilename: key.logo_filename, keyId: key.id };
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// --- ÓRDENES ---
+
+const isoDate = (date) => (date
+    ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+    : null);
+
+// Estado y cita de los loads en armado, por nombre (los despachados ya no están en la tabla loads).
+export const readActiveLoads = async (db) => {
+    const result = await db.query('SELECT load_name, status, appointment_start FROM shipping_loads WHERE released_at IS NULL');
+    return new Map(result.rows.map(row => [row.load_name, { status: row.status, appointmentStart: row.appointment_start }]));
+};
+
+// Término estimado de empaque de cada línea: si está en varias colas, la que termina antes; si está repartida,
+// cuando termina su última parte.
+const finishByLine = (etas) => {
+    const finishes = new Map();
+    for (const outfeed of Object.values(etas?.outfeeds || {})) {
+        for (const item of outfeed.items) {
+            const key = `${item.order_id}-${item.standard_id}`;
+            const finishAt = new Date(item.finishAt);
+            const isLater = item.allocatedBoxes !== null ? finishAt > finishes.get(key) : finishAt < finishes.get(key);
+            if (!finishes.has(key) || isLater) finishes.set(key, finishAt);
+        }
+    }
+    return finishes;
+};
+
+// Fecha estimada de despacho: la cita del load si ya tiene una; si no, la fecha pedida, salvo que la ETA de
+// empaque indique que no alcanza (entonces el día en que se termina de empacar).
+const estimateShipDate = ({ order, packingStatus, loadInfo, packedAt }) => {
+    if (packingStatus === 'shipped') return null;
+    if (loadInfo?.appointmentStart) return isoDate(new Date(loadInfo.appointmentStart));
+    const deadline = shipDeadline(order.fecha_envio);
+    if (packedAt && deadline && packedAt > deadline) return isoDate(packedAt);
+    return isoDate(parseShipDate(order.fecha_envio));
+};
+
+// Líneas de un marketer tal como las entrega la API externa. planningState: readPlanningState();
+// etas: computeEtas() (o null si no hay); activeLoads: readActiveLoads().
+export const buildMarketerOrders = (orders, { marketer, planningState, etas, activeLoads }) => {
+    const packingState = packingStateFor(planningState);
+    const finishes = finishByLine(etas);
+    const marketerKey = marketer.trim().toLowerCase();
+    return orders
+        .filter(order => String(order.marketer ?? '').trim().toLowerCase() === marketerKey)
+        .filter(order => order.fecha_envio && ['cerrada', 'activa'].includes(order.estado_marketer_order))
+        .map(order => {
+            const packingStatus = getPackingStatus(order, packingState);
+            const loadName = planningState.loads[order.id_marketer_order] || null;
+            const loadInfo = loadName ? activeLoads.get(loadName) : null;
+            const packedAt = ['shipped', 'done'].includes(packingStatus) ? null : finishes.get(`${order.id_marketer_order}-${order.codigo_producto}`) ?? null;
+            const { request, assigned, pending, shipped, percentage } = palletFigures(order);
+            return {
+                orderId: order.id_marketer_order,
+                orderNumber: order.order_number,
+                lineId: String(order.codigo_producto),
+                packStyle: order.descripcion,
+                label: order.label || null,
+                productionMethod: order.formacion || null,
+                receiver: order.recibidor || null,
+                commercialStatus: order.estado_marketer_order === 'activa' ? 'open' : 'closed',
+                packingStatus,
+                pallets: { requested: request, assigned, pending, shipped },
+                percentComplete: percentage,
+                load: loadName ? { name: loadName, status: loadInfo?.status ?? null } : null,
+                requestedShipDate: isoDate(parseShipDate(order.fecha_envio)),
+                estimatedPackedAt: packedAt ? packedAt.toISOString() : null,
+                estimatedShipDate: estimateShipDate({ order, packingStatus, loadInfo, packedAt })
+            };
+        })
+        .sort((a, b) => String(a.requestedShipDate).localeCompare(String(b.requestedShipDate))
+            || String(a.orderNumber).localeCompare(String(b.orderNumber), undefined, { numeric: true })
+            || a.lineId.localeCompare(b.lineId, undefined, { numeric: true }));
+};
@@ -0,0 +1,146 @@
+// Documento OpenAPI 3 de la API externa de marketers (ver lib/marketer-api.js). Se sirve en
+// /api/external/v1/openapi.json; los textos van en inglés porque lo leen los equipos de los marketers.
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const ORDER_STATUS_PARAMETER = {
+    name: 'status',
+    in: 'query',
+    description: 'open: only open orders (default). all: open and closed orders.',
+    schema: { type: 'string', enum: ['open', 'all'], default: 'open' }
+};
+
+export const buildOpenApiDocument = ({ serverUrl }) => ({
+    openapi: '3.0.3',
+    info: {
+        title: 'Dynamics PackManager - Marketer API',
+        version: '1.0.0',
+        description: 'Read-only access to the packing status of your orders. Each API key only sees the orders of its marketer. '
+            + 'Quantities are in pallets. Prices and packing-line details are not exposed.'
+    },
+    servers: [{ url: serverUrl }],
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    paths: {
+        '/api/external/v1/marketer': {
+            get: {
+                summary: 'Marketer that owns the API key',
+                operationId: 'getMarketer',
+                responses: {
+                    200: {
+                        description: 'The marketer and its logo.',
+                        content: { 'application/json': { schema: {
+                            type: 'object',
+                            properties: { success: { type: 'boolean' }, data: { $ref: '#/components/schemas/Marketer' } }
+                        } } }
+                    },
+                    401: errorResponse('Missing, invalid or revoked API key.')
+                }
+            }
+        },
+        '/api/external/v1/orders': {
+            get: {
+                summary: 'Order lines of the marketer',
+                operationId: 'listOrders',
+                parameters: [
+                    ORDER_STATUS_PARAMETER,
+                    { name: 'orderNumber', in: 'query', description: 'Only the lines of this order number.', schema: { type: 'string' } }
+                ],
+                responses: {
+                    200: {
+                        description: 'Order lines sorted by requested ship date and order number.',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/OrderList' } } }
+                    },
+                    400: errorResponse('Invalid query parameter.'),
+                    401: errorResponse('Missing, invalid or revoked API key.'),
+                    503: errorResponse('Orders are temporarily unavailable.')
+                }
+            }
+        },
+        '/api/external/v1/orders/{orderNumber}': {
+            get: {
+                summary: 'Lines of one order',
+                operationId: 'getOrder',
+                parameters: [{ name: 'orderNumber', in: 'path', required: true, schema: { type: 'string' } }],
+                responses: {
+                    200: {
+                        description: 'All the lines of the order, open or closed.',
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/OrderList' } } }
+                    },
+                    401: errorResponse('Missing, invalid or revoked API key.'),
+                    404: errorResponse('The order does not exist or belongs to another marketer.'),
+                    503: errorResponse('Orders are temporarily unavailable.')
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer', description: 'Authorization: Bearer <API key>' },
+            apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        },
+        schemas: {
+            Error: {
+                type: 'object',
+                properties: { success: { type: 'boolean', example: false }, message: { type: 'string' } }
+            },
+            Marketer: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', example: 'Dole' },
+                    logoUrl: { type: 'string', nullable: true, example: '/logos/dole.png' }
+                }
+            },
+            OrderList: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    generatedAt: { type: 'string', format: 'date-time' },
+                    ordersFetchedAt: { type: 'string', format: 'date-time', description: 'When the order data was read from the ERP.' },
+                    ordersStale: { type: 'boolean', description: 'true if the ERP was unavailable and cached order data is returned.' },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/OrderLine' } }
+                }
+            },
+            OrderLine: {
+                type: 'object',
+                properties: {
+                    orderId: { type: 'integer' },
+                    orderNumber: { type: 'string' },
+                    lineId: { type: 'string', description: 'Product (standard) of the line within the order.' },
+                    packStyle: { type: 'string' },
+                    label: { type: 'string', nullable: true },
+                    productionMethod: { type: 'string', nullable: true },
+                    receiver: { type: 'string', nullable: true },
+                    commercialStatus: { type: 'string', enum: ['open', 'closed'] },
+                    packingStatus: { type: 'string', enum: ['pending', 'partially', 'being_packed', 'done', 'shipped'] },
+                    pallets: {
+                        type: 'object',
+                        properties: {
+                            requested: { type: 'number' },
+                            assigned: { type: 'number' },
+                            pending: { type: 'number' },
+                            shipped: { type: 'number' }
+                        }
+                    },
+                    percentComplete: { type: 'integer', minimum: 0, maximum: 100 },
+                    load: {
+                        type: 'object',
+                        nullable: true,
+                        properties: {
+                            name: { type: 'string' },
+                            status: { type: 'string', nullable: true, enum: ['building', 'staged', 'loaded', 'shipped', null] }
+                        }
+                    },
+                    requestedShipDate: { type: 'string', format: 'date', nullable: true },
+                    estimatedPackedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Estimated end of packing for lines already scheduled.' },
+                    estimatedShipDate: {
+                        type: 'string', format: 'date', nullable: true,
+                        description: 'Load appointment if there is one; otherwise the requested ship date, or the estimated packing date if packing will finish later. null once shipped.'
+                    }
+                }
+            }
+        }
+    }
+});
@@ -0,0 +1,175 @@
+// Caché del origen de órdenes (ver lib/order-sources) con degradación controlada.
+// - Las peticiones concurrentes comparten una sola lectura del origen.
+// - Si la API falla, se sirve la última foto válida indicando su antigüedad.
+// - Cada foto que cambia se guarda en la base junto con las diferencias respecto de la anterior.
+import crypto from 'crypto';
+
+// Campos cuyo cambio interesa registrar entre una foto y la siguiente.
+const TRACKED_FIELDS = ['cantidad_solicitada', 'cantidad_asignada', 'cantidad_despachada', 'cantidad_disponible', 'estado_marketer_order', 'fecha_envio'];
+
+const lineKey = (order) => `${order.id_marketer_order}-${order.codigo_producto}`;
+
+// Las fotos se guardan y sirven con la forma histórica de la vista de órdenes: [{ data: [...] }].
+export const extractOrders = (apiData) => {
+    if (!apiData || !apiData[0] || !Array.isArray(apiData[0].data)) {
+        throw new Error('Formato de API de órdenes inesperado.');
+    }
+    return apiData[0].data;
+};
+
+// Compara dos listas de órdenes y devuelve las líneas agregadas, eliminadas o con campos modificados.
+export const diffOrders = (previousOrders, nextOrders) => {
+    const previousByKey = new Map(previousOrders.map(o => [lineKey(o), o]));
+    const nextByKey = new Map(nextOrders.map(o => [lineKey(o), o]));
+    const diffs = [];
+
+    for (const [key, order] of nextByKey) {
+        const previous = previousByKey.get(key);
+        if (!previous) {
+            diffs.push({ order_id: order.id_marketer_order, standard_id: String(order.codigo_producto), change_type: 'added', changes: {} });
+            continue;
+        }
+        const changes = {};
+        for (const field of TRACKED_FIELDS) {
+            if (String(previous[field] ?? '') !== String(order[field] ?? '')) {
+                changes[field] = { from: previous[field] ?? null, to: order[field] ?? null };
+            }
+        }
+        if (Object.keys(changes).length > 0) {
+            diffs.push({ order_id: order.id_marketer_order, standard_id: String(order.codigo_producto), change_type: 'changed', changes });
+        }
+    }
+    for (const [key, order] of previousByKey) {
+        if (!nextByKey.has(key)) {
+            diffs.push({ order_id: order.id_marketer_order, standard_id: String(order.codigo_producto), change_type: 'removed', changes: {} });
+        }
+    }
+    return diffs;
+};
+
+const checksumOf = (apiData) => crypto.createHash('sha1').update(JSON.stringify(apiData)).digest('hex');
+
+export const createOrderSnapshotStore = ({ source, db, ttlMs = 30000, timeoutMs = 15000, retention = 50 }) => {
+    let current = null;       // { id, apiData, orders, checksum, fetchedAt }
+    let inFlight = null;      // Promesa de la llamada en curso a la API.
+    let lastFailure = null;   // { at, message } del último fallo, para no reintentar en cada petición.
+
+    const fetchUpstream = async () => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            const orders = await source.fetchOrders({ signal: controller.signal });
+            return [{ data: orders }];
+        } catch (error) {
+            if (error.name === 'AbortError') throw new Error(`El origen de órdenes (${source.describe()}) no respondió en ${timeoutMs} ms.`);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+
+    const loadLatestFromDb = async () => {
+        const result = await db.query('SELECT id, payload, checksum, last_confirmed_at FROM order_snapshots WHERE payload IS NOT NULL ORDER BY id DESC LIMIT 1');
+        const row = result.rows[0];
+        if (!row) return null;
+        return { id: row.id, apiData: row.payload, orders: extractOrders(row.payload), checksum: row.checksum, fetchedAt: new Date(row.last_confirmed_at).getTime() };
+    };
+
+    // Guarda la foto si cambió respecto de la anterior, junto con sus diferencias.
+    const persist = async (apiData, checksum) => {
+        const previous = current || await loadLatestFromDb();
+        if (previous && previous.checksum === checksum) {
+            await db.query('UPDATE order_snapshots SET last_confirmed_at = CURRENT_TIMESTAMP WHERE id = $1', [previous.id]);
+            return previous.id;
+        }
+
+        const orders = extractOrders(apiData);
+        const diffs = previous ? diffOrders(previous.orders, orders) : [];
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+            const inserted = await client.query(
+                'INSERT INTO order_snapshots (order_count, checksum, payload) VALUES ($1, $2, $3) RETURNING id',
+                [orders.length, checksum, JSON.stringify(apiData)]
+            );
+            const snapshotId = inserted.rows[0].id;
+            for (const diff of diffs) {
+                await client.query(
+                    'INSERT INTO order_snapshot_changes (snapshot_id, order_id, standard_id, change_type, changes) VALUES ($1, $2, $3, $4, $5)',
+                    [snapshotId, diff.order_id, diff.standard_id, diff.change_type, diff.changes]
+                );
+            }
+            // Se conservan las diferencias de todas las fotos, pero el contenido completo solo de las más recientes.
+            await client.query('UPDATE order_snapshots SET payload = NULL WHERE id <= $1 AND payload IS NOT NULL', [Number(snapshotId) - retention]);
+            await client.query('COMMIT');
+            if (diffs.length > 0) console.log(`Órdenes: ${diffs.length} líneas cambiaron desde la última consulta.`);
+            return snapshotId;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    };
+
+    const refresh = async () => {
+        const apiData = await fetchUpstream();
+        const checksum = checksumOf(apiData);
+        let id = current?.id ?? null;
+        try {
+            id = await persist(apiData, checksum);
+        } catch (error) {
+            // Un fallo al guardar la foto no debe impedir servir órdenes frescas.
+            console.error('Error guardando la foto de órdenes:', error);
+        }
+        current = { id, apiData, orders: extractOrders(apiData), checksum, fetchedAt: Date.now() };
+        lastFailure = null;
+    };
+
+    const describe = (snapshot, stale, error = null) => ({
+        apiData: snapshot.apiData,
+        orders: snapshot.orders,
+        fetchedAt: new Date(snapshot.fetchedAt).toISOString(),
+        ageSeconds: Math.round((Date.now() - snapshot.fetchedAt) / 1000),
+        stale,
+        error
+    });
+
+    // Devuelve la foto vigente. Lanza un error solo si el origen falla y no existe ninguna foto previa.
+    const get = async ({ maxAgeMs = ttlMs } = {}) => {
+        if (current && Date.now() - current.fetchedAt < maxAgeMs) return describe(current, false);
+        // Tras un fallo reciente se sirve la foto anterior sin volver a esperar al origen.
+        if (current && lastFailure && Date.now() - lastFailure.at < ttlMs) return describe(current, true, lastFailure.message);
+
+        if (!inFlight) inFlight = refresh().finally(() => { inFlight = null; });
+        try {
+            await inFlight;
+            return describe(current, false);
+        } catch (error) {
+            lastFailure = { at: Date.now(), message: error.message };
+            if (!current) current = await loadLatestFromDb().catch(() => null);
+            if (!current) throw error;
+            console.warn(`Origen de órdenes no disponible (${error.message}); se sirve la foto de hace ${Math.round((Date.now() - current.fetchedAt) / 1000)} s.`);
+            return describe(current, true, error.message);
+        }
+    };
+
+    // Cambios registrados entre fotos. Filtros: since (ISO), orderId, limit.
+    const getChanges = async ({ since, orderId, limit } = {}) => {
+        const conditions = [];
+        const params = [];
+        if (since) { params.push(since); conditions.push(`s.fetched_at >= $${params.length}::timestamptz`); }
+        if (orderId) { params.push(orderId); conditions.push(`c.order_id = $${params.length}::int`); }
+        params.push(Math.min(parseInt(limit, 10) || 500, 5000));
+        const result = await db.query(
+            `SELECT c.snapshot_id, s.fetched_at, c.order_id, c.standard_id, c.change_type, c.changes
+             FROM order_snapshot_changes c JOIN order_snapshots s ON s.id = c.snapshot_id
+             ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY c.snapshot_id DESC, c.order_id, c.standard_id LIMIT $${params.length}`,
+            params
+        );
+        return result.rows;
+    };
+
+    return { get, getChanges };
+};
@@ -0,0 +1,81 @@
+// Origen: carpeta donde otro sistema deja exportaciones de órdenes en JSON o CSV.
+// Se usa el archivo más reciente (por fecha de modificación); sirve también para trabajar sin conexión con fixtures.
+// JSON: una lista de registros, { <recordsPath>: [...] } o el formato de la vista ([{ data: [...] }]).
+// CSV: primera fila con encabezados; separador configurable (por defecto ",").
+import fs from 'fs/promises';
+import path from 'path';
+import { getPath } from './model.js';
+
+// Parser CSV mínimo (RFC 4180): comillas dobles, "" escapadas y saltos de línea dentro de comillas.
+export const parseCsv = (text, delimiter = ',') => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else field += char;
+        } else if (char === '"') inQuotes = true;
+        else if (char === delimiter) { row.push(field); field = ''; }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            if (row.some(value => value !== '')) rows.push(row);
+            row = [];
+        } else field += char;
+    }
+    row.push(field);
+    if (row.some(value => value !== '')) rows.push(row);
+
+    const [header, ...data] = rows;
+    if (!header) return [];
+    const keys = header.map(h => h.trim());
+    return data.map(values => Object.fromEntries(keys.map((key, index) => [key, values[index] ?? ''])));
+};
+
+const recordsFromJson = (payload, recordsPath) => {
+    if (recordsPath) return getPath(payload, recordsPath);
+    if (Array.isArray(payload) && payload[0] && Array.isArray(payload[0].data)) return payload[0].data;
+    return payload;
+};
+
+export const createFileDropSource = ({ directory, pattern = null, delimiter = ',', recordsPath = '' }) => {
+    if (!directory) throw new Error('El origen file-drop necesita "directory" (o ORDER_SOURCE_DIR).');
+    const matcher = pattern ? new RegExp(pattern) : /\.(json|csv)$/i;
+
+    const newestFile = async () => {
+        const entries = await fs.readdir(directory, { withFileTypes: true });
+        const candidates = await Promise.all(entries
+            .filter(entry => entry.isFile() && matcher.test(entry.name))
+            .map(async entry => {
+                const fullPath = path.join(directory, entry.name);
+                return { fullPath, mtime: (await fs.stat(fullPath)).mtimeMs };
+            }));
+        if (candidates.length === 0) throw new Error(`No hay archivos de órdenes en ${directory}.`);
+        return candidates.sort((a, b) => b.mtime - a.mtime)[0].fullPath;
+    };
+
+    return {
+        describe: () => `file-drop ${directory}`,
+        fetchRecords: async () => {
+            const file = await newestFile();
+            const text = await fs.readFile(file, 'utf8');
+            let records;
+            if (/\.csv$/i.test(file)) {
+                records = parseCsv(text, delimiter);
+            } else {
+                try {
+                    records = recordsFromJson(JSON.parse(text), recordsPath);
+                } catch (error) {
+                    throw new Error(`${path.basename(file)} no es un JSON válido: ${error.message}`);
+                }
+            }
+            if (!Array.isArray(records)) throw new Error(`${path.basename(file)} no contiene una lista de órdenes.`);
+            return records;
+        }
+    };
+};
@@ -0,0 +1,46 @@
+// Origen: API HTTP de un ERP con su propio formato.
+// recordsPath indica dónde está la lista de registros en la respuesta ("" si la respuesta ya es la lista).
+// Si el ERP pagina, pageParam/pageSizeParam/pageSize hacen que se pidan páginas hasta recibir una incompleta.
+import fetch from 'node-fetch';
+import { getPath } from './model.js';
+
+const MAX_PAGES = 100;
+
+export const createHttpErpSource = ({ url, method = 'GET', headers = {}, body = null, recordsPath = '', pageParam = null, pageSizeParam = null, pageSize = 500, firstPage = 1 }) => {
+    if (!url) throw new Error('El origen http-erp necesita "url".');
+
+    const fetchPage = async (page, signal) => {
+        const pageUrl = new URL(url);
+        if (pageParam) pageUrl.searchParams.set(pageParam, String(page));
+        if (pageParam && pageSizeParam) pageUrl.searchParams.set(pageSizeParam, String(pageSize));
+        const response = await fetch(pageUrl, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+            body: body ? JSON.stringify(body) : undefined,
+            signal
+        });
+        if (!response.ok) {
+            throw new Error(`El ERP respondió con error: ${response.status} ${response.statusText}`);
+        }
+        const payload = await response.json();
+        const records = recordsPath ? getPath(payload, recordsPath) : payload;
+        if (!Array.isArray(records)) {
+            throw new Error(`La respuesta del ERP no contiene una lista en "${recordsPath || '(raíz)'}".`);
+        }
+        return records;
+    };
+
+    return {
+        describe: () => `http-erp ${url}`,
+        fetchRecords: async ({ signal }) => {
+            if (!pageParam) return fetchPage(null, signal);
+            const records = [];
+            for (let page = firstPage; page < firstPage + MAX_PAGES; page++) {
+                const pageRecords = await fetchPage(page, signal);
+                records.push(...pageRecords);
+                if (pageRecords.length < pageSize) return records;
+            }
+            throw new Error(`El ERP devolvió más de ${MAX_PAGES} páginas; revisar pageSize.`);
+        }
+    };
+};
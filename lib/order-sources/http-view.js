@@ -0,0 +1,24 @@
+// Origen: la vista JSON histórica de órdenes (vista_marketers_orders_activas3).
+// Responde [{ data: [...] }] con los campos del modelo canónico, por lo que el mapeo por defecto es la identidad.
+import fetch from 'node-fetch';
+import { IDENTITY_MAPPING } from './model.js';
+
+export const DEFAULT_MAPPING = IDENTITY_MAPPING;
+
+export const createHttpViewSource = ({ url, headers = {} }) => {
+    if (!url) throw new Error('El origen http-view necesita "url" (o API_ORDERS_URL).');
+    return {
+        describe: () => `http-view ${url}`,
+        fetchRecords: async ({ signal }) => {
+            const response = await fetch(url, { headers, signal });
+            if (!response.ok) {
+                throw new Error(`La API externa respondió con error: ${response.status} ${response.statusText}`);
+            }
+            const apiData = await response.json();
+            if (!apiData || !apiData[0] || !Array.isArray(apiData[0].data)) {
+                throw new Error('Formato de API de órdenes inesperado.');
+            }
+            return apiData[0].data;
+        }
+    };
+};
@@ -0,0 +1,56 @@
+// Orígenes de órdenes intercambiables.
+// Cada adaptador solo sabe leer registros en su formato; el mapeo declarativo de la configuración los traduce
+// al modelo canónico (model.js), que es lo único que ve el resto del sistema.
+import fs from 'fs';
+import { validateMapping, applyMapping, IDENTITY_MAPPING } from './model.js';
+import { createHttpViewSource, DEFAULT_MAPPING as HTTP_VIEW_MAPPING } from './http-view.js';
+import { createHttpErpSource } from './http-erp.js';
+import { createFileDropSource } from './file-drop.js';
+
+export { CANONICAL_FIELDS } from './model.js';
+
+const ADAPTERS = {
+    'http-view': { create: createHttpViewSource, defaultMapping: HTTP_VIEW_MAPPING },
+    'http-erp': { create: createHttpErpSource, defaultMapping: null },
+    'file-drop': { create: createFileDropSource, defaultMapping: IDENTITY_MAPPING }
+};
+
+export const ORDER_SOURCE_TYPES = Object.keys(ADAPTERS);
+
+// Devuelve { type, describe(), fetchOrders({ signal }) }; fetchOrders entrega órdenes ya en el modelo canónico.
+export const createOrderSource = (config) => {
+    const adapter = ADAPTERS[config.type];
+    if (!adapter) throw new Error(`Origen de órdenes desconocido: "${config.type}". Opciones: ${ORDER_SOURCE_TYPES.join(', ')}.`);
+    const mapping = config.mapping || adapter.defaultMapping;
+    if (!mapping) throw new Error(`El origen "${config.type}" necesita un "mapping" de campos.`);
+    validateMapping(mapping);
+
+    const source = adapter.create(config);
+    return {
+        type: config.type,
+        describe: source.describe,
+        fetchOrders: async ({ signal } = {}) => applyMapping(await source.fetchRecords({ signal }), mapping)
+    };
+};
+
+// Sustituye ${VARIABLE} por su valor de entorno en todos los textos de la configuración (URLs, tokens).
+const expandEnv = (value) => {
+    if (typeof value === 'string') return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] ?? '');
+    if (Array.isArray(value)) return value.map(expandEnv);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expandEnv(v)]));
+    return value;
+};
+
+// ORDER_SOURCE_CONFIG apunta a un JSON con { type, mapping, ... }. Sin él se arma la configuración desde
+// ORDER_SOURCE (por defecto http-view), API_ORDERS_URL y ORDER_SOURCE_DIR.
+export const loadOrderSourceConfig = () => {
+    if (process.env.ORDER_SOURCE_CONFIG) {
+        const text = fs.readFileSync(process.env.ORDER_SOURCE_CONFIG, 'utf8');
+        return expandEnv(JSON.parse(text));
+    }
+    return {
+        type: process.env.ORDER_SOURCE || 'http-view',
+        url: process.env.API_ORDERS_URL || 'https://drbprod.sithfruits.com/api/vista_marketers_orders_activas3',
+        directory: process.env.ORDER_SOURCE_DIR
+    };
+};
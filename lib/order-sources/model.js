@@ -0,0 +1,109 @@
+// Modelo canónico de una línea de orden.
+// Todo el sistema (tablero, reconciliación, ETAs, exportaciones, fotos guardadas) trabaja con estos campos.
+// Los nombres son los de la vista histórica de órdenes para no romper el tablero ni las fotos ya guardadas;
+// cada origen traduce sus propios campos a estos mediante un mapeo declarativo (ver applyMapping).
+
+// type: int | number | string | date (M/d/yyyy). required: la línea se descarta si falta.
+export const CANONICAL_FIELDS = {
+    id_marketer_order: { type: 'int', required: true },
+    codigo_producto: { type: 'string', required: true },
+    order_number: { type: 'string' },
+    marketer: { type: 'string' },
+    estado_marketer_order: { type: 'string' },   // 'activa' | 'cerrada'
+    fecha_envio: { type: 'date' },
+    descripcion: { type: 'string' },
+    label: { type: 'string' },
+    formacion: { type: 'string' },
+    cantidad_solicitada: { type: 'number' },     // cajas
+    cantidad_asignada: { type: 'number' },
+    cantidad_despachada: { type: 'number' },
+    cantidad_disponible: { type: 'number' },
+    cajas_por_pallet: { type: 'number' },
+    peso_por_caja: { type: 'number' },
+    precio: { type: 'number' },
+    recibidor: { type: 'string' },
+    direccion_recibidor: { type: 'string' }
+};
+
+// Mapeo identidad: para orígenes que ya entregan los campos canónicos (la vista histórica).
+export const IDENTITY_MAPPING = Object.fromEntries(Object.keys(CANONICAL_FIELDS).map(field => [field, field]));
+
+// Lee "a.b.c" dentro de un objeto.
+export const getPath = (source, path) => String(path).split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), source);
+
+const toDateString = (value, format = 'M/d/yyyy') => {
+    if (value === null || value === undefined || value === '') return '';
+    const text = String(value).trim();
+    let match;
+    switch (format) {
+        case 'iso':
+            match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+            return match ? `${Number(match[2])}/${Number(match[3])}/${match[1]}` : '';
+        case 'd/M/yyyy':
+            match = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(text);
+            return match ? `${Number(match[2])}/${Number(match[1])}/${match[3]}` : '';
+        case 'M/d/yyyy':
+            match = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(text);
+            return match ? `${Number(match[1])}/${Number(match[2])}/${match[3]}` : '';
+        default:
+            throw new Error(`Formato de fecha desconocido en el mapeo: "${format}".`);
+    }
+};
+
+const coerce = (value, type, rule) => {
+    switch (type) {
+        case 'int': {
+            const n = parseInt(value, 10);
+            return Number.isNaN(n) ? null : n;
+        }
+        case 'number': {
+            if (value === null || value === undefined || value === '') return null;
+            const text = String(value).trim();
+            const n = typeof value === 'number' ? value : parseFloat(rule.decimalComma ? text.replace(/\./g, '').replace(',', '.') : text);
+            return Number.isNaN(n) ? null : n;
+        }
+        case 'date':
+            return toDateString(value, rule.format);
+        default:
+            return value === null || value === undefined ? '' : String(value).trim();
+    }
+};
+
+// Regla de mapeo por campo canónico:
+//   "campo_origen"                          copia el campo (admite rutas "a.b")
+//   { from, format, values, default, decimalComma }
+//     format:  para fechas: M/d/yyyy (por defecto), d/M/yyyy o iso
+//     values:  traduce valores, p. ej. { "OPEN": "activa", "CLOSED": "cerrada" }
+//     default: valor si el origen no trae el campo
+//   { const: valor }                        valor fijo para todas las líneas
+const normalizeRule = (rule) => (typeof rule === 'string' ? { from: rule } : rule);
+
+export const validateMapping = (mapping) => {
+    const unknown = Object.keys(mapping).filter(field => !CANONICAL_FIELDS[field]);
+    if (unknown.length > 0) throw new Error(`El mapeo usa campos que no existen en el modelo de órdenes: ${unknown.join(', ')}.`);
+    const missing = Object.entries(CANONICAL_FIELDS).filter(([field, def]) => def.required && !mapping[field]).map(([field]) => field);
+    if (missing.length > 0) throw new Error(`El mapeo no define los campos obligatorios: ${missing.join(', ')}.`);
+};
+
+// Traduce registros del origen al modelo canónico. Las líneas sin campos obligatorios se descartan.
+export const applyMapping = (records, mapping) => {
+    const orders = [];
+    let discarded = 0;
+    for (const record of records) {
+        const order = {};
+        for (const [field, def] of Object.entries(CANONICAL_FIELDS)) {
+            const rule = mapping[field] ? normalizeRule(mapping[field]) : null;
+            let raw;
+            if (!rule) raw = undefined;
+            else if ('const' in rule) raw = rule.const;
+            else raw = getPath(record, rule.from);
+            if ((raw === undefined || raw === null || raw === '') && rule && 'default' in rule) raw = rule.default;
+            if (rule?.values && raw !== undefined && raw !== null) raw = rule.values[String(raw)] ?? raw;
+            order[field] = coerce(raw, def.type, rule || {});
+        }
+        const isComplete = Object.entries(CANONICAL_FIELDS).every(([field, def]) => !def.required || (order[field] !== null && order[field] !== ''));
+        if (isComplete) orders.push(order); else discarded++;
+    }
+    if (discarded > 0) console.warn(`Origen de órdenes: ${discarded} registros descartados por no traer id de orden o código de producto.`);
+    return orders;
+};
@@ -0,0 +1,174 @@
+// Estados de los outfeeds, motivos de detención e historia de cambios de estado.
+// outfeed_status guarda el estado vigente de cada outfeed; outfeed_status_events, un tramo por estado que queda
+// abierto hasta el siguiente cambio. De esos tramos salen los tiempos de parada por motivo (ver readDowntime en
+// lib/kpis.js).
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+export const OUTFEED_STATES = ['RUNNING', 'PAUSED', 'CHANGEOVER', 'MAINTENANCE', 'NO_FRUIT', 'END_OF_SHIFT'];
+// Motivo con que la reconciliación deja en CHANGEOVER un outfeed cuyo tag en cabeza cambió de formación.
+export const CHANGEOVER_REASON = 'PACK_STYLE_CHANGE';
+const EVENT_SOURCES = ['manual', 'auto', 'undo'];
+const HISTORY_LIMIT = 500;
+
+// En marcha o en cambio de formato, el tag en cabeza ya está comprometido: cuenta como "siendo empacado" y el
+// planificador automático no lo mueve. El ritmo de empaque, en cambio, solo se mide en RUNNING (ver lib/eta.js).
+export const isPackingStatus = (status) => status === 'RUNNING' || status === 'CHANGEOVER';
+
+const cleanText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+const toReason = (row) => ({
+    code: row.code,
+    status: row.status,
+    description: row.description,
+    active: row.active,
+    position: row.position
+});
+
+// --- MOTIVOS ---
+
+export const listStatusReasons = async (db, { includeInactive = false } = {}) => {
+    const result = await db.query(
+        'SELECT * FROM outfeed_status_reasons WHERE $1 OR active ORDER BY array_position($2::text[], status), position, code',
+        [includeInactive, OUTFEED_STATES]
+    );
+    return result.rows.map(toReason);
+};
+
+// Crea o actualiza un motivo. Los motivos no se eliminan (los usa la historia): se desactivan con active = false.
+export const saveStatusReason = async (db, code, { status, description, active, position }, user) => {
+    if (!/^[A-Z0-9_]+$/.test(code)) throw httpError(400, 'El código del motivo solo admite mayúsculas, números y guiones bajos.');
+    const existing = (await db.query('SELECT * FROM outfeed_status_reasons WHERE code = $1', [code])).rows[0];
+    if (status !== undefined && (status === 'RUNNING' || !OUTFEED_STATES.includes(status))) {
+        throw httpError(400, `status debe ser uno de: ${OUTFEED_STATES.filter(s => s !== 'RUNNING').join(', ')}.`);
+    }
+    if (!existing && (!status || !cleanText(description))) throw httpError(400, 'Un motivo nuevo necesita "status" y "description".');
+    if (description !== undefined && !cleanText(description)) throw httpError(400, 'La descripción del motivo no puede quedar vacía.');
+    if (active !== undefined && typeof active !== 'boolean') throw httpError(400, 'active debe ser booleano.');
+    if (position !== undefined && !Number.isInteger(position)) throw httpError(400, 'position debe ser un entero.');
+
+    const result = await db.query(
+        `INSERT INTO outfeed_status_reasons (code, status, description, active, position, updated_by)
+         VALUES ($1, $2, $3, $4, COALESCE($5, (SELECT COALESCE(MAX(position), 0) + 1 FROM outfeed_status_reasons WHERE status = $2)), $6)
+         ON CONFLICT (code) DO UPDATE SET status = $2, description = $3, active = $4, position = EXCLUDED.position,
+             updated_at = CURRENT_TIMESTAMP, updated_by = $6
+         RETURNING *`,
+        [
+            code,
+            status ?? existing.status,
+            description !== undefined ? cleanText(description) : existing.description,
+            active ?? existing?.active ?? true,
+            position ?? existing?.position ?? null,
+            user?.username ?? 'system'
+        ]
+    );
+    return toReason(result.rows[0]);
+};
+
+// --- CAMBIOS DE ESTADO ---
+
+// Estado vigente de cada outfeed con su motivo: { [outfeedId]: { status, reasonCode, reason, note, since } }.
+export const readStatusDetails = async (db) => {
+    const result = await db.query(
+        `SELECT s.outfeed_id, s.status, s.reason_code, r.description AS reason, s.note, s.last_updated_at
+         FROM outfeed_status s LEFT JOIN outfeed_status_reasons r ON r.code = s.reason_code`
+    );
+    return Object.fromEntries(result.rows.map(row => [row.outfeed_id, {
+        status: row.status, reasonCode: row.reason_code, reason: row.reason, note: row.note, since: row.last_updated_at
+    }]));
+};
+
+// Cambia el estado de un outfeed: cierra el tramo abierto y abre uno nuevo. Debe ejecutarse dentro de una transacción.
+// Detener un outfeed a mano (cualquier estado distinto de RUNNING) exige un motivo activo de ese estado. Al deshacer
+// se recupera el último motivo que tuvo ese estado. Devuelve { changed, previous }; no hace nada si el outfeed ya
+// está en ese estado con ese motivo.
+export const setOutfeedStatus = async (client, { outfeedId, status, reasonCode = null, note = null, user = null, source = 'manual' }) => {
+    if (!Number.isInteger(outfeedId)) throw httpError(400, 'outfeedId debe ser un entero.');
+    if (!OUTFEED_STATES.includes(status)) throw httpError(400, `status debe ser uno de: ${OUTFEED_STATES.join(', ')}.`);
+    if (!EVENT_SOURCES.includes(source)) throw httpError(400, `Origen de cambio de estado desconocido: ${source}.`);
+    if (status === 'RUNNING') {
+        reasonCode = null;
+    } else if (reasonCode) {
+        const reasonRes = await client.query('SELECT status, active FROM outfeed_status_reasons WHERE code = $1', [reasonCode]);
+        const reason = reasonRes.rows[0];
+        if (!reason || !reason.active) throw httpError(400, `No existe el motivo "${reasonCode}" o está desactivado.`);
+        if (reason.status !== status) throw httpError(400, `El motivo "${reasonCode}" corresponde al estado ${reason.status}, no a ${status}.`);
+    } else if (source === 'undo') {
+        const lastRes = await client.query(
+            `SELECT reason_code FROM outfeed_status_events WHERE outfeed_id = $1 AND status = $2 AND reason_code IS NOT NULL
+             ORDER BY started_at DESC LIMIT 1`,
+            [outfeedId, status]
+        );
+        reasonCode = lastRes.rows[0]?.reason_code ?? null;
+    } else {
+        throw httpError(400, `Indique el motivo ("reasonCode") para dejar el outfeed ${outfeedId} en ${status}.`);
+    }
+
+    const outfeedRes = await client.query('SELECT 1 FROM outfeeds WHERE id = $1', [outfeedId]);
+    if (outfeedRes.rows.length === 0) throw httpError(404, `No existe el outfeed ${outfeedId}.`);
+    const currentRes = await client.query('SELECT status, reason_code FROM outfeed_status WHERE outfeed_id = $1 FOR UPDATE', [outfeedId]);
+    const current = currentRes.rows[0];
+    if (current && current.status === status && current.reason_code === reasonCode && !cleanText(note)) {
+        return { changed: false, previous: current.status };
+    }
+
+    await client.query(
+        `INSERT INTO outfeed_status (outfeed_id, status, reason_code, note, last_updated_at) VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+         ON CONFLICT (outfeed_id) DO UPDATE SET status = $2, reason_code = $3, note = $4, last_updated_at = CURRENT_TIMESTAMP`,
+        [outfeedId, status, reasonCode, cleanText(note)]
+    );
+    await client.query('UPDATE outfeed_status_events SET ended_at = CURRENT_TIMESTAMP WHERE outfeed_id = $1 AND ended_at IS NULL', [outfeedId]);
+    await client.query(
+        `INSERT INTO outfeed_status_events (outfeed_id, status, reason_code, note, source, user_id, username)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [outfeedId, status, reasonCode, cleanText(note), source, user?.id ?? null, user?.username ?? 'system']
+    );
+    return { changed: true, previous: current?.status ?? null };
+};
+
+// Quita el estado de un outfeed (al deshacer hasta antes de que tuviera uno) y cierra su tramo abierto.
+export const clearOutfeedStatus = async (client, outfeedId) => {
+    await client.query('DELETE FROM outfeed_status WHERE outfeed_id = $1', [outfeedId]);
+    await client.query('UPDATE outfeed_status_events SET ended_at = CURRENT_TIMESTAMP WHERE outfeed_id = $1 AND ended_at IS NULL', [outfeedId]);
+};
+
+// Cambios de formato: outfeeds en RUNNING cuyo tag en cabeza pasó a ser de otra formación (la misma que usan las
+// reglas de capacidad, ver lib/capabilities.js) desde la reconciliación anterior. previousHeads: { [outfeedId]:
+// { order_id, standard_id } } (la cabeza observada entonces); heads: la cabeza actual, con su tag. Sin observación
+// anterior (el outfeed recién se puso en marcha) no se detecta nada.
+export const findChangeovers = ({ previousHeads, heads, statuses, orders }) => {
+    const formacionOf = (line) => orders.find(o => o.id_marketer_order == line.order_id && o.codigo_producto == line.standard_id)?.formacion?.trim();
+    return Object.entries(heads)
+        .filter(([outfeedId]) => statuses[outfeedId] === 'RUNNING' && previousHeads[outfeedId])
+        .map(([outfeedId, head]) => ({
+            outfeedId: Number(outfeedId), tag: head.tag,
+            from: formacionOf(previousHeads[outfeedId]), to: formacionOf(head)
+        }))
+        .filter(change => change.from && change.to && change.from.toLowerCase() !== change.to.toLowerCase());
+};
+
+// Historia de estados, del más reciente al más antiguo; un tramo abierto dura hasta ahora.
+export const readStatusHistory = async (db, { outfeedId = null, from = null, to = null, limit } = {}) => {
+    const result = await db.query(
+        `SELECT e.*, r.description AS reason, EXTRACT(EPOCH FROM (COALESCE(e.ended_at, CURRENT_TIMESTAMP) - e.started_at)) / 60 AS minutes
+         FROM outfeed_status_events e LEFT JOIN outfeed_status_reasons r ON r.code = e.reason_code
+         WHERE ($1::int IS NULL OR e.outfeed_id = $1)
+           AND ($2::timestamptz IS NULL OR COALESCE(e.ended_at, CURRENT_TIMESTAMP) > $2)
+           AND ($3::timestamptz IS NULL OR e.started_at < $3)
+         ORDER BY e.started_at DESC, e.id DESC LIMIT $4`,
+        [outfeedId, from, to, Math.min(parseInt(limit, 10) || 100, HISTORY_LIMIT)]
+    );
+    return result.rows.map(row => ({
+        id: Number(row.id),
+        outfeedId: row.outfeed_id,
+        status: row.status,
+        reasonCode: row.reason_code,
+        reason: row.reason,
+        note: row.note,
+        source: row.source,
+        startedAt: row.started_at,
+        endedAt: row.ended_at,
+        minutes: Math.round(parseFloat(row.minutes)),
+        username: row.username
+    }));
+};
@@ -0,0 +1,163 @@
+// Lectura y mantenimiento de las colas de outfeed (tabla outfeed_queue).
+import { resolveTagForLine, lineTagOf, allocationNumberOf } from './tags.js';
+import { pendingBoxes } from './eta.js';
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Lee las colas agrupadas por outfeed. Si se indican outfeedIds, incluye esas colas aunque estén vacías.
+// Las partes de una línea repartida llevan además allocated_boxes (las cajas que le tocan a ese outfeed).
+export const readQueues = async (db, outfeedIds = null) => {
+    const result = outfeedIds
+        ? await db.query('SELECT outfeed_id, tag, order_id, standard_id, sequence, allocated_boxes FROM outfeed_queue WHERE outfeed_id = ANY($1::int[]) ORDER BY outfeed_id, sequence', [outfeedIds])
+        : await db.query('SELECT outfeed_id, tag, order_id, standard_id, sequence, allocated_boxes FROM outfeed_queue ORDER BY outfeed_id, sequence');
+    const queues = outfeedIds ? Object.fromEntries(outfeedIds.map(id => [id, []])) : {};
+    return result.rows.reduce((acc, row) => {
+        if (!acc[row.outfeed_id]) acc[row.outfeed_id] = [];
+        const item = { tag: row.tag, order_id: row.order_id, standard_id: row.standard_id };
+        if (row.allocated_boxes !== null) item.allocated_boxes = row.allocated_boxes;
+        acc[row.outfeed_id].push(item);
+        return acc;
+    }, queues);
+};
+
+// Cajas empacadas de cada parte de línea repartida que sigue en las colas: { [subTag]: cajas }. Es lo que midió la
+// reconciliación o, si va adelante, lo que informaron los operadores para ese sub-tag desde el kiosco.
+export const readAllocationProgress = async (db) => {
+    const result = await db.query(
+        `SELECT q.tag, GREATEST(COALESCE(p.packed_boxes, 0), COALESCE(r.boxes, 0)) AS packed_boxes
+         FROM outfeed_queue q
+         LEFT JOIN queue_allocation_progress p ON p.tag = q.tag
+         LEFT JOIN (SELECT tag, SUM(boxes) AS boxes FROM packing_reports GROUP BY tag) r ON r.tag = q.tag
+         WHERE q.allocated_boxes IS NOT NULL AND (p.tag IS NOT NULL OR r.tag IS NOT NULL)`
+    );
+    return Object.fromEntries(result.rows.map(row => [row.tag, parseFloat(row.packed_boxes)]));
+};
+
+// Dónde está planificada una línea: [{ outfeed_id, tag, sequence, allocated_boxes }].
+export const readLinePlacements = async (db, orderId, standardId) => {
+    const result = await db.query(
+        'SELECT outfeed_id, tag, sequence, allocated_boxes FROM outfeed_queue WHERE order_id = $1 AND standard_id = $2 ORDER BY outfeed_id',
+        [orderId, String(standardId)]
+    );
+    return result.rows;
+};
+
+// Renumera la secuencia de una cola (1..n) conservando su orden actual.
+export const resequenceQueue = async (client, outfeedId) => {
+    const items = await client.query('SELECT id FROM outfeed_queue WHERE outfeed_id = $1 ORDER BY sequence', [outfeedId]);
+    for (let i = 0; i < items.rows.length; i++) {
+        await client.query('UPDATE outfeed_queue SET sequence = $1 WHERE id = $2', [i + 1, items.rows[i].id]);
+    }
+};
+
+// position: 1 = primera de la cola, n = antes del que hoy está en la posición n, null = al final.
+const insertQueueItem = async (client, { outfeedId, tag, orderId, standardId, allocatedBoxes = null, position = null }) => {
+    const sequenceRes = await client.query('SELECT COALESCE(MAX(sequence), 0) as max_seq FROM outfeed_queue WHERE outfeed_id = $1', [outfeedId]);
+    const lastSequence = sequenceRes.rows[0].max_seq;
+    let sequence = lastSequence + 1;
+    if (position && position <= lastSequence) {
+        // Mover hacia abajo lo que queda desde esa posición e insertar en el hueco.
+        await client.query('UPDATE outfeed_queue SET sequence = sequence + 1 WHERE outfeed_id = $1 AND sequence >= $2', [outfeedId, position]);
+        sequence = position;
+    }
+    await client.query(
+        'INSERT INTO outfeed_queue (outfeed_id, tag, order_id, standard_id, sequence, allocated_boxes) VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (outfeed_id, order_id, standard_id) DO NOTHING',
+        [outfeedId, tag, orderId, standardId, sequence, allocatedBoxes]
+    );
+};
+
+const loadOfOrder = async (client, orderId) => {
+    const loadRes = await client.query('SELECT load_name FROM loads WHERE order_id = $1', [orderId]);
+    if (loadRes.rows.length === 0) {
+        throw new Error(`La orden ${orderId} no tiene un Load asignado.`);
+    }
+    return loadRes.rows[0].load_name;
+};
+
+// Planifica una línea en uno o varios outfeeds: reutiliza su tag o genera el siguiente de su load.
+// position: 1 = primera de la cola, n = antes del que hoy está en la posición n, null = al final.
+// Debe ejecutarse dentro de una transacción; lo usan /api/plan-order y el planificador automático.
+export const planLine = async (client, { orderId, standardId, outfeedIds, position = null }) => {
+    const loadName = await loadOfOrder(client, orderId);
+    if ((await readLinePlacements(client, orderId, standardId)).some(row => row.allocated_boxes !== null)) {
+        throw httpError(409, `La línea ${orderId}-${standardId} está repartida entre outfeeds: cambie el reparto o quite sus partes antes de planificarla completa.`);
+    }
+    const tag = await resolveTagForLine(client, orderId, standardId, loadName);
+
+    for (const outfeedId of outfeedIds) {
+        await insertQueueItem(client, { outfeedId, tag, orderId, standardId, position });
+    }
+    return tag;
+};
+
+// Valida el reparto pedido para una línea y lo deja en cajas enteras: [{ outfeedId, boxes }].
+// allocations: [{ outfeedId, pallets }] o [{ outfeedId, boxes }], al menos dos outfeeds distintos. La suma debe
+// ser lo pendiente de la línea; al pasar pallets a cajas se admite el redondeo (media caja por parte) y la última
+// parte absorbe la diferencia. order: la línea en la foto de órdenes.
+export const resolveAllocations = (order, allocations) => {
+    if (!Array.isArray(allocations) || allocations.length < 2) {
+        throw httpError(400, 'El reparto necesita al menos dos outfeeds (allocations).');
+    }
+    const outfeedIds = allocations.map(a => parseInt(a?.outfeedId, 10));
+    if (outfeedIds.some(Number.isNaN) || new Set(outfeedIds).size !== outfeedIds.length) {
+        throw httpError(400, 'Cada parte del reparto debe indicar un outfeed distinto (outfeedId).');
+    }
+    if (allocations.some(a => (a.pallets === undefined) === (a.boxes === undefined))) {
+        throw httpError(400, 'Cada parte del reparto debe indicar pallets o boxes (no ambos).');
+    }
+    if (!order) throw httpError(422, 'La línea no está en la foto de órdenes: no se puede validar el reparto.');
+
+    const boxesPerPallet = parseFloat(order.cajas_por_pallet) || 0;
+    if (allocations.some(a => a.pallets !== undefined) && boxesPerPallet <= 0) {
+        throw httpError(422, 'La línea no tiene cajas por pallet: indique el reparto en cajas (boxes).');
+    }
+    const requested = allocations.map(a => Number(a.pallets !== undefined ? a.pallets : a.boxes) * (a.pallets !== undefined ? boxesPerPallet : 1));
+    if (requested.some(boxes => !Number.isFinite(boxes) || Math.round(boxes) < 1)) {
+        throw httpError(400, 'Cada parte del reparto debe tener al menos una caja.');
+    }
+
+    const pending = Math.round(pendingBoxes(order));
+    if (pending <= 0) throw httpError(409, 'La línea no tiene cajas pendientes que repartir.');
+    const total = requested.reduce((sum, boxes) => sum + boxes, 0);
+    if (Math.abs(total - pending) > 0.5 * allocations.length) {
+        const inPallets = (boxes) => (boxesPerPallet > 0 ? ` (${Math.round(boxes / boxesPerPallet * 100) / 100} pallets)` : '');
+        throw httpError(422, `El reparto suma ${Math.round(total * 100) / 100} cajas${inPallets(total)} y la línea tiene ${pending} cajas${inPallets(pending)} pendientes.`);
+    }
+    const boxes = requested.map(Math.round);
+    boxes[boxes.length - 1] = pending - boxes.slice(0, -1).reduce((sum, b) => sum + b, 0);
+    if (boxes[boxes.length - 1] < 1) throw httpError(422, 'La última parte del reparto queda sin cajas.');
+    return outfeedIds.map((outfeedId, index) => ({ outfeedId, boxes: boxes[index] }));
+};
+
+// Reparte una línea entre varios outfeeds, una parte por outfeed con su sub-tag (A001-1, A001-2...) y sus cajas.
+// Reemplaza lo que la línea tenía planificado: en los outfeeds donde ya estaba, la parte conserva su posición; en
+// los demás entra en `position` (como planLine). Los sub-tags nunca se reutilizan dentro de la misma línea, así el
+// avance de una parte anterior no pasa a la nueva. allocations: resultado de resolveAllocations.
+// Debe ejecutarse dentro de una transacción. Devuelve { lineTag, tags (en el orden de allocations), outfeedIds afectados }.
+export const planSplitLine = async (client, { orderId, standardId, allocations, position = null }) => {
+    const loadName = await loadOfOrder(client, orderId);
+    const placements = await readLinePlacements(client, orderId, standardId);
+    const lineTag = placements.length > 0 ? lineTagOf(placements[0].tag) : await resolveTagForLine(client, orderId, standardId, loadName);
+    const firstNumber = Math.max(0, ...placements.map(row => allocationNumberOf(row.tag) ?? 0)) + 1;
+
+    await client.query('DELETE FROM outfeed_queue WHERE order_id = $1 AND standard_id = $2', [orderId, String(standardId)]);
+    const tags = [];
+    for (const [index, allocation] of allocations.entries()) {
+        const tag = `${lineTag}-${firstNumber + index}`;
+        const previous = placements.find(row => row.outfeed_id === allocation.outfeedId);
+        await insertQueueItem(client, {
+            outfeedId: allocation.outfeedId, tag, orderId, standardId: String(standardId),
+            allocatedBoxes: allocation.boxes, position: previous ? previous.sequence : position
+        });
+        await client.query(
+            `INSERT INTO queue_allocation_progress (tag, packed_boxes) VALUES ($1, 0)
+             ON CONFLICT (tag) DO UPDATE SET packed_boxes = 0, updated_at = CURRENT_TIMESTAMP`,
+            [tag]
+        );
+        tags.push(tag);
+    }
+
+    const outfeedIds = [...new Set([...allocations.map(a => a.outfeedId), ...placements.map(row => row.outfeed_id)])];
+    for (const outfeedId of outfeedIds) await resequenceQueue(client, outfeedId);
+    return { lineTag, tags, outfeedIds };
+};
@@ -0,0 +1,380 @@
+// Reconciliación del tablero contra la API de órdenes.
+// Retira de las colas los tags terminados, libera los loads despachados o cerrados y compacta las prioridades.
+// Corre como tarea periódica del servidor; un advisory lock garantiza que solo una instancia la ejecute a la vez.
+import { readQueues, readAllocationProgress, resequenceQueue } from './queues.js';
+import { captureSnapshot, recordAudit } from './audit.js';
+import { recordPackingProgress, lineAssignedBoxes } from './eta.js';
+import { releaseShippingLoads } from './loads.js';
+import { readCompletedLines, readReportedBoxes } from './kiosk.js';
+import { readVersions } from './versions.js';
+import { readStatusDetails, setOutfeedStatus, findChangeovers, isPackingStatus, CHANGEOVER_REASON } from './outfeed-status.js';
+
+// Clave arbitraria del advisory lock de la reconciliación (la de migraciones es 7301001).
+const RECONCILE_LOCK_KEY = 7301002;
+// El avance de una parte ya retirada se conserva un tiempo por si se deshace el retiro.
+const ALLOCATION_PROGRESS_RETENTION_DAYS = 30;
+
+// state: { isBeingPackedSet, completedSet } con claves "orderId-standardId" (ver packingStateFor).
+export const getPackingStatus = (order, state) => {
+    if ((parseFloat(order.cantidad_despachada) || 0) > 0) return 'shipped';
+    // Cerrada a mano desde el kiosco aunque la API aún no muestre todo lo asignado.
+    if (state.completedSet?.has(`${order.id_marketer_order}-${order.codigo_producto}`)) return 'done';
+    const req = parseFloat(order.cantidad_solicitada) || 0;
+    if (req > 0) {
+        const ass = parseFloat(order.cantidad_asignada) || 0;
+        const cxp = parseFloat(order.cajas_por_pallet) || 1;
+        if (ass / cxp >= req / cxp) return 'done';
+    }
+
+    if (state.isBeingPackedSet.has(`${order.id_marketer_order}-${order.codigo_producto}`)) {
+        return 'being_packed';
+    }
+    if ((parseFloat(order.cantidad_asignada) || 0) > 0) return 'partially';
+    return 'pending';
+};
+
+// Una línea está "siendo empacada" si es la cabeza de un outfeed en marcha o en cambio de formato (isPackingStatus).
+// planningState: readPlanningState() (queues, statuses y completedLines).
+export const packingStateFor = ({ queues, statuses, completedLines = [] }) => ({
+    isBeingPackedSet: new Set(Object.entries(queues)
+        .filter(([outfeedId, queue]) => queue.length > 0 && isPackingStatus(statuses[outfeedId]))
+        .map(([, queue]) => `${queue[0].order_id}-${queue[0].standard_id}`)),
+    completedSet: new Set(completedLines)
+});
+
+// Estado completo del tablero tal como lo consumen los navegadores. Los nombres de load son únicos en el servidor,
+// así que loads y priorities van juntos para todas las plantas; loadFacilities indica a qué planta pertenece cada load.
+// allocationProgress: cajas empacadas de cada parte de línea repartida (ver readAllocationProgress).
+// reportedBoxes: cajas informadas desde el kiosco para cada tag en cola (ver readReportedBoxes).
+// statusDetails: motivo, nota y desde cuándo de cada estado (ver readStatusDetails).
+export const readPlanningState = async (db) => {
+    // Las versiones se leen antes que el contenido: si algo cambia entremedio, el cliente queda con una versión
+    // anterior a lo que ve y su próxima escritura recibe un 409, en vez de pisar un cambio que no vio.
+    const versions = await readVersions(db);
+    const [loadsRes, prioritiesRes, queues, statusDetails, completedLines, allocationProgress, reportedBoxes] = await Promise.all([
+        db.query('SELECT order_id, load_name, facility_id FROM loads'),
+        db.query('SELECT load_name, priority_order, facility_id FROM load_priorities'),
+        readQueues(db),
+        readStatusDetails(db),
+        readCompletedLines(db),
+        readAllocationProgress(db),
+        readReportedBoxes(db)
+    ]);
+    return {
+        loads: loadsRes.rows.reduce((acc, row) => { acc[row.order_id] = row.load_name; return acc; }, {}),
+        priorities: prioritiesRes.rows.reduce((acc, row) => { acc[row.load_name] = row.priority_order; return acc; }, {}),
+        loadFacilities: Object.fromEntries([...loadsRes.rows, ...prioritiesRes.rows].map(row => [row.load_name, row.facility_id])),
+        queues,
+        statuses: Object.fromEntries(Object.entries(statusDetails).map(([outfeedId, detail]) => [outfeedId, detail.status])),
+        statusDetails,
+        completedLines,
+        allocationProgress,
+        reportedBoxes,
+        versions
+    };
+};
+
+// Suma a cada parte de línea repartida en cabeza lo que creció la cantidad_asignada de su línea desde la reconciliación
+// anterior, sin importar el estado del outfeed ni el tiempo transcurrido. La primera vez que una parte se ve en cabeza
+// solo se toma la cantidad_asignada como punto de partida. Si la línea está en cabeza de varios outfeeds, el avance se
+// reparte entre los que están empacando (o entre todos, si ninguno lo está). Devuelve los sub-tags en cabeza que ya
+// completaron sus cajas.
+const recordAllocationProgress = async (client, { queueRows, orders, statuses }) => {
+    const heads = queueRows.filter(r => r.sequence === 1 && r.allocated_boxes !== null);
+    const observedRes = await client.query('SELECT tag, observed_asignada FROM queue_allocation_progress WHERE tag = ANY($1::text[])', [heads.map(r => r.tag)]);
+    const observedByTag = Object.fromEntries(observedRes.rows.map(r => [r.tag, r.observed_asignada]));
+
+    for (const head of heads) {
+        const order = orders.find(o => o.id_marketer_order == head.order_id && o.codigo_producto == head.standard_id);
+        if (!order) continue;
+        const assigned = parseFloat(order.cantidad_asignada) || 0;
+        const observed = observedByTag[head.tag];
+        let boxes = 0;
+        if (observed !== undefined && observed !== null) {
+            const lineHeads = heads.filter(r => r.order_id === head.order_id && String(r.standard_id) === String(head.standard_id));
+            const packingHeads = lineHeads.filter(r => isPackingStatus(statuses[r.outfeed_id]));
+            const sharers = packingHeads.length > 0 ? packingHeads : lineHeads;
+            if (sharers.includes(head)) boxes = Math.max(0, assigned - parseFloat(observed)) / sharers.length;
+        }
+        await client.query(
+            `INSERT INTO queue_allocation_progress (tag, packed_boxes, observed_asignada) VALUES ($1, $2, $3)
+             ON CONFLICT (tag) DO UPDATE SET packed_boxes = queue_allocation_progress.packed_boxes + $2, observed_asignada = $3,
+                 updated_at = CURRENT_TIMESTAMP`,
+            [head.tag, boxes, assigned]
+        );
+    }
+    // Una parte que deja la cabeza pierde su punto de partida: lo asignado mientras tanto es de otras partes.
+    await client.query(
+        'UPDATE queue_allocation_progress SET observed_asignada = NULL WHERE observed_asignada IS NOT NULL AND NOT (tag = ANY($1::text[]))',
+        [heads.map(r => r.tag)]
+    );
+    await client.query(
+        `DELETE FROM queue_allocation_progress p WHERE p.updated_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+         AND NOT EXISTS (SELECT 1 FROM outfeed_queue q WHERE q.tag = p.tag)`,
+        [ALLOCATION_PROGRESS_RETENTION_DAYS]
+    );
+    const progress = await readAllocationProgress(client);
+    return heads.filter(r => (progress[r.tag] || 0) >= r.allocated_boxes).map(r => r.tag);
+};
+
+// Aplica la reconciliación dentro de la transacción de `client`. Devuelve lo retirado y liberado.
+const reconcileState = async (client, allApiOrders, user) => {
+    const [dbLoads, dbPriorities, dbQueue, dbOutfeedStatus] = await Promise.all([
+        client.query('SELECT order_id, load_name FROM loads'),
+        client.query('SELECT load_name, priority_order, facility_id FROM load_priorities'),
+        client.query('SELECT outfeed_id, tag, order_id, standard_id, sequence, allocated_boxes FROM outfeed_queue'),
+        client.query('SELECT outfeed_id, status, last_updated_at FROM outfeed_status')
+    ]);
+    const statusByOutfeed = Object.fromEntries(dbOutfeedStatus.rows.map(s => [s.outfeed_id, s.status]));
+
+    // Cabeza observada en la reconciliación anterior de cada outfeed que siguió en marcha desde entonces
+    // (recordPackingProgress la reemplaza por la actual); sirve para detectar cambios de formato.
+    const previousHeadsRes = await client.query(
+        `SELECT p.outfeed_id, p.order_id, p.standard_id FROM outfeed_progress p
+         JOIN outfeed_status s ON s.outfeed_id = p.outfeed_id WHERE s.last_updated_at <= p.observed_at`
+    );
+    const previousHeads = Object.fromEntries(previousHeadsRes.rows.map(r => [r.outfeed_id, r]));
+
+    // El avance de las líneas en cabeza alimenta el ritmo de cada outfeed (ver lib/eta.js).
+    const packingSamples = await recordPackingProgress(client, { queueRows: dbQueue.rows, orders: allApiOrders });
+    const finishedAllocationTags = await recordAllocationProgress(client, { queueRows: dbQueue.rows, orders: allApiOrders, statuses: statusByOutfeed });
+
+    // --- INICIO LÓGICA DE AVANCE DE COLA ---
+
+    const isBeingPackedSet = new Set();
+    dbQueue.rows.filter(r => r.sequence === 1).forEach(r => {
+        // Una línea solo está "siendo empacada" si su outfeed está en marcha o en cambio de formato
+        if (isPackingStatus(statusByOutfeed[r.outfeed_id])) {
+            isBeingPackedSet.add(`${r.order_id}-${r.standard_id}`);
+        }
+    });
+
+    const tempStateForStatus = { isBeingPackedSet, completedSet: new Set(await readCompletedLines(client)) };
+    const ordersWithStatus = allApiOrders.map(order => ({ ...order, packing_status: getPackingStatus(order, tempStateForStatus) }));
+
+    // Cada parte de una línea repartida sale de su cola al completar sus cajas, aunque las demás sigan. Una línea
+    // completa también termina cuando los operadores informaron desde el kiosco todas sus cajas (lineAssignedBoxes).
+    const doneTagsToDelete = new Set(finishedAllocationTags);
+    const reportedBoxes = await readReportedBoxes(client);
+    for (const item of dbQueue.rows) {
+        if (item.sequence === 1) {
+            const apiOrder = allApiOrders.find(o => o.id_marketer_order == item.order_id && o.codigo_producto == item.standard_id);
+            const packingStatus = apiOrder
+                && getPackingStatus({ ...apiOrder, cantidad_asignada: lineAssignedBoxes(item, apiOrder, reportedBoxes) }, tempStateForStatus);
+            if (packingStatus === 'done' || packingStatus === 'shipped') {
+                dbQueue.rows
+                    .filter(r => r.order_id === item.order_id && r.standard_id === item.standard_id)
+                    .forEach(r => doneTagsToDelete.add(r.tag));
+            }
+        }
+    }
+
+    // Un tag terminado se elimina de todas las colas donde aparezca, no solo de la que lo tenía primero; una línea
+    // repartida terminada, con todas sus partes.
+    const removalOutfeedIds = [...new Set(dbQueue.rows.filter(r => doneTagsToDelete.has(r.tag)).map(r => r.outfeed_id))];
+    const queuesBefore = await captureSnapshot(client, { queues: removalOutfeedIds });
+
+    if (doneTagsToDelete.size > 0) {
+        console.log("Tags a eliminar por estar 'Done':", Array.from(doneTagsToDelete));
+        await client.query('DELETE FROM outfeed_queue WHERE tag = ANY($1::text[])', [Array.from(doneTagsToDelete)]);
+        for (const outfeedId of removalOutfeedIds) {
+            await resequenceQueue(client, outfeedId);
+        }
+    }
+
+    // --- FIN LÓGICA DE AVANCE DE COLA ---
+
+    // CAMBIOS DE FORMATO: un outfeed en marcha cuyo nuevo tag en cabeza es de otra formación pasa a CHANGEOVER
+    // hasta que el operador lo reanude.
+    const heads = Object.fromEntries(dbQueue.rows
+        .filter(r => !doneTagsToDelete.has(r.tag))
+        .sort((a, b) => b.sequence - a.sequence)
+        .map(r => [r.outfeed_id, r]));
+    const changeovers = findChangeovers({ previousHeads, heads, statuses: statusByOutfeed, orders: allApiOrders });
+    // La foto solo incluye estados si hubo cambios de formato.
+    const changeoverOutfeedIds = changeovers.length > 0 ? changeovers.map(c => c.outfeedId) : undefined;
+    const statusesBefore = await captureSnapshot(client, { statuses: changeoverOutfeedIds });
+    for (const changeover of changeovers) {
+        console.log(`Outfeed ${changeover.outfeedId}: cambio de formato ${changeover.from} → ${changeover.to} (${changeover.tag}).`);
+        await setOutfeedStatus(client, {
+            outfeedId: changeover.outfeedId, status: 'CHANGEOVER', reasonCode: CHANGEOVER_REASON,
+            note: `${changeover.from} → ${changeover.to} (${changeover.tag})`, user, source: 'auto'
+        });
+    }
+
+    // AGRUPAR POR LOAD Y DETERMINAR QUÉ LIBERAR
+    const loadsByOrder = dbLoads.rows.reduce((acc, row) => { acc[row.order_id] = row.load_name; return acc; }, {});
+    const loadsGrouped = {};
+    for (const order of ordersWithStatus) {
+        const loadName = loadsByOrder[order.id_marketer_order];
+        if (loadName) {
+            if (!loadsGrouped[loadName]) loadsGrouped[loadName] = [];
+            loadsGrouped[loadName].push(order);
+        }
+    }
+
+    const loadsToReleasePriority = new Set();
+    const loadsToReleaseLetter = new Set();
+    for (const loadName in loadsGrouped) {
+        const ordersInLoad = loadsGrouped[loadName];
+        const isLoadFullyDone = ordersInLoad.every(o => o.packing_status === 'done' || o.packing_status === 'shipped');
+        const isLoadShippedOrClosed = ordersInLoad.some(o => o.packing_status === 'shipped' || o.estado_marketer_order === 'cerrada');
+
+        if (isLoadShippedOrClosed) {
+            loadsToReleaseLetter.add(loadName);
+        } else if (isLoadFullyDone) {
+            loadsToReleasePriority.add(loadName);
+        }
+    }
+
+    // CALCULAR EL ESTADO FINAL DE PRIORIDADES (cada planta numera las suyas desde 1)
+    const currentByFacility = dbPriorities.rows.reduce((acc, row) => {
+        (acc[row.facility_id] ??= {})[row.load_name] = row.priority_order;
+        return acc;
+    }, {});
+    const finalByFacility = Object.fromEntries(Object.entries(currentByFacility).map(([facilityId, currentPriorities]) => [facilityId, Object.entries(currentPriorities)
+        .filter(([loadName]) => !loadsToReleaseLetter.has(loadName) && !loadsToReleasePriority.has(loadName))
+        .sort(([, prioA], [, prioB]) => prioA - prioB)
+        .reduce((acc, [loadName], index) => {
+            acc[loadName] = index + 1;
+            return acc;
+        }, {})]));
+    const changedFacilities = Object.keys(currentByFacility).filter(facilityId => {
+        const currentPriorities = currentByFacility[facilityId], finalPriorities = finalByFacility[facilityId];
+        return Object.keys(finalPriorities).length !== Object.keys(currentPriorities).length
+            || Object.entries(finalPriorities).some(([loadName, priorityOrder]) => currentPriorities[loadName] !== priorityOrder);
+    });
+    const prioritiesChanged = changedFacilities.length > 0;
+
+    // EJECUTAR ESCRITURAS EN LA BASE DE DATOS
+    const releasedOrderIds = dbLoads.rows.filter(r => loadsToReleaseLetter.has(r.load_name)).map(r => r.order_id);
+    const otherBefore = await captureSnapshot(client, { loads: releasedOrderIds, priorities: changedFacilities });
+    for (const facilityId of changedFacilities) {
+        await client.query('DELETE FROM load_priorities WHERE facility_id = $1', [facilityId]);
+        for (const [loadName, priorityOrder] of Object.entries(finalByFacility[facilityId])) {
+            await client.query('INSERT INTO load_priorities (load_name, priority_order, facility_id) VALUES ($1, $2, $3)', [loadName, priorityOrder, facilityId]);
+        }
+    }
+    if (loadsToReleaseLetter.size > 0) {
+        // El load queda en el historial como despachado; el nombre vuelve a estar disponible.
+        await releaseShippingLoads(client, Array.from(loadsToReleaseLetter), user);
+        await client.query('DELETE FROM loads WHERE load_name = ANY($1::text[])', [Array.from(loadsToReleaseLetter)]);
+    }
+
+    // Queda constancia de cada retiro automático para distinguirlo de uno hecho por un planificador.
+    await recordAudit(client, {
+        user, action: 'reconcile_removal',
+        summary: `Reconciliación: ${doneTagsToDelete.size} tags terminados retirados, ${loadsToReleaseLetter.size} loads liberados`
+            + (changeovers.length > 0 ? `, ${changeovers.length} outfeeds en cambio de formato` : ''),
+        tags: Array.from(doneTagsToDelete),
+        before: { ...queuesBefore, ...statusesBefore, ...otherBefore },
+        after: await captureSnapshot(client, {
+            queues: removalOutfeedIds, statuses: changeoverOutfeedIds, loads: releasedOrderIds, priorities: changedFacilities
+        })
+    });
+
+    return {
+        tagsRemoved: Array.from(doneTagsToDelete),
+        loadsReleased: Array.from(loadsToReleaseLetter),
+        prioritiesChanged,
+        changeoverOutfeedIds: changeovers.map(c => c.outfeedId),
+        packingSamples
+    };
+};
+
+const recordRun = (db, run) => db.query(
+    `INSERT INTO reconcile_runs (trigger, triggered_by, started_at, status, tags_removed, loads_released, priorities_changed, orders_fetched_at, orders_stale, error)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+    [run.trigger, run.triggeredBy, run.startedAt, run.status, run.tagsRemoved ?? [], run.loadsReleased ?? [],
+        run.prioritiesChanged ?? false, run.ordersFetchedAt ?? null, run.ordersStale ?? null, run.error ?? null]
+).then(result => result.rows[0]);
+
+// onStateChange(state) se llama tras una reconciliación que modificó el tablero.
+// onRun({ run, state, orders, packingSamples }) se llama tras cada reconciliación exitosa (p. ej. para evaluar alertas
+// y guardar indicadores); no se espera.
+export const createReconciler = ({ db, orderSnapshots, onStateChange = () => {}, onRun = () => {} }) => {
+    let running = null;
+    let timer = null;
+    let scheduled = false;
+
+    const execute = async ({ trigger, user }) => {
+        const base = { trigger, triggeredBy: user?.username ?? 'system', startedAt: new Date() };
+        let orderSnapshot = null;
+        const client = await db.connect();
+        try {
+            // Con la API caída se reconcilia contra la última foto válida: sus avances ya fueron aplicados, así que no retira nada nuevo.
+            orderSnapshot = await orderSnapshots.get();
+
+            await client.query('BEGIN');
+            const lock = await client.query('SELECT pg_try_advisory_xact_lock($1) AS acquired', [RECONCILE_LOCK_KEY]);
+            if (!lock.rows[0].acquired) {
+                // Otra instancia está reconciliando; no se registra como ejecución.
+                await client.query('ROLLBACK');
+                return { status: 'skipped', run: null, state: null };
+            }
+
+            const outcome = await reconcileState(client, orderSnapshot.orders, user);
+            const run = await recordRun(client, {
+                ...base, ...outcome, status: 'ok',
+                ordersFetchedAt: orderSnapshot.fetchedAt, ordersStale: orderSnapshot.stale
+            });
+            // Con una ejecución por minuto el historial crece rápido; se conservan los últimos 30 días.
+            await client.query("DELETE FROM reconcile_runs WHERE started_at < CURRENT_TIMESTAMP - INTERVAL '30 days'");
+            const state = await readPlanningState(client);
+            await client.query('COMMIT');
+
+            const changed = outcome.tagsRemoved.length > 0 || outcome.loadsReleased.length > 0 || outcome.prioritiesChanged
+                || outcome.changeoverOutfeedIds.length > 0;
+            if (changed) {
+                console.log(`Reconciliación #${run.id}: ${outcome.tagsRemoved.length} tags retirados, ${outcome.loadsReleased.length} loads liberados.`);
+                onStateChange(state);
+            }
+            Promise.resolve()
+                .then(() => onRun({ run, state, orders: orderSnapshot.orders, packingSamples: outcome.packingSamples }))
+                .catch(hookError => console.error('Error tras la reconciliación:', hookError.message));
+            return { status: 'ok', run, state };
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            await recordRun(db, {
+                ...base, status: 'error', error: error.message,
+                ordersFetchedAt: orderSnapshot?.fetchedAt, ordersStale: orderSnapshot?.stale
+            }).catch(logError => console.error('Error registrando la reconciliación fallida:', logError));
+            throw error;
+        } finally {
+            client.release();
+        }
+    };
+
+    // Ejecuta una reconciliación. Si ya hay una en curso en este proceso, espera su resultado en lugar de lanzar otra.
+    const run = ({ trigger = 'schedule', user = null } = {}) => {
+        if (!running) running = execute({ trigger, user }).finally(() => { running = null; });
+        return running;
+    };
+
+    // Programa la reconciliación cada intervalMs, empezando de inmediato. Cada ejecución espera a que termine la anterior.
+    const start = (intervalMs) => {
+        scheduled = true;
+        const tick = async () => {
+            try {
+                await run({ trigger: 'schedule' });
+            } catch (error) {
+                console.error('Error durante la reconciliación programada:', error.message);
+            }
+            if (scheduled) timer = setTimeout(tick, intervalMs);
+        };
+        tick();
+    };
+
+    const stop = () => { scheduled = false; clearTimeout(timer); timer = null; };
+
+    return { run, start, stop };
+};
+
+export const listReconcileRuns = async (db, { status, limit } = {}) => {
+    const params = [];
+    let where = '';
+    if (status) { params.push(status); where = `WHERE status = $${params.length}`; }
+    params.push(Math.min(parseInt(limit, 10) || 50, 500));
+    const result = await db.query(`SELECT * FROM reconcile_runs ${where} ORDER BY id DESC LIMIT $${params.length}`, params);
+    return result.rows;
+};
@@ -0,0 +1,329 @@
+// Exportación de la tabla de órdenes y de las colas de outfeed a CSV, XLSX y PDF.
+// Replica en el servidor los filtros de período y los cálculos en pallets del tablero (index.html).
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import { getPackingStatus, packingStateFor } from './reconcile.js';
+import { parseShipDate, itemPendingBoxes, lineAssignedBoxes } from './eta.js';
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// Columnas opcionales y el permiso que se necesita para verlas. Solo el precio está restringido: recibidor y dirección
+// se ven en el tablero con board:read, el mismo permiso que pide la exportación, y son opcionales solo para no
+// ensanchar el reporte.
+export const EXPORT_COLUMN_PERMISSIONS = {
+    price: 'price:read',
+    receiver: 'board:read',
+    address: 'board:read'
+};
+
+// Períodos del grupo "Default Open Orders" del tablero: además de la fecha, solo incluyen órdenes abiertas.
+const OPEN_ORDER_TIMEFRAMES = ['all_time', 'today_past', 'today_future', 'through_tomorrow', 'tomorrow', 'this_week', 'next_week'];
+const WEEK_TIMEFRAME_PATTERN = /^(\d{4})-W(\d{1,2})$/;
+
+export const isValidTimeframe = (timeframe) => timeframe === 'all_status_all_time' || OPEN_ORDER_TIMEFRAMES.includes(timeframe) || WEEK_TIMEFRAME_PATTERN.test(timeframe);
+
+// Semana ISO (lunes a domingo), igual que weekYear/weekNumber de luxon en el tablero.
+const isoWeek = (date) => {
+    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    return { weekYear: d.getUTCFullYear(), weekNumber: Math.ceil(((d - yearStart) / 86400000 + 1) / 7) };
+};
+const sameWeek = (a, b) => { const wa = isoWeek(a), wb = isoWeek(b); return wa.weekYear === wb.weekYear && wa.weekNumber === wb.weekNumber; };
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+export const matchesTimeframe = (order, timeframe, now = new Date()) => {
+    if (timeframe === 'all_status_all_time') return true;
+    if (OPEN_ORDER_TIMEFRAMES.includes(timeframe) && order.estado_marketer_order !== 'activa') return false;
+    if (timeframe === 'all_time') return true;
+
+    const orderDate = parseShipDate(order.fecha_envio);
+    if (!orderDate) return false;
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    switch (timeframe) {
+        case 'today_past': return orderDate <= today;
+        case 'today_future': return orderDate >= today;
+        case 'through_tomorrow': return orderDate <= addDays(today, 1);
+        case 'tomorrow': return orderDate.getTime() === addDays(today, 1).getTime();
+        case 'this_week': return sameWeek(orderDate, today);
+        case 'next_week': return sameWeek(orderDate, addDays(today, 7));
+        default: {
+            const [, year, week] = WEEK_TIMEFRAME_PATTERN.exec(timeframe);
+            const { weekYear, weekNumber } = isoWeek(orderDate);
+            return weekYear === parseInt(year, 10) && weekNumber === parseInt(week, 10);
+        }
+    }
+};
+
+const PACKING_STATUS_LABELS = { shipped: 'SHIPPED', done: 'DONE', being_packed: 'BEING PACKED', partially: 'PARTIALLY', pending: 'PENDING' };
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Cálculo en pallets de la tabla del tablero: REQUEST, ASSIGNED, PENDING y SHIPPED.
+export const palletFigures = (order) => {
+    const reqC = parseFloat(order.cantidad_solicitada) || 0, assC = parseFloat(order.cantidad_asignada) || 0, shipC = parseFloat(order.cantidad_despachada) || 0, cxp = parseFloat(order.cajas_por_pallet) || 1;
+    const reqN = reqC / cxp, assN = assC / cxp, shipN = shipC / cxp, pendN = reqN - (assN + shipN);
+    const percentage = reqN > 0 ? Math.min(100, Math.round((assN + shipN) / reqN * 100)) : 0;
+    return { request: round2(reqN), assigned: round2(assN), pending: round2(pendN), shipped: round2(shipN), percentage };
+};
+
+// Pallets pendientes de un item de cola: los de toda la línea, o los de su parte si la línea está repartida.
+// Las cajas informadas desde el kiosco cuentan si van adelante de la API (ver lineAssignedBoxes).
+export const queuedPallets = (item, order, allocationProgress = {}, reportedBoxes = {}) => {
+    if (item.allocated_boxes === undefined) return palletFigures({ ...order, cantidad_asignada: lineAssignedBoxes(item, order, reportedBoxes) }).pending;
+    return round2(itemPendingBoxes(item, order, allocationProgress) / (parseFloat(order.cajas_por_pallet) || 1));
+};
+
+const ORDER_COLUMNS = [
+    { key: 'commercialStatus', header: 'COMMERCIAL STATUS', width: 11 },
+    { key: 'packingStatus', header: 'PACKING STATUS', width: 12 },
+    { key: 'outfeed', header: 'OUTFEED', width: 11 },
+    { key: 'priority', header: 'PRIORITY', width: 9 },
+    { key: 'load', header: 'LOAD', width: 6 },
+    { key: 'tag', header: 'TAG', width: 7 },
+    { key: 'shipDate', header: 'SHIP DATE', width: 11 },
+    { key: 'marketer', header: 'MARKETER', width: 14 },
+    { key: 'orderNumber', header: 'ORDER NUMBER', width: 11 },
+    { key: 'packStyle', header: 'PACK STYLE', width: 18 },
+    { key: 'label', header: 'LABEL', width: 12 },
+    { key: 'productionMethod', header: 'PRODUCTION METHOD', width: 12 },
+    { key: 'price', header: 'PRICE', width: 8, numeric: true, decimals: 2, optional: 'price' },
+    { key: 'percentage', header: '%', width: 5, numeric: true },
+    { key: 'request', header: 'REQUEST', width: 10, numeric: true, decimals: 2 },
+    { key: 'assigned', header: 'ASSIGNED', width: 10, numeric: true, decimals: 2 },
+    { key: 'pending', header: 'PENDING', width: 10, numeric: true, decimals: 2 },
+    { key: 'shipped', header: 'SHIPPED', width: 10, numeric: true, decimals: 2 },
+    { key: 'receiver', header: 'RECEIVER', width: 14, optional: 'receiver' },
+    { key: 'address', header: 'ADDRESS', width: 20, optional: 'address' }
+];
+
+const QUEUE_COLUMNS = [
+    { key: 'outfeed', header: 'OUTFEED', width: 9 },
+    { key: 'outfeedStatus', header: 'STATUS', width: 8 },
+    { key: 'position', header: 'POSITION', width: 8, numeric: true },
+    { key: 'tag', header: 'TAG', width: 8 },
+    { key: 'marketer', header: 'MARKETER', width: 14 },
+    { key: 'orderNumber', header: 'ORDER NUMBER', width: 11 },
+    { key: 'packStyle', header: 'PACK STYLE', width: 18 },
+    { key: 'shipDate', header: 'SHIP DATE', width: 9 },
+    { key: 'pending', header: 'PENDING', width: 8, numeric: true, decimals: 2 },
+    { key: 'etaStart', header: 'ETA START', width: 13 },
+    { key: 'etaFinish', header: 'ETA FINISH', width: 13 },
+    { key: 'atRisk', header: 'MISSES SHIP DATE', width: 8 }
+];
+
+const compareText = (a, b, options) => String(a ?? '').localeCompare(String(b ?? ''), undefined, options);
+
+// Mismo orden que el reporte impreso: prioridad, marketer, tag/load, fecha de envío, orden, pack style, label, método.
+const compareOrderRows = (a, b) => {
+    const prioA = a.priority ?? 999, prioB = b.priority ?? 999;
+    if (prioA !== prioB) return prioA - prioB;
+    return compareText(a.marketer, b.marketer)
+        || compareText(a.tag || a.load || 'ZZZ', b.tag || b.load || 'ZZZ')
+        || ((a.shipDateValue?.getTime() ?? 0) - (b.shipDateValue?.getTime() ?? 0))
+        || compareText(a.orderNumber, b.orderNumber, { numeric: true })
+        || compareText(a.packStyle, b.packStyle)
+        || compareText(a.label, b.label)
+        || compareText(a.productionMethod, b.productionMethod);
+};
+
+export const formatDateTime = (iso) => (iso
+    ? new Date(iso).toLocaleString('en-US', { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' })
+    : '');
+
+// Arma las filas de la tabla de órdenes a partir de las órdenes de la API y el estado del tablero.
+export const buildOrderTable = (orders, planningState, { timeframe, optionalColumns = [], now = new Date() }) => {
+    const { loads, priorities, queues } = planningState;
+    const packingState = packingStateFor(planningState);
+
+    const rows = orders
+        .filter(order => order.fecha_envio && ['cerrada', 'activa'].includes(order.estado_marketer_order))
+        .filter(order => matchesTimeframe(order, timeframe, now))
+        .map(order => {
+            const load = loads[order.id_marketer_order] || '';
+            const queueEntry = Object.entries(queues)
+                .map(([outfeedId, queue]) => ({ outfeedId, item: queue.find(i => i.order_id == order.id_marketer_order && i.standard_id == order.codigo_producto) }))
+                .find(entry => entry.item);
+            return {
+                commercialStatus: order.estado_marketer_order === 'activa' ? 'OPEN' : 'CLOSED',
+                packingStatus: PACKING_STATUS_LABELS[getPackingStatus(order, packingState)],
+                outfeed: queueEntry ? `OUTFEED ${queueEntry.outfeedId}` : '',
+                priority: priorities[load] || null,
+                load,
+                tag: queueEntry?.item.tag || '',
+                shipDate: order.fecha_envio,
+                shipDateValue: parseShipDate(order.fecha_envio),
+                marketer: order.marketer,
+                orderNumber: order.order_number,
+                packStyle: order.descripcion,
+                label: (order.label || '').replace(/organic/ig, '').trim(),
+                productionMethod: order.formacion || '',
+                price: round2(parseFloat(order.precio) || 0),
+                receiver: order.recibidor || '',
+                address: order.direccion_recibidor || '',
+                ...palletFigures(order)
+            };
+        })
+        .sort(compareOrderRows);
+
+    const columns = ORDER_COLUMNS.filter(c => !c.optional || optionalColumns.includes(c.optional));
+    const totals = ['request', 'assigned', 'pending', 'shipped'].reduce((acc, key) => {
+        acc[key] = round2(rows.reduce((sum, row) => sum + row[key], 0));
+        return acc;
+    }, {});
+    return { title: 'Orders', columns, rows, totals };
+};
+
+// Una fila por tag en cada cola, en orden de posición, con su ETA si está disponible.
+export const buildQueueTable = (orders, planningState, etas = null) => {
+    const ordersByLine = new Map(orders.map(o => [`${o.id_marketer_order}-${o.codigo_producto}`, o]));
+    const rows = [];
+    for (const [outfeedId, queue] of Object.entries(planningState.queues).sort(([a], [b]) => a - b)) {
+        queue.forEach((item, index) => {
+            const order = ordersByLine.get(`${item.order_id}-${item.standard_id}`) || {};
+            const eta = etas?.outfeeds?.[outfeedId]?.items?.[index];
+            rows.push({
+                outfeed: `OUTFEED ${outfeedId}`,
+                outfeedStatus: planningState.statuses[outfeedId] || 'PAUSED',
+                position: index + 1,
+                tag: item.tag,
+                marketer: order.marketer || '',
+                orderNumber: order.order_number || String(item.order_id),
+                packStyle: order.descripcion || '',
+                shipDate: order.fecha_envio || '',
+                pending: order.id_marketer_order ? queuedPallets(item, order, planningState.allocationProgress, planningState.reportedBoxes) : null,
+                etaStart: formatDateTime(eta?.startAt),
+                etaFinish: formatDateTime(eta?.finishAt),
+                atRisk: !eta?.missesShipDate ? '' : etas.outfeeds[outfeedId].assumesResume ? 'YES, IF RESUMED NOW' : 'YES'
+            });
+        });
+    }
+    return { title: 'Outfeed Queues', columns: QUEUE_COLUMNS, rows, totals: null };
+};
+
+// --- FORMATOS ---
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (table) => {
+    const lines = [table.columns.map(c => csvCell(c.header)).join(',')];
+    table.rows.forEach(row => lines.push(table.columns.map(c => csvCell(row[c.key])).join(',')));
+    // BOM para que Excel reconozca UTF-8 al abrir el archivo directamente.
+    return `﻿${lines.join('\r\n')}\r\n`;
+};
+
+export const toXlsx = async (tables) => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+    for (const table of tables) {
+        const sheet = workbook.addWorksheet(table.title);
+        sheet.columns = table.columns.map(c => ({ header: c.header, key: c.key, width: c.width + 4, style: c.decimals !== undefined ? { numFmt: '0.00' } : {} }));
+        sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        sheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2D2D2D' } };
+        sheet.views = [{ state: 'frozen', ySplit: 1 }];
+        table.rows.forEach(row => sheet.addRow(row));
+        if (table.totals) {
+            const totalsRow = sheet.addRow({ [table.columns[0].key]: 'TOTALS', ...table.totals });
+            totalsRow.font = { bold: true };
+        }
+    }
+    return workbook.xlsx.writeBuffer();
+};
+
+const pdfCellText = (column, value) => {
+    if (value === null || value === undefined) return '';
+    return column.decimals !== undefined && typeof value === 'number' ? value.toFixed(column.decimals) : String(value);
+};
+
+const drawTable = (doc, table) => {
+    const { left, right, bottom } = doc.page.margins;
+    const usableWidth = doc.page.width - left - right;
+    const padding = 2;
+    const fontSize = 7;
+
+    const headerCells = table.columns.map(c => c.header);
+    const bodyCells = table.rows.map(row => table.columns.map(c => pdfCellText(c, row[c.key])));
+    const totalCells = table.totals ? table.columns.map((c, i) => (i === 0 ? 'TOTALS' : pdfCellText(c, table.totals[c.key]))) : null;
+
+    // Cada columna recibe al menos el ancho de su palabra más larga (para no cortar palabras);
+    // el espacio restante se reparte según el peso `width` de cada columna.
+    const longestWord = (texts, font) => {
+        doc.font(font).fontSize(fontSize);
+        return Math.max(0, ...texts.flatMap(t => t.split(/\s+/)).map(w => doc.widthOfString(w)));
+    };
+    const minWidths = table.columns.map((c, i) => Math.max(
+        longestWord([headerCells[i]], 'Helvetica-Bold'),
+        longestWord(bodyCells.map(cells => cells[i]), 'Helvetica'),
+        totalCells ? longestWord([totalCells[i]], 'Helvetica-Bold') : 0
+    ) + padding * 2 + 1);
+    const minTotal = minWidths.reduce((sum, w) => sum + w, 0);
+    const totalWeight = table.columns.reduce((sum, c) => sum + c.width, 0);
+    const widths = minTotal <= usableWidth
+        ? minWidths.map((w, i) => w + (usableWidth - minTotal) * table.columns[i].width / totalWeight)
+        : minWidths.map(w => w * usableWidth / minTotal);
+
+    const rowHeight = (cells, font) => {
+        doc.font(font).fontSize(fontSize);
+        return Math.max(...cells.map((text, i) => doc.heightOfString(text, { width: widths[i] - padding * 2 }))) + padding * 2;
+    };
+    const drawRow = (cells, { font = 'Helvetica', fill = null, color = 'black' } = {}) => {
+        const height = rowHeight(cells, font);
+        if (doc.y + height > doc.page.height - bottom) {
+            doc.addPage();
+            drawHeader();
+        }
+        const y = doc.y;
+        if (fill) doc.rect(left, y, usableWidth, height).fill(fill);
+        doc.font(font).fontSize(fontSize).fillColor(color);
+        let x = left;
+        cells.forEach((text, i) => {
+            doc.text(text, x + padding, y + padding, { width: widths[i] - padding * 2, align: table.columns[i].numeric ? 'right' : 'left' });
+            x += widths[i];
+        });
+        doc.moveTo(left, y + height).lineTo(left + usableWidth, y + height).lineWidth(0.3).strokeColor('#e0e0e0').stroke();
+        doc.fillColor('black');
+        doc.y = y + height;
+        doc.x = left;
+    };
+    const drawHeader = () => drawRow(headerCells, { font: 'Helvetica-Bold', fill: '#2d2d2d', color: 'white' });
+
+    doc.font('Helvetica-Bold').fontSize(12).text(table.title, left, doc.y);
+    doc.moveDown(0.3);
+    drawHeader();
+    bodyCells.forEach(cells => drawRow(cells));
+    if (totalCells) drawRow(totalCells, { font: 'Helvetica-Bold' });
+};
+
+export const toPdf = (tables, { subtitle = '' } = {}) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', layout: 'landscape', margin: 30, bufferPages: true });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const generatedOn = `Generated on: ${new Date().toLocaleString('en-US', { month: '2-digit', day: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' })}`;
+    doc.font('Helvetica-Bold').fontSize(18).text('Packing Schedule', { continued: false });
+    doc.font('Helvetica').fontSize(9).text([subtitle, generatedOn].filter(Boolean).join('  ·  '));
+    doc.moveDown(0.5);
+
+    tables.forEach((table, index) => {
+        if (index > 0) doc.addPage();
+        drawTable(doc, table);
+    });
+
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        const bottomMargin = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(8).text(`Page ${i + 1} of ${range.count}`, doc.page.margins.left, doc.page.height - 20, { lineBreak: false });
+        doc.page.margins.bottom = bottomMargin;
+    }
+    doc.end();
+});
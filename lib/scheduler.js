@@ -0,0 +1,152 @@
+// Planificador automático: propone en qué outfeed y en qué posición va cada línea sin planificar.
+// - Las líneas se ordenan por prioridad de su load, luego por fecha de envío.
+// - Cada línea va al outfeed compatible (reglas de capacidad) con menos horas de trabajo pendiente;
+//   si hay outfeeds en marcha (o en cambio de formato) se usan solo esos, y los detenidos solo cuando ninguno en
+//   marcha la admite.
+// - Dentro de la cola se inserta antes del primer tag de menor prioridad o envío posterior, sin tocar la
+//   cabeza de un outfeed en marcha (se está empacando, ver isPackingStatus). El orden relativo de lo ya planificado no cambia.
+// La propuesta no modifica nada: se aplica después con applySchedule, en una sola transacción.
+import crypto from 'crypto';
+import { getPackingStatus } from './reconcile.js';
+import { pendingBoxes, itemPendingBoxes, parseShipDate, computeEtas } from './eta.js';
+import { checkLine, findViolations, enforceCapabilities } from './capabilities.js';
+import { readQueues, planLine, resequenceQueue } from './queues.js';
+import { isPackingStatus } from './outfeed-status.js';
+
+const lineKey = (orderId, standardId) => `${orderId}-${standardId}`;
+
+const httpError = (status, message, extra = {}) => Object.assign(new Error(message), { status, ...extra });
+
+// Huella de las colas sobre las que se calculó la propuesta; si cambian antes de aplicarla, se rechaza.
+export const queuesChecksum = (queues) => {
+    const normalized = Object.keys(queues).sort((a, b) => a - b)
+        .map(id => [Number(id), queues[id].map(item => [item.tag, Number(item.order_id), String(item.standard_id)])])
+        .filter(([, items]) => items.length > 0);
+    return crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex');
+};
+
+// Clave de orden: prioridad del load (sin prioridad al final), fecha de envío, orden y producto.
+const sortKey = (order, load, priorities) => [
+    priorities[load] ?? Number.MAX_SAFE_INTEGER,
+    parseShipDate(order.fecha_envio)?.getTime() ?? Number.MAX_SAFE_INTEGER,
+    Number(order.id_marketer_order),
+    String(order.codigo_producto)
+];
+const compareKeys = (a, b) => {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] < b[i]) return -1;
+        if (a[i] > b[i]) return 1;
+    }
+    return 0;
+};
+
+// state: readPlanningState(); outfeedIds: todos los outfeeds; rates: readPackingRates().
+export const proposeSchedule = ({ orders, state, outfeedIds, rules, rates, now = new Date() }) => {
+    const ordersByLine = new Map(orders.map(o => [lineKey(o.id_marketer_order, o.codigo_producto), o]));
+    const plannedLines = new Set(Object.values(state.queues).flat().map(item => lineKey(item.order_id, item.standard_id)));
+    const hoursOf = (order, outfeedId) => (order ? pendingBoxes(order) : 0) / rates[outfeedId].boxesPerHour;
+    // Lo ya planificado cuenta lo que le falta a cada item: de una línea repartida, solo la parte de ese outfeed.
+    const queuedHoursOf = (item, outfeedId) => (itemPendingBoxes(item, ordersByLine.get(lineKey(item.order_id, item.standard_id)), state.allocationProgress, state.reportedBoxes) || 0) / rates[outfeedId].boxesPerHour;
+
+    // Cola de trabajo por outfeed: lo ya planificado (con su clave) más lo que se vaya proponiendo.
+    const working = Object.fromEntries(outfeedIds.map(id => {
+        const queue = state.queues[id] || [];
+        const items = queue.map(item => {
+            const order = ordersByLine.get(lineKey(item.order_id, item.standard_id));
+            return { ...item, key: order ? sortKey(order, state.loads[item.order_id], state.priorities) : null, isNew: false };
+        });
+        return [id, { items, hours: queue.reduce((sum, item) => sum + queuedHoursOf(item, id), 0) }];
+    }));
+
+    // Las líneas cerradas a mano desde el kiosco cuentan como terminadas; las que están en cabeza ya están planificadas.
+    const packingState = { isBeingPackedSet: new Set(), completedSet: new Set(state.completedLines || []) };
+    const skipped = [];
+    const candidates = [];
+    for (const order of orders) {
+        const key = lineKey(order.id_marketer_order, order.codigo_producto);
+        if (order.estado_marketer_order !== 'activa' || plannedLines.has(key)) continue;
+        if (!['pending', 'partially'].includes(getPackingStatus(order, packingState)) || pendingBoxes(order) <= 0) continue;
+        const load = state.loads[order.id_marketer_order];
+        if (!load) {
+            skipped.push({ order_id: order.id_marketer_order, standard_id: String(order.codigo_producto), reason: 'La orden no tiene load asignado.' });
+            continue;
+        }
+        candidates.push({ order, load, key: sortKey(order, load, state.priorities) });
+    }
+    candidates.sort((a, b) => compareKeys(a.key, b.key));
+
+    const assignments = [];
+    for (const { order, load, key } of candidates) {
+        const compatible = outfeedIds.filter(id => checkLine(order, rules.outfeeds[id], rules.labelFamilies).length === 0);
+        if (compatible.length === 0) {
+            const reasons = outfeedIds.map(id => `outfeed ${id}: ${checkLine(order, rules.outfeeds[id], rules.labelFamilies).join('; ')}`);
+            skipped.push({ order_id: order.id_marketer_order, standard_id: String(order.codigo_producto), reason: `Ningún outfeed admite la línea (${reasons.join(' | ')}).` });
+            continue;
+        }
+        const running = compatible.filter(id => isPackingStatus(state.statuses[id]));
+        const eligible = running.length > 0 ? running : compatible;
+        const outfeedId = eligible.reduce((best, id) => (working[id].hours < working[best].hours ? id : best));
+
+        const target = working[outfeedId];
+        const firstMovable = isPackingStatus(state.statuses[outfeedId]) && target.items.length > 0 ? 1 : 0;
+        let index = target.items.findIndex((item, i) => i >= firstMovable && item.key && compareKeys(key, item.key) < 0);
+        if (index === -1) index = target.items.length;
+        target.items.splice(index, 0, { tag: null, order_id: order.id_marketer_order, standard_id: String(order.codigo_producto), key, isNew: true, load });
+        target.hours += hoursOf(order, outfeedId);
+        assignments.push({ outfeedId: Number(outfeedId), order_id: order.id_marketer_order, standard_id: String(order.codigo_producto), load, pendingBoxes: pendingBoxes(order), fecha_envio: order.fecha_envio });
+    }
+
+    // Posiciones finales y ETAs de las colas propuestas.
+    const proposedQueues = Object.fromEntries(outfeedIds.map(id => [id, working[id].items.map(({ key, ...item }) => item)]));
+    const etas = computeEtas({ queues: proposedQueues, statuses: state.statuses, orders, rates, allocationProgress: state.allocationProgress, reportedBoxes: state.reportedBoxes, now });
+    for (const assignment of assignments) {
+        const queue = proposedQueues[assignment.outfeedId];
+        const index = queue.findIndex(item => item.isNew && item.order_id === assignment.order_id && item.standard_id === assignment.standard_id);
+        const eta = etas.outfeeds[assignment.outfeedId].items[index];
+        Object.assign(assignment, { position: index + 1, startAt: eta.startAt, finishAt: eta.finishAt, missesShipDate: eta.missesShipDate });
+    }
+
+    return {
+        basis: queuesChecksum(state.queues),
+        generatedAt: now.toISOString(),
+        assignments,
+        skipped,
+        queues: Object.fromEntries(outfeedIds.map(id => [id, {
+            status: state.statuses[id] || 'PAUSED',
+            current: (state.queues[id] || []).map(item => item.tag),
+            proposed: proposedQueues[id].map(item => ({ tag: item.tag, order_id: item.order_id, standard_id: item.standard_id, isNew: item.isNew })),
+            finishAt: etas.outfeeds[id].items.at(-1)?.finishAt ?? null
+        }]))
+    };
+};
+
+// Aplica (todas o parte de) las asignaciones de una propuesta dentro de la transacción de `client`.
+// Rechaza con 409 si las colas cambiaron desde que se calculó la propuesta, y con 422 si alguna asignación
+// ya no cumple las reglas de capacidad. Devuelve los outfeeds afectados y el tag de cada línea.
+export const applySchedule = async (client, { basis, assignments, orders, rules }) => {
+    // Nadie más puede modificar las colas mientras se verifica la huella y se insertan las líneas.
+    await client.query('LOCK TABLE outfeed_queue IN SHARE ROW EXCLUSIVE MODE');
+    if (queuesChecksum(await readQueues(client)) !== basis) {
+        throw httpError(409, 'Las colas cambiaron desde que se calculó la propuesta. Vuelva a generarla.');
+    }
+    enforceCapabilities({
+        violations: findViolations(rules, orders, assignments.map(a => ({ outfeedId: a.outfeedId, order_id: a.order_id, standard_id: a.standard_id }))),
+        override: null,
+        canOverride: false
+    });
+
+    // Dentro de cada outfeed se inserta de la primera a la última posición, así cada inserción deja la cola como
+    // la veía la siguiente. Entre outfeeds se respeta el orden de la propuesta (prioridad), que define los tags nuevos.
+    const byOutfeed = {};
+    for (const a of assignments) (byOutfeed[a.outfeedId] ??= []).push(a);
+    Object.values(byOutfeed).forEach(list => list.sort((a, b) => a.position - b.position));
+    const ordered = assignments.map(a => byOutfeed[a.outfeedId].shift());
+    const planned = [];
+    for (const a of ordered) {
+        const tag = await planLine(client, { orderId: a.order_id, standardId: a.standard_id, outfeedIds: [a.outfeedId], position: a.position });
+        planned.push({ ...a, tag });
+    }
+    const outfeedIds = [...new Set(ordered.map(a => a.outfeedId))];
+    for (const outfeedId of outfeedIds) await resequenceQueue(client, outfeedId);
+    return { outfeedIds, planned };
+};
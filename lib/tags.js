@@ -0,0 +1,35 @@
+// Generación de tags de planificación: load_name + correlativo de 3 dígitos (A001, A002...).
+// Las partes de una línea repartida entre outfeeds llevan el tag de la línea y un número de parte (A001-1, A001-2...).
+
+const ALLOCATION_TAG = /^(.*\d{3})-(\d+)$/;
+
+// Tag de la línea a partir del tag de una de sus partes (el de una línea sin repartir se devuelve igual).
+export const lineTagOf = (tag) => ALLOCATION_TAG.exec(tag)?.[1] ?? tag;
+
+// Número de parte de un sub-tag, o null si no lo es.
+export const allocationNumberOf = (tag) => {
+    const match = ALLOCATION_TAG.exec(tag);
+    return match ? parseInt(match[2], 10) : null;
+};
+
+// Devuelve el tag que ya tiene la línea en alguna cola o, si no tiene, el siguiente correlativo de su load.
+export const resolveTagForLine = async (client, orderId, standardId, loadName) => {
+    const tagRes = await client.query('SELECT tag FROM outfeed_queue WHERE order_id = $1 AND standard_id = $2 LIMIT 1', [orderId, standardId]);
+    if (tagRes.rows.length > 0) {
+        return lineTagOf(tagRes.rows[0].tag); // Usar tag existente si la línea ya está en otra cola.
+    }
+
+    const lastTagRes = await client.query(
+        "SELECT tag FROM outfeed_queue WHERE tag LIKE $1 || '%' ORDER BY tag DESC LIMIT 1",
+        [loadName]
+    );
+    let newTagNumber = 1;
+    if (lastTagRes.rows.length > 0) {
+        const lastNumberStr = lastTagRes.rows[0].tag.replace(loadName, '');
+        const lastNumber = parseInt(lastNumberStr, 10);
+        if (!isNaN(lastNumber)) {
+            newTagNumber = lastNumber + 1;
+        }
+    }
+    return `${loadName}${String(newTagNumber).padStart(3, '0')}`;
+};
@@ -0,0 +1,58 @@
+// Control de concurrencia optimista del tablero. La base sube la versión de cada cola de outfeed y de los loads y
+// las prioridades de cada planta en cada transacción que los modifica (triggers de las migraciones 013 y 015). Quien escribe
+// desde el tablero envía las versiones sobre las que trabajó; si alguna cambió entretanto recibe un 409 con el
+// estado vigente, en vez de pisar en silencio el cambio de otro planificador.
+
+const httpError = (status, message, extra = {}) => Object.assign(new Error(message), { status, ...extra });
+
+const queueScope = (outfeedId) => `queue:${outfeedId}`;
+
+// 'queue:<outfeedId>', 'loads:<planta>' o 'priorities:<planta>' → [tipo, clave].
+const splitScope = (scope) => { const at = scope.indexOf(':'); return [scope.slice(0, at), scope.slice(at + 1)]; };
+
+const describeScope = (scope) => {
+    const [kind, key] = splitScope(scope);
+    return kind === 'queue' ? `la cola del outfeed ${key}` : `${kind === 'loads' ? 'los loads' : 'las prioridades'} de la planta "${key}"`;
+};
+
+// { queues: { [outfeedId]: n }, loads: { [planta]: n }, priorities: { [planta]: n } }. Lo que nunca se modificó
+// está en versión 0 (y no aparece). Si se indican outfeedIds, queues trae solo esas colas (aunque estén en 0).
+export const readVersions = async (db, outfeedIds = null) => {
+    const result = await db.query('SELECT scope, version FROM planning_versions');
+    const versions = { queues: {}, loads: {}, priorities: {} };
+    for (const row of result.rows) {
+        const [kind, key] = splitScope(row.scope);
+        versions[kind === 'queue' ? 'queues' : kind][key] = Number(row.version);
+    }
+    if (outfeedIds) versions.queues = Object.fromEntries(outfeedIds.map(id => [id, versions.queues[id] ?? 0]));
+    return versions;
+};
+
+// Verifica, dentro de la transacción de `client`, que las versiones sobre las que trabajó el cliente sigan vigentes.
+// base: lo que envió el cliente (baseVersions, con la forma de readVersions).
+// required: { queues: [outfeedIds], loads: planta, priorities: planta } indica qué versiones exige la escritura.
+// Deja bloqueadas esas versiones hasta el COMMIT: una segunda escritura con la misma base espera y después falla.
+export const checkVersions = async (client, base, { queues = [], loads = null, priorities = null }) => {
+    const scopes = [...new Set(queues.filter(id => id !== undefined && id !== null && id !== '').map(id => queueScope(parseInt(id, 10))))];
+    if (loads) scopes.push(`loads:${loads}`);
+    if (priorities) scopes.push(`priorities:${priorities}`);
+    if (scopes.length === 0) return;
+
+    const expectedOf = (scope) => {
+        const [kind, key] = splitScope(scope);
+        return base?.[kind === 'queue' ? 'queues' : kind]?.[key];
+    };
+    const missing = scopes.filter(scope => !Number.isInteger(expectedOf(scope)));
+    if (missing.length > 0) {
+        throw httpError(428, `Falta la versión de ${missing.map(describeScope).join(', ')} sobre la que se hizo el cambio (baseVersions).`);
+    }
+
+    await client.query('INSERT INTO planning_versions (scope) SELECT unnest($1::text[]) ON CONFLICT (scope) DO NOTHING', [scopes]);
+    const current = await client.query('SELECT scope, version FROM planning_versions WHERE scope = ANY($1::text[]) ORDER BY scope FOR UPDATE', [scopes]);
+    const stale = current.rows
+        .filter(row => Number(row.version) !== expectedOf(row.scope))
+        .map(row => ({ scope: row.scope, expected: expectedOf(row.scope), current: Number(row.version) }));
+    if (stale.length > 0) {
+        throw httpError(409, `Otro usuario modificó ${stale.map(s => describeScope(s.scope)).join(', ')} después de que se cargara el tablero. El cambio no se guardó.`, { stale });
+    }
+};
@@ -1,10 +1,31 @@
 // La primera línea carga las variables de entorno del archivo .env
 import 'dotenv/config'; 
 import express from 'express';
-import fetch from 'node-fetch';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import pg from 'pg';
+import pool from './db/pool.js';
+import { migrate } from './db/migrate.js';
+import { readQueues, resequenceQueue, planLine, planSplitLine, resolveAllocations, readLinePlacements } from './lib/queues.js';
+import { createOrderSnapshotStore } from './lib/order-snapshots.js';
+import { createOrderSource, loadOrderSourceConfig } from './lib/order-sources/index.js';
+import { createReconciler, readPlanningState, listReconcileRuns } from './lib/reconcile.js';
+import { readPackingRates, computeEtas } from './lib/eta.js';
+import { proposeSchedule, applySchedule } from './lib/scheduler.js';
+import { createAlertEngine, readAlertRules, updateAlertRule, listAlertChannels, createAlertChannel, deleteAlertChannel, listAlerts, acknowledgeAlert } from './lib/alerts.js';
+import { completeTag, reportPackedBoxes, readKioskView } from './lib/kiosk.js';
+import { recordKpiSnapshot, parseKpiRange, KPI_READERS, readOnTimeShipRate, readFillRate, readOutfeedShifts, readPausedTime, readDowntime, readQueueWait, buildKpiTables } from './lib/kpis.js';
+import { syncShippingLoads, readLoadBuilder, updateLoadDetails, changeLoadStatus, listLoadHistory } from './lib/loads.js';
+import { LABEL_FORMATS, findLabelTags, buildLabels, toLabelPdf, toLabelZpl, recordLabelPrints, listLabelPrints, readPrintedLabels } from './lib/labels.js';
+import { EXPORT_FORMATS, EXPORT_COLUMN_PERMISSIONS, isValidTimeframe, buildOrderTable, buildQueueTable, toCsv, toXlsx, toPdf } from './lib/reports.js';
+import { readCapabilityRules, findViolations, enforceCapabilities, recordOverrides, listOverrides, CAPABILITY_OVERRIDE_PERMISSION } from './lib/capabilities.js';
+import { captureSnapshot, recordAudit, undoChange, queryAuditLog, AUDIT_ACTION_PERMISSIONS } from './lib/audit.js';
+import { subscribe, broadcast } from './lib/events.js';
+import { readVersions, checkVersions } from './lib/versions.js';
+import { createApiKey, listApiKeys, revokeApiKey, requireApiKey, readActiveLoads, buildMarketerOrders } from './lib/marketer-api.js';
+import { buildOpenApiDocument } from './lib/openapi.js';
+import { setOutfeedStatus, listStatusReasons, saveStatusReason, readStatusDetails, readStatusHistory } from './lib/outfeed-status.js';
+import { readRouting, readFacilities, readRoutingRules, facilityOfOrder, ordersOfFacility, resolveFacility, saveFacility, deleteFacility, replaceRoutingRules, createOutfeed, updateOutfeed, checkLineFacilities, checkLoadNames } from './lib/facilities.js';
+import { loadSession, requirePermission, hasPermission, login, logout, sessionCookie, createUser, toPublicUser, hashPassword, VALID_ROLES } from './lib/auth.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,20 +33,8 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// --- CONFIGURACIÓN SEGURA DE LA CONEXIÓN A POSTGRESQL ---
-const connectionString = process.env.DATABASE_URL;
-
-if (!connectionString) {
-    console.error('ERROR CRÍTICO: La variable de entorno DATABASE_URL no está definida.');
-    process.exit(1); 
-}
-
-const pool = new pg.Pool({
-    connectionString: connectionString,
-    ssl: {
-        rejectUnauthorized: false
-    }
-});
+// Si AUTO_MIGRATE=false, el esquema se gestiona a mano con `npm run migrate`.
+const AUTO_MIGRATE = process.env.AUTO_MIGRATE !== 'false';
 
 pool.query('SELECT NOW()', (err, res) => {
     if (err) {
@@ -35,29 +44,86 @@ pool.query('SELECT NOW()', (err, res) => {
     }
 });
 
-app.use(express.static(__dirname));
+// Render termina TLS en su proxy; esto permite que req.secure refleje la conexión original (cookies Secure).
+app.set('trust proxy', 1);
+
+// Solo los logos se sirven como archivos estáticos; las páginas tienen sus rutas al final de este archivo. La raíz
+// del proyecto tiene código, migraciones y archivos de datos que no deben quedar expuestos sin sesión.
+app.use('/logos', express.static(path.join(__dirname, 'logos')));
 app.use(express.json());
+app.use('/api', loadSession);
 
 // =================================================================
 // === API EXTERNA Y ENDPOINTS DE DATOS (GET) ===
 // =================================================================
-const URL_API_ORDENES = process.env.API_ORDERS_URL || 'https://drbprod.sithfruits.com/api/vista_marketers_orders_activas3';
+// Origen de órdenes configurable (vista HTTP histórica, otro ERP o carpeta de archivos); ver lib/order-sources.
+const orderSource = createOrderSource(loadOrderSourceConfig());
 
-app.get('/api/orders', async (req, res) => {
-  try {
-    const response = await fetch(URL_API_ORDENES);
-    if (!response.ok) {
-      throw new Error(`La API externa respondió con error: ${response.status} ${response.statusText}`);
+// /api/orders y /api/reconcile comparten esta foto: una carga de página consulta el origen una sola vez.
+const orderSnapshots = createOrderSnapshotStore({
+    source: orderSource,
+    db: pool,
+    ttlMs: (parseInt(process.env.ORDERS_CACHE_TTL_SECONDS, 10) || 30) * 1000,
+    timeoutMs: parseInt(process.env.ORDERS_FETCH_TIMEOUT_MS, 10) || 15000
+});
+
+// Reglas de alerta evaluadas después de cada reconciliación (ver lib/alerts.js).
+const alertEngine = createAlertEngine({
+    db: pool,
+    onChange: (change) => broadcast('alerts', change)
+});
+
+const RECONCILE_INTERVAL_SECONDS = parseInt(process.env.RECONCILE_INTERVAL_SECONDS ?? '60', 10);
+const reconciler = createReconciler({
+    db: pool,
+    orderSnapshots,
+    onStateChange: (state) => broadcast('state', state),
+    // Cada reconciliación deja su foto de indicadores (lib/kpis.js) y evalúa las alertas; una falla no detiene a la otra.
+    onRun: async ({ run, state, orders, packingSamples }) => {
+        await recordKpiSnapshot(pool, { run, state, orders, packingSamples })
+            .catch(error => console.error('No se pudieron guardar los indicadores:', error.message));
+        await alertEngine.evaluate({ orders });
     }
-    const data = await response.json();
-    res.json(data);
+});
+
+// Cada línea viaja con la planta donde se empaca (facility_id, ver lib/facilities.js) para que el tablero muestre las de la suya.
+const withFacilities = (apiData, routing) => apiData.map(block => (Array.isArray(block?.data)
+    ? { ...block, data: block.data.map(order => ({ ...order, facility_id: facilityOfOrder(order, routing) })) }
+    : block));
+
+// Quita el precio de cada orden para los usuarios sin permiso de precios.
+const stripPrices = (apiData) => {
+    if (!Array.isArray(apiData)) return apiData;
+    return apiData.map(block => (Array.isArray(block?.data)
+        ? { ...block, data: block.data.map(({ precio, ...order }) => order) }
+        : block));
+};
+
+app.get('/api/orders', requirePermission('board:read'), async (req, res) => {
+  try {
+    const [snapshot, routing] = await Promise.all([orderSnapshots.get(), readRouting(pool)]);
+    const data = withFacilities(hasPermission(req.user, 'price:read') ? snapshot.apiData : stripPrices(snapshot.apiData), routing);
+    // La antigüedad de la foto viaja en el primer bloque para que el tablero avise si los datos no están al día.
+    const [first, ...rest] = data;
+    res.json([{ ...first, snapshot: { fetchedAt: snapshot.fetchedAt, ageSeconds: snapshot.ageSeconds, stale: snapshot.stale, error: snapshot.error } }, ...rest]);
   } catch (err) {
     console.error('Error en /api/orders:', err);
     res.status(500).json({ success: false, error: 'No se pudieron obtener las órdenes desde la API externa.' });
   }
 });
 
-app.get('/api/logos', async (req, res) => {
+// Líneas cuyo contenido cambió entre consultas a la API. Filtros: since (ISO 8601), orderId, limit.
+app.get('/api/orders/changes', requirePermission('board:read'), async (req, res) => {
+    try {
+        const changes = await orderSnapshots.getChanges(req.query);
+        res.json({ success: true, data: changes });
+    } catch (error) {
+        console.error('Error en GET /api/orders/changes:', error);
+        res.status(500).json({ success: false, error: 'No se pudieron obtener los cambios de órdenes.' });
+    }
+});
+
+app.get('/api/logos', requirePermission('board:read'), async (req, res) => {
     try {
         const result = await pool.query('SELECT marketer_name, logo_filename FROM marketer_logos');
         res.json({ success: true, data: result.rows });
@@ -67,9 +133,9 @@ app.get('/api/logos', async (req, res) => {
     }
 });
 
-app.get('/api/outfeeds', async (req, res) => {
+app.get('/api/outfeeds', requirePermission('board:read'), async (req, res) => {
     try {
-        const result = await pool.query('SELECT id, description FROM outfeeds ORDER BY id');
+        const result = await pool.query('SELECT id, description, facility_id FROM outfeeds ORDER BY id');
         res.json({ success: true, data: result.rows });
     } catch (error) {
         console.error('Error en GET /api/outfeeds:', error);
@@ -81,92 +147,165 @@ app.get('/api/outfeeds', async (req, res) => {
 // === NUEVOS ENDPOINTS PARA EL TABLERO DE PLANIFICACIÓN ===
 // =================================================================
 
+// Difunde el contenido actualizado de las colas modificadas a todos los navegadores, con sus versiones
+// (leídas antes que las colas, ver readPlanningState).
+const broadcastQueues = async (outfeedIds) => {
+    const ids = [...new Set(outfeedIds.filter(Boolean).map(id => parseInt(id, 10)))];
+    if (ids.length === 0) return;
+    try {
+        const { queues: versions } = await readVersions(pool, ids);
+        broadcast('queues', { queues: await readQueues(pool, ids), versions: { queues: versions } });
+    } catch (error) {
+        console.error('Error difundiendo cambios de colas:', error);
+    }
+};
+
+// Difunde el estado vigente de los outfeeds indicados, con su motivo.
+const broadcastStatuses = async (outfeedIds) => {
+    const ids = [...new Set(outfeedIds.filter(Boolean).map(id => parseInt(id, 10)))];
+    if (ids.length === 0) return;
+    try {
+        const details = await readStatusDetails(pool);
+        const statusDetails = Object.fromEntries(ids.map(id => [id, details[id] ?? null]));
+        const statuses = Object.fromEntries(ids.map(id => [id, details[id]?.status ?? null]));
+        broadcast('statuses', { statuses, statusDetails });
+    } catch (error) {
+        console.error('Error difundiendo estados de outfeeds:', error);
+    }
+};
+
+// Canal SSE: el navegador recibe aquí los cambios de colas, estados, loads y prioridades.
+app.get('/api/events', requirePermission('board:read'), (req, res) => subscribe(req, res));
+
 // Endpoint para obtener el estado completo del tablero al cargar la página.
-app.get('/api/planning-board-state', async (req, res) => {
+// Sin órdenes no hay cajas pendientes que estimar: devuelve null y el tablero se entrega igual, sin ETAs.
+const computeBoardEtas = async (state, orders = null) => {
     try {
-        const [queueRes, statusRes] = await Promise.all([
-            pool.query('SELECT outfeed_id, tag, order_id, standard_id, sequence FROM outfeed_queue ORDER BY outfeed_id, sequence'),
-            pool.query('SELECT outfeed_id, status FROM outfeed_status')
-        ]);
+        const rates = await readPackingRates(pool, Object.keys(state.queues));
+        return computeEtas({
+            queues: state.queues, statuses: state.statuses, orders: orders ?? (await orderSnapshots.get()).orders, rates,
+            allocationProgress: state.allocationProgress, reportedBoxes: state.reportedBoxes
+        });
+    } catch (error) {
+        console.error('No se pudieron calcular las ETAs:', error.message);
+        return null;
+    }
+};
 
-        const queues = queueRes.rows.reduce((acc, row) => {
-            if (!acc[row.outfeed_id]) acc[row.outfeed_id] = [];
-            acc[row.outfeed_id].push({ tag: row.tag, order_id: row.order_id, standard_id: row.standard_id });
-            return acc;
-        }, {});
+app.get('/api/planning-board-state', requirePermission('board:read'), async (req, res) => {
+    try {
+        const [state, lastRunRes] = await Promise.all([
+            readPlanningState(pool),
+            pool.query("SELECT id, finished_at, status, orders_fetched_at, orders_stale FROM reconcile_runs WHERE status = 'ok' ORDER BY id DESC LIMIT 1")
+        ]);
 
-        const statuses = statusRes.rows.reduce((acc, row) => {
-            acc[row.outfeed_id] = row.status;
-            return acc;
-        }, {});
+        const etas = await computeBoardEtas(state);
 
-        res.json({ success: true, queues, statuses });
+        res.json({ success: true, ...state, etas, lastReconcile: lastRunRes.rows[0] || null });
     } catch (error) {
         console.error('Error en GET /api/planning-board-state:', error);
         res.status(500).json({ success: false, error: 'No se pudo obtener el estado del tablero.' });
     }
 });
 
+// Órdenes con las que se validan las reglas de capacidad. Sin ninguna foto de órdenes no hay datos de la línea
+// (formación, label, cajas por pallet) y la operación sigue sin validar.
+const ordersForCapabilityCheck = async () => {
+    try {
+        return (await orderSnapshots.get()).orders;
+    } catch (error) {
+        console.warn(`No se validan capacidades de outfeed: sin órdenes disponibles (${error.message}).`);
+        return [];
+    }
+};
+
+const overrideNote = (violations, override) => (violations.length > 0 ? ` (excepción autorizada: ${String(override.reason).trim()})` : '');
+
+// 422: la línea no cumple las reglas (el cliente puede reintentar con override); 403/400: excepción no válida;
+// 409: las colas cambiaron desde la propuesta del planificador automático o desde la versión que envió el cliente.
+const sendPlanningError = (res, error) => {
+    if (error.stale) return sendVersionConflict(res, error);
+    res.status(error.status).json({
+        success: false, message: error.message, violations: error.violations, overridable: error.overridable
+    });
+};
+
+// 409 por versión vencida (ver lib/versions.js): se devuelve el estado vigente, con sus versiones, para que el
+// tablero lo muestre y el usuario decida si vuelve a aplicar su cambio.
+const sendVersionConflict = async (res, error) => {
+    try {
+        res.status(409).json({ success: false, conflict: true, message: error.message, stale: error.stale, state: await readPlanningState(pool) });
+    } catch (stateError) {
+        console.error('No se pudo leer el estado para informar el conflicto:', stateError);
+        res.status(409).json({ success: false, conflict: true, message: error.message, stale: error.stale });
+    }
+};
+
 // Endpoint para planificar una línea (crear Tag y añadir a la cola).
-app.post('/api/plan-order', async (req, res) => {
-    const { orderId, standardId, outfeedIds, isHighPriority } = req.body;
-    if (!orderId || !standardId || !outfeedIds || !outfeedIds.length) {
+// override: { reason } permite a un supervisor planificar una línea que no cumple las reglas del outfeed.
+// allocations: [{ outfeedId, pallets | boxes }] en lugar de outfeedIds reparte la línea entre esos outfeeds, cada
+// parte con su sub-tag y sus cajas (ver planSplitLine); reemplaza lo que la línea tuviera planificado.
+app.post('/api/plan-order', requirePermission('queue:write'), async (req, res) => {
+    const { orderId, standardId, outfeedIds, allocations, isHighPriority, override, baseVersions } = req.body;
+    if (!orderId || !standardId || !(allocations !== undefined ? allocations : outfeedIds)?.length) {
         return res.status(400).json({ success: false, message: 'Faltan datos para planificar la orden.' });
     }
 
+    const orders = await ordersForCapabilityCheck();
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
+        const parts = allocations !== undefined
+            ? resolveAllocations(orders.find(o => o.id_marketer_order == orderId && String(o.codigo_producto) === String(standardId)), allocations)
+            : null;
+        const targetIds = parts ? parts.map(part => part.outfeedId) : outfeedIds;
+        // Al cambiar un reparto también cambian las colas donde la línea estaba antes.
+        const affectedIds = parts
+            ? [...new Set([...targetIds, ...(await readLinePlacements(client, orderId, standardId)).map(row => row.outfeed_id)])]
+            : outfeedIds;
+        await checkVersions(client, baseVersions, { queues: affectedIds });
+        await checkLineFacilities(client, targetIds.map(outfeedId => ({ outfeedId, order_id: orderId })));
+        const violations = enforceCapabilities({
+            violations: findViolations(await readCapabilityRules(client), orders, targetIds.map(outfeedId => ({ outfeedId, order_id: orderId, standard_id: standardId }))),
+            override,
+            canOverride: hasPermission(req.user, CAPABILITY_OVERRIDE_PERMISSION)
+        });
 
-        // 1. Obtener el load_name de la orden.
-        const loadRes = await client.query('SELECT load_name FROM loads WHERE order_id = $1', [orderId]);
-        if (loadRes.rows.length === 0) {
-            throw new Error(`La orden ${orderId} no tiene un Load asignado.`);
-        }
-        const loadName = loadRes.rows[0].load_name;
-
-        // 2. Generar el siguiente tag correlativo para ese load.
-        // Se busca si ya existe un tag para esta línea específica.
-        let tagRes = await client.query('SELECT tag FROM outfeed_queue WHERE order_id = $1 AND standard_id = $2 LIMIT 1', [orderId, standardId]);
-        let newTag;
-
-        if (tagRes.rows.length > 0) {
-            newTag = tagRes.rows[0].tag; // Usar tag existente si la línea ya está en otra cola.
+        const before = await captureSnapshot(client, { queues: affectedIds });
+        const position = isHighPriority ? 1 : null;
+        let newTag, tags, summary;
+        if (parts) {
+            ({ lineTag: newTag, tags } = await planSplitLine(client, { orderId, standardId, allocations: parts, position }));
+            summary = `Reparte ${orderId}-${standardId} (${newTag}) en ${parts.map((part, i) => `${tags[i]}: ${part.boxes} cajas en outfeed ${part.outfeedId}`).join(', ')}`;
         } else {
-            const lastTagRes = await client.query(
-                "SELECT tag FROM outfeed_queue WHERE tag LIKE $1 || '%' ORDER BY tag DESC LIMIT 1",
-                [loadName]
-            );
-            let newTagNumber = 1;
-            if (lastTagRes.rows.length > 0) {
-                const lastNumberStr = lastTagRes.rows[0].tag.replace(loadName, '');
-                const lastNumber = parseInt(lastNumberStr, 10);
-                if (!isNaN(lastNumber)) {
-                    newTagNumber = lastNumber + 1;
-                }
-            }
-            newTag = `${loadName}${String(newTagNumber).padStart(3, '0')}`;
-        }
-        
-        for (const outfeedId of outfeedIds) {
-            if (isHighPriority) {
-                // Mover todo lo existente hacia abajo
-                await client.query('UPDATE outfeed_queue SET sequence = sequence + 1 WHERE outfeed_id = $1', [outfeedId]);
-                // Insertar el nuevo en la primera posición
-                await client.query('INSERT INTO outfeed_queue (outfeed_id, tag, order_id, standard_id, sequence) VALUES ($1, $2, $3, $4, 1) ON CONFLICT (outfeed_id, order_id, standard_id) DO NOTHING', [outfeedId, newTag, orderId, standardId]);
-            } else {
-                // Añadir al final de la cola
-                const sequenceRes = await client.query('SELECT COALESCE(MAX(sequence), 0) as max_seq FROM outfeed_queue WHERE outfeed_id = $1', [outfeedId]);
-                const newSequence = sequenceRes.rows[0].max_seq + 1;
-                await client.query('INSERT INTO outfeed_queue (outfeed_id, tag, order_id, standard_id, sequence) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (outfeed_id, order_id, standard_id) DO NOTHING', [outfeedId, newTag, orderId, standardId, newSequence]);
-            }
+            newTag = await planLine(client, { orderId, standardId, outfeedIds, position });
+            tags = outfeedIds.map(() => newTag);
+            summary = `Planifica ${orderId}-${standardId} como ${newTag} en outfeed ${outfeedIds.join(', ')}`;
         }
 
+        const auditId = await recordAudit(client, {
+            user: req.user, action: 'plan',
+            summary: `${summary}${isHighPriority ? ' (alta prioridad)' : ''}${overrideNote(violations, override)}`,
+            tags: [...new Set(tags)], orderIds: [orderId], before, after: await captureSnapshot(client, { queues: affectedIds })
+        });
+        await recordOverrides(client, {
+            user: req.user, auditId, reason: override?.reason,
+            violations: violations.map(v => ({ ...v, tag: tags[targetIds.findIndex(id => Number(id) === v.outfeedId)] ?? newTag }))
+        });
+        const { queues: versions } = await readVersions(client, affectedIds);
         await client.query('COMMIT');
-        res.status(201).json({ success: true, newTag, message: `Línea ${orderId}-${standardId} planificada con tag ${newTag}.` });
+        res.status(201).json({
+            success: true, newTag, versions: { queues: versions },
+            ...(parts && { allocations: parts.map((part, i) => ({ ...part, tag: tags[i] })) }),
+            message: parts
+                ? `Línea ${orderId}-${standardId} repartida en ${parts.length} outfeeds (${tags.join(', ')}).`
+                : `Línea ${orderId}-${standardId} planificada con tag ${newTag}.`
+        });
+        broadcastQueues(affectedIds);
 
     } catch (error) {
         await client.query('ROLLBACK');
+        if (error.status) return sendPlanningError(res, error);
         console.error('Error en POST /api/plan-order:', error);
         res.status(500).json({ success: false, message: error.message });
     } finally {
@@ -175,31 +314,41 @@ app.post('/api/plan-order', async (req, res) => {
 });
 
 // Endpoint para "des-planificar" una orden (eliminar Tag de una o todas las colas).
-app.post('/api/unplan-order', async (req, res) => {
-    const { tag, outfeedId } = req.body; // outfeedId es opcional. Si no se provee, se elimina de todas.
+app.post('/api/unplan-order', requirePermission('queue:write'), async (req, res) => {
+    const { tag, outfeedId, baseVersions } = req.body; // outfeedId es opcional. Si no se provee, se elimina de todas.
     if (!tag) {
         return res.status(400).json({ success: false, message: 'Falta el tag a desplanificar.' });
     }
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
+        const affectedRes = outfeedId
+            ? await client.query('SELECT DISTINCT outfeed_id, order_id FROM outfeed_queue WHERE tag = $1 AND outfeed_id = $2', [tag, outfeedId])
+            : await client.query('SELECT DISTINCT outfeed_id, order_id FROM outfeed_queue WHERE tag = $1', [tag]);
+        const affectedOutfeedIds = [...new Set(affectedRes.rows.map(row => row.outfeed_id))];
+        await checkVersions(client, baseVersions, { queues: outfeedId ? [outfeedId] : affectedOutfeedIds });
+        const before = await captureSnapshot(client, { queues: affectedOutfeedIds });
         if (outfeedId) {
             await client.query('DELETE FROM outfeed_queue WHERE tag = $1 AND outfeed_id = $2', [tag, outfeedId]);
         } else {
             await client.query('DELETE FROM outfeed_queue WHERE tag = $1', [tag]);
         }
         // Re-secuenciar las colas afectadas
-        const affectedOutfeedsRes = await client.query('SELECT DISTINCT outfeed_id FROM outfeed_queue WHERE outfeed_id IN (SELECT outfeed_id FROM outfeed_queue WHERE tag = $1)', [tag]);
-        for (const row of affectedOutfeedsRes.rows) {
-            const items = await client.query('SELECT id FROM outfeed_queue WHERE outfeed_id = $1 ORDER BY sequence', [row.outfeed_id]);
-            for (let i = 0; i < items.rows.length; i++) {
-                await client.query('UPDATE outfeed_queue SET sequence = $1 WHERE id = $2', [i + 1, items.rows[i].id]);
-            }
+        for (const affectedOutfeedId of affectedOutfeedIds) {
+            await resequenceQueue(client, affectedOutfeedId);
         }
+        await recordAudit(client, {
+            user: req.user, action: 'unplan', summary: `Quita ${tag} de outfeed ${affectedOutfeedIds.join(', ')}`,
+            tags: [tag], orderIds: [...new Set(affectedRes.rows.map(row => row.order_id))],
+            before, after: await captureSnapshot(client, { queues: affectedOutfeedIds })
+        });
+        const { queues: versions } = await readVersions(client, affectedOutfeedIds);
         await client.query('COMMIT');
-        res.json({ success: true, message: `Tag ${tag} eliminado de la planificación.` });
+        res.json({ success: true, versions: { queues: versions }, message: `Tag ${tag} eliminado de la planificación.` });
+        broadcastQueues(affectedOutfeedIds);
     } catch (error) {
         await client.query('ROLLBACK');
+        if (error.status) return sendPlanningError(res, error);
         console.error('Error en POST /api/unplan-order:', error);
         res.status(500).json({ success: false, message: error.message });
     } finally {
@@ -210,20 +359,50 @@ app.post('/api/unplan-order', async (req, res) => {
 
 // Endpoint para actualizar el orden de una cola (Drag & Drop).
 // CORREGIDO: Lógica de transacción para drag & drop entre colas.
-app.post('/api/update-queue-order', async (req, res) => {
-    const { fromOutfeedId, toOutfeedId, movedTag, newOrderedTags } = req.body;
+app.post('/api/update-queue-order', requirePermission('queue:write'), async (req, res) => {
+    const { fromOutfeedId, toOutfeedId, movedTag, newOrderedTags, override, baseVersions } = req.body;
     if (!toOutfeedId || !movedTag || !Array.isArray(newOrderedTags)) {
         return res.status(400).json({ success: false, message: 'Petición inválida.' });
     }
+    // El cliente envía movedTag como objeto { tag, order_id, standard_id }.
+    const movedTagName = typeof movedTag === 'object' ? movedTag.tag : movedTag;
+    const orders = await ordersForCapabilityCheck();
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
+        // newOrderedTags reemplaza la cola de destino completa: solo se acepta si se armó sobre la versión vigente.
+        await checkVersions(client, baseVersions, { queues: [fromOutfeedId, toOutfeedId] });
+        const before = await captureSnapshot(client, { queues: [fromOutfeedId, toOutfeedId] });
+
+        // Solo se validan los tags que llegan a la cola de destino; reordenar lo que ya estaba no se bloquea.
+        const tagsAlreadyThere = new Set((before.queues[toOutfeedId] || []).map(item => item.tag));
+        const arriving = newOrderedTags
+            .filter(item => !tagsAlreadyThere.has(item.tag))
+            .map(item => ({ outfeedId: toOutfeedId, order_id: item.order_id, standard_id: item.standard_id, tag: item.tag }));
+        // Dos partes de una misma línea repartida no pueden quedar en el mismo outfeed.
+        const sibling = arriving.map(item => (before.queues[toOutfeedId] || [])
+            .find(other => other.order_id == item.order_id && String(other.standard_id) === String(item.standard_id) && other.tag !== item.tag))
+            .find(Boolean);
+        if (sibling) {
+            throw Object.assign(new Error(`La línea ${sibling.order_id}-${sibling.standard_id} ya tiene la parte ${sibling.tag} en el outfeed ${toOutfeedId}; cambie el reparto en lugar de juntar sus partes.`), { status: 409 });
+        }
+        await checkLineFacilities(client, arriving);
+        const violations = enforceCapabilities({
+            violations: findViolations(await readCapabilityRules(client), orders, arriving),
+            override,
+            canOverride: hasPermission(req.user, CAPABILITY_OVERRIDE_PERMISSION)
+        });
 
         // Si el tag se movió de una cola a otra, primero se elimina de la original.
         if (fromOutfeedId && fromOutfeedId !== toOutfeedId) {
-            await client.query('DELETE FROM outfeed_queue WHERE tag = $1 AND outfeed_id = $2', [movedTag, fromOutfeedId]);
+            await client.query('DELETE FROM outfeed_queue WHERE tag = $1 AND outfeed_id = $2', [movedTagName, fromOutfeedId]);
+            await resequenceQueue(client, fromOutfeedId);
         }
 
+        // La parte de una línea repartida conserva sus cajas al cambiar de outfeed (se toman de la base, no del cliente).
+        const allocatedBoxesByTag = new Map([...(before.queues[fromOutfeedId] || []), ...(before.queues[toOutfeedId] || [])]
+            .map(item => [item.tag, item.allocated_boxes ?? null]));
+
         // Se reordena la cola de destino.
         for (let i = 0; i < newOrderedTags.length; i++) {
             const tag = newOrderedTags[i];
@@ -231,18 +410,29 @@ app.post('/api/update-queue-order', async (req, res) => {
             
             // Usamos ON CONFLICT para insertar si es nuevo, o actualizar si ya existe (movimiento dentro de la misma cola)
             await client.query(
-                `INSERT INTO outfeed_queue (outfeed_id, tag, order_id, standard_id, sequence) 
-                 VALUES ($1, $2, $3, $4, $5) 
+                `INSERT INTO outfeed_queue (outfeed_id, tag, order_id, standard_id, sequence, allocated_boxes) 
+                 VALUES ($1, $2, $3, $4, $5, $6) 
                  ON CONFLICT (outfeed_id, tag) 
                  DO UPDATE SET sequence = $5`,
-                [toOutfeedId, tag.tag, tag.order_id, tag.standard_id, i + 1]
+                [toOutfeedId, tag.tag, tag.order_id, tag.standard_id, i + 1, allocatedBoxesByTag.get(tag.tag) ?? null]
             );
         }
 
+        const isMove = fromOutfeedId && fromOutfeedId !== toOutfeedId;
+        const auditId = await recordAudit(client, {
+            user: req.user, action: 'reorder',
+            summary: (isMove ? `Mueve ${movedTagName} de outfeed ${fromOutfeedId} a outfeed ${toOutfeedId}` : `Reordena ${movedTagName} en outfeed ${toOutfeedId}`) + overrideNote(violations, override),
+            tags: [movedTagName], orderIds: typeof movedTag === 'object' && movedTag.order_id ? [movedTag.order_id] : undefined,
+            before, after: await captureSnapshot(client, { queues: [fromOutfeedId, toOutfeedId] })
+        });
+        await recordOverrides(client, { user: req.user, auditId, violations, reason: override?.reason });
+        const { queues: versions } = await readVersions(client, [fromOutfeedId, toOutfeedId].filter(Boolean));
         await client.query('COMMIT');
-        res.json({ success: true, message: `Cola para outfeed ${toOutfeedId} actualizada.` });
+        res.json({ success: true, versions: { queues: versions }, message: `Cola para outfeed ${toOutfeedId} actualizada.` });
+        broadcastQueues([fromOutfeedId, toOutfeedId]);
     } catch (error) {
         await client.query('ROLLBACK');
+        if (error.status) return sendPlanningError(res, error);
         console.error('Error en POST /api/update-queue-order:', error);
         res.status(500).json({ success: false, message: 'No se pudo actualizar el orden de la cola.' });
     } finally {
@@ -251,269 +441,1024 @@ app.post('/api/update-queue-order', async (req, res) => {
 });
 
 
-// Endpoint para cambiar el estado de un Outfeed (RUNNING/PAUSED).
-app.post('/api/outfeed-status', async (req, res) => {
-    const { outfeedId, status } = req.body;
-    if (!outfeedId || !['RUNNING', 'PAUSED'].includes(status)) {
-        return res.status(400).json({ success: false, message: 'Petición inválida.' });
-    }
+// Endpoint para cambiar el estado de un Outfeed. Cualquier estado distinto de RUNNING exige un motivo de ese
+// estado (reasonCode, ver GET /api/outfeed-status-reasons); note es opcional.
+app.post('/api/outfeed-status', requirePermission('outfeed-status:write'), async (req, res) => {
+    const { status, reasonCode = null, note = null } = req.body;
+    const outfeedId = parseInt(req.body.outfeedId, 10);
+    if (Number.isNaN(outfeedId)) return res.status(400).json({ success: false, message: 'outfeedId debe ser un número.' });
+    const client = await pool.connect();
     try {
-        await pool.query(
-            'INSERT INTO outfeed_status (outfeed_id, status, last_updated_at) VALUES ($1, $2, CURRENT_TIMESTAMP) ON CONFLICT (outfeed_id) DO UPDATE SET status = $2, last_updated_at = CURRENT_TIMESTAMP',
-            [outfeedId, status]
-        );
+        await client.query('BEGIN');
+        const before = await captureSnapshot(client, { statuses: [outfeedId] });
+        const { changed } = await setOutfeedStatus(client, { outfeedId, status, reasonCode, note, user: req.user });
+        await recordAudit(client, {
+            user: req.user, action: 'status_change', summary: `Outfeed ${outfeedId} pasa a ${status}${reasonCode ? ` (${reasonCode})` : ''}`,
+            before, after: await captureSnapshot(client, { statuses: [outfeedId] })
+        });
+        await client.query('COMMIT');
         res.json({ success: true, message: `Estado de Outfeed ${outfeedId} actualizado a ${status}.` });
+        if (changed) broadcastStatuses([outfeedId]);
     } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
         console.error('Error en POST /api/outfeed-status:', error);
         res.status(500).json({ success: false, message: 'No se pudo actualizar el estado del outfeed.' });
+    } finally {
+        client.release();
     }
 });
 
+// Historia de estados de los outfeeds (tramos con motivo y duración). Filtros: outfeedId, from, to (ISO), limit.
+app.get('/api/outfeed-status/history', requirePermission('board:read'), async (req, res) => {
+    const { outfeedId, from, to, limit } = req.query;
+    if ([from, to].some(value => value && Number.isNaN(Date.parse(value)))) {
+        return res.status(400).json({ success: false, message: 'from y to deben ser fechas ISO.' });
+    }
+    try {
+        const events = await readStatusHistory(pool, { outfeedId: outfeedId ? parseInt(outfeedId, 10) || null : null, from, to, limit });
+        res.json({ success: true, events });
+    } catch (error) {
+        console.error('Error en GET /api/outfeed-status/history:', error);
+        res.status(500).json({ success: false, message: 'No se pudo leer la historia de estados.' });
+    }
+});
+
+// Motivos de detención por estado. ?all=true incluye los desactivados.
+app.get('/api/outfeed-status-reasons', requirePermission('board:read'), async (req, res) => {
+    try {
+        res.json({ success: true, reasons: await listStatusReasons(pool, { includeInactive: req.query.all === 'true' }) });
+    } catch (error) {
+        console.error('Error en GET /api/outfeed-status-reasons:', error);
+        res.status(500).json({ success: false, message: 'No se pudieron leer los motivos de detención.' });
+    }
+});
+
+app.put('/api/outfeed-status-reasons/:code', requirePermission('outfeeds:admin'), async (req, res) => {
+    try {
+        const reason = await saveStatusReason(pool, req.params.code, req.body, req.user);
+        res.json({ success: true, reason });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Error en PUT /api/outfeed-status-reasons:', error);
+        res.status(500).json({ success: false, message: 'No se pudo guardar el motivo.' });
+    }
+});
 
 // =================================================================
-// === ENDPOINTS DE VERIFICACIÓN DE CONTRASEÑAS (Lógica corregida) ===
+// === KIOSCO DE OPERADOR ===
 // =================================================================
-app.post('/api/verify-feature-password', async (req, res) => {
-    const { feature, password } = req.body;
-    if (!feature || !password) {
-        return res.status(400).json({ success: false, message: 'Faltan "feature" o "password".' });
+// Pantalla táctil de cada outfeed (/outfeed/:id). Iniciar y pausar usan POST /api/outfeed-status.
+const kioskOutfeedId = (req, res) => {
+    const outfeedId = parseInt(req.params.outfeedId, 10);
+    if (Number.isNaN(outfeedId)) {
+        res.status(400).json({ success: false, message: 'outfeedId debe ser un número.' });
+        return null;
     }
+    return outfeedId;
+};
 
-    const validFeatures = ['outfeed', 'priority', 'load', 'schedule', 'all'];
-    
-    if (!validFeatures.includes(feature)) {
-        return res.status(400).json({ success: false, message: 'Feature no válida.' });
+app.get('/api/kiosk/:outfeedId', requirePermission('board:read'), async (req, res) => {
+    const outfeedId = kioskOutfeedId(req, res);
+    if (outfeedId === null) return;
+    try {
+        const snapshot = await orderSnapshots.get().catch(() => ({ orders: [], stale: true }));
+        const state = await readPlanningState(pool);
+        const view = await readKioskView(pool, { outfeedId, orders: snapshot.orders, etas: await computeBoardEtas(state, snapshot.orders) });
+        res.json({ success: true, ordersStale: snapshot.stale, ...view });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Error en GET /api/kiosk/:outfeedId:', error);
+        res.status(500).json({ success: false, message: 'No se pudo obtener la vista del outfeed.' });
     }
+});
 
-    // CORREGIDO: Todos los features de desbloqueo usan la misma clave unificada.
-    const configKey = 'schedule_unlock_password';
-    
+// Cierre manual de un tag. body: { tag, reason }. La línea cuenta como terminada hasta que se vuelva a planificar.
+app.post('/api/kiosk/:outfeedId/complete', requirePermission('outfeed-status:write'), async (req, res) => {
+    const outfeedId = kioskOutfeedId(req, res);
+    if (outfeedId === null) return;
+    const { tag, reason } = req.body;
+    if (!tag) return res.status(400).json({ success: false, message: 'Falta el tag.' });
+    const client = await pool.connect();
     try {
-        const query = "SELECT config_value FROM app_config WHERE config_key = $1";
-        const result = await pool.query(query, [configKey]);
-        if (result.rows.length > 0 && result.rows[0].config_value === password) {
-            res.json({ success: true });
-        } else {
-            res.status(401).json({ success: false, message: 'Contraseña no válida.' });
+        await client.query('BEGIN');
+        await completeTag(client, { outfeedId, tag, reason, user: req.user });
+        await client.query('COMMIT');
+        res.json({ success: true, message: `Tag ${tag} cerrado.` });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Error en POST /api/kiosk/:outfeedId/complete:', error);
+        return res.status(500).json({ success: false, message: 'No se pudo cerrar el tag.' });
+    } finally {
+        client.release();
+    }
+    // El cierre ya está confirmado: si falla la difusión, solo se registra.
+    readPlanningState(pool)
+        .then(state => broadcast('state', state))
+        .catch(error => console.error('Error difundiendo el estado tras cerrar un tag:', error));
+});
+
+// Cajas empacadas en el turno. body: { boxes, tag? } (sin tag, se asignan al tag en cabeza). Cuentan como avance del
+// tag: mueven su ETA y, cuando completan lo solicitado, la reconciliación lo retira de la cola (ver readReportedBoxes).
+app.post('/api/kiosk/:outfeedId/boxes', requirePermission('outfeed-status:write'), async (req, res) => {
+    const outfeedId = kioskOutfeedId(req, res);
+    if (outfeedId === null) return;
+    try {
+        const report = await reportPackedBoxes(pool, { outfeedId, tag: req.body.tag || null, boxes: req.body.boxes, user: req.user });
+        res.json({ success: true, report });
+        broadcast('packingReports', { outfeedId });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Error en POST /api/kiosk/:outfeedId/boxes:', error);
+        return res.status(500).json({ success: false, message: 'No se pudieron registrar las cajas.' });
+    }
+    // El avance del tag cambió: el tablero recalcula sus ETAs con el nuevo estado.
+    readPlanningState(pool)
+        .then(state => broadcast('state', state))
+        .catch(error => console.error('Error difundiendo el estado tras informar cajas:', error));
+});
+
+// =================================================================
+// === PLANIFICACIÓN AUTOMÁTICA ===
+// =================================================================
+// Propuesta de asignación y orden para las líneas sin planificar de una planta (?facility=, por defecto la
+// planta por defecto) en los outfeeds de esa planta (ver lib/scheduler.js). No modifica nada.
+app.get('/api/schedule/proposal', requirePermission('queue:write'), async (req, res) => {
+    try {
+        const snapshot = await orderSnapshots.get();
+        const [state, routing, rules] = await Promise.all([
+            readPlanningState(pool),
+            readRouting(pool),
+            readCapabilityRules(pool)
+        ]);
+        const facilityId = resolveFacility(routing, req.query.facility);
+        const outfeedIds = routing.facilities.find(f => f.id === facilityId).outfeedIds;
+        const rates = await readPackingRates(pool, outfeedIds);
+        const proposal = proposeSchedule({ orders: ordersOfFacility(snapshot.orders, routing, facilityId), state, outfeedIds, rules, rates });
+        res.json({ success: true, facilityId, ordersStale: snapshot.stale, ...proposal });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Error en GET /api/schedule/proposal:', error);
+        res.status(500).json({ success: false, message: 'No se pudo calcular la propuesta de planificación.' });
+    }
+});
+
+// Aplica la propuesta (o las asignaciones elegidas de ella) en una sola transacción, con el mismo camino que
+// /api/plan-order. body: { basis, assignments: [{ outfeedId, order_id, standard_id, position }] } tal como
+// los devolvió /api/schedule/proposal.
+app.post('/api/schedule/apply', requirePermission('queue:write'), async (req, res) => {
+    const { basis, assignments } = req.body;
+    const isValidAssignment = (a) => a && Number.isInteger(a.outfeedId) && Number.isInteger(a.order_id) && a.standard_id !== undefined && a.standard_id !== null && Number.isInteger(a.position) && a.position > 0;
+    if (typeof basis !== 'string' || !Array.isArray(assignments) || assignments.length === 0 || !assignments.every(isValidAssignment)) {
+        return res.status(400).json({ success: false, message: 'Faltan "basis" o "assignments" válidos de una propuesta.' });
+    }
+    if (new Set(assignments.map(a => `${a.order_id}-${a.standard_id}`)).size !== assignments.length) {
+        return res.status(400).json({ success: false, message: 'Una línea aparece más de una vez en la propuesta.' });
+    }
+
+    const orders = await ordersForCapabilityCheck();
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const outfeedsRes = await client.query('SELECT id FROM outfeeds');
+        const unknown = assignments.filter(a => !outfeedsRes.rows.some(row => row.id === a.outfeedId));
+        if (unknown.length > 0) {
+            throw Object.assign(new Error(`No existe el outfeed ${unknown[0].outfeedId}.`), { status: 400 });
         }
+        await checkLineFacilities(client, assignments);
+        const affected = [...new Set(assignments.map(a => a.outfeedId))];
+        const before = await captureSnapshot(client, { queues: affected });
+        const { outfeedIds, planned } = await applySchedule(client, { basis, assignments, orders, rules: await readCapabilityRules(client) });
+        await recordAudit(client, {
+            user: req.user, action: 'auto_schedule',
+            summary: `Planificación automática: ${planned.length} líneas en outfeed ${outfeedIds.join(', ')}`,
+            tags: planned.map(p => p.tag), orderIds: [...new Set(planned.map(p => p.order_id))],
+            before, after: await captureSnapshot(client, { queues: affected })
+        });
+        await client.query('COMMIT');
+        res.json({ success: true, message: `${planned.length} líneas planificadas.`, planned: planned.map(({ outfeedId, order_id, standard_id, tag }) => ({ outfeedId, order_id, standard_id, tag })) });
+        broadcastQueues(outfeedIds);
     } catch (error) {
-        console.error(`Error verificando la contraseña para [${feature}] -> [${configKey}]:`, error);
-        res.status(500).json({ success: false, message: 'Error interno del servidor.' });
+        await client.query('ROLLBACK');
+        if (error.status) return sendPlanningError(res, error);
+        console.error('Error en POST /api/schedule/apply:', error);
+        res.status(500).json({ success: false, message: error.message });
+    } finally {
+        client.release();
     }
 });
 
-app.post('/api/verify-price-password', async (req, res) => {
-    const { password } = req.body;
+// =================================================================
+// === CAPACIDADES DE OUTFEEDS ===
+// =================================================================
+const broadcastCapabilities = async () => {
     try {
-        const query = "SELECT config_value FROM app_config WHERE config_key = 'price_password'";
-        const result = await pool.query(query);
-        if (result.rows.length > 0 && result.rows[0].config_value === password) {
-            res.json({ success: true });
-        } else {
-            res.status(401).json({ success: false });
+        broadcast('capabilities', await readCapabilityRules(pool));
+    } catch (error) {
+        console.error('Error difundiendo reglas de capacidad:', error);
+    }
+};
+
+app.get('/api/outfeed-capabilities', requirePermission('board:read'), async (req, res) => {
+    try {
+        res.json({ success: true, ...(await readCapabilityRules(pool)) });
+    } catch (error) {
+        console.error('Error en GET /api/outfeed-capabilities:', error);
+        res.status(500).json({ success: false, error: 'No se pudieron obtener las reglas de los outfeeds.' });
+    }
+});
+
+// Reemplaza las reglas de un outfeed. null (o no enviar el campo) en una lista o en el máximo = sin restricción.
+app.put('/api/outfeed-capabilities/:outfeedId', requirePermission('outfeeds:admin'), async (req, res) => {
+    const { allowedFormaciones = null, organicCertified = true, allowedLabelFamilies = null, maxBoxesPerPallet = null } = req.body;
+    const isTextList = (value) => value === null || (Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim()));
+    if (!isTextList(allowedFormaciones) || !isTextList(allowedLabelFamilies) || typeof organicCertified !== 'boolean'
+        || (maxBoxesPerPallet !== null && !(Number.isInteger(maxBoxesPerPallet) && maxBoxesPerPallet > 0))) {
+        return res.status(400).json({ success: false, message: 'Reglas inválidas: allowedFormaciones y allowedLabelFamilies son listas de textos o null, organicCertified es booleano y maxBoxesPerPallet un entero positivo o null.' });
+    }
+    try {
+        const outfeedRes = await pool.query('SELECT id FROM outfeeds WHERE id = $1', [req.params.outfeedId]);
+        if (outfeedRes.rows.length === 0) {
+            return res.status(404).json({ success: false, message: `No existe el outfeed ${req.params.outfeedId}.` });
+        }
+        await pool.query(
+            `INSERT INTO outfeed_capabilities (outfeed_id, allowed_formaciones, organic_certified, allowed_label_families, max_boxes_per_pallet, updated_at, updated_by)
+             VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, $6)
+             ON CONFLICT (outfeed_id) DO UPDATE SET allowed_formaciones = $2, organic_certified = $3, allowed_label_families = $4,
+                max_boxes_per_pallet = $5, updated_at = CURRENT_TIMESTAMP, updated_by = $6`,
+            [req.params.outfeedId, allowedFormaciones?.map(v => v.trim()) ?? null, organicCertified, allowedLabelFamilies?.map(v => v.trim()) ?? null, maxBoxesPerPallet, req.user.username]
+        );
+        res.json({ success: true, message: `Reglas del outfeed ${req.params.outfeedId} actualizadas.` });
+        broadcastCapabilities();
+    } catch (error) {
+        console.error('Error en PUT /api/outfeed-capabilities/:outfeedId:', error);
+        res.status(500).json({ success: false, message: 'No se pudieron guardar las reglas del outfeed.' });
+    }
+});
+
+// Quita todas las reglas: el outfeed vuelve a aceptar cualquier línea.
+app.delete('/api/outfeed-capabilities/:outfeedId', requirePermission('outfeeds:admin'), async (req, res) => {
+    try {
+        await pool.query('DELETE FROM outfeed_capabilities WHERE outfeed_id = $1', [req.params.outfeedId]);
+        res.json({ success: true, message: `El outfeed ${req.params.outfeedId} ya no tiene restricciones.` });
+        broadcastCapabilities();
+    } catch (error) {
+        console.error('Error en DELETE /api/outfeed-capabilities/:outfeedId:', error);
+        res.status(500).json({ success: false, message: 'No se pudieron quitar las reglas del outfeed.' });
+    }
+});
+
+app.put('/api/label-families/:label', requirePermission('outfeeds:admin'), async (req, res) => {
+    const { family, organic = false } = req.body;
+    if (typeof family !== 'string' || !family.trim() || typeof organic !== 'boolean') {
+        return res.status(400).json({ success: false, message: 'Faltan "family" (texto) u "organic" (booleano).' });
+    }
+    try {
+        await pool.query(
+            'INSERT INTO label_families (label, family, organic) VALUES ($1, $2, $3) ON CONFLICT (label) DO UPDATE SET family = $2, organic = $3',
+            [req.params.label, family.trim(), organic]
+        );
+        res.json({ success: true, message: `Label "${req.params.label}" asignado a la familia ${family.trim()}.` });
+        broadcastCapabilities();
+    } catch (error) {
+        console.error('Error en PUT /api/label-families/:label:', error);
+        res.status(500).json({ success: false, message: 'No se pudo guardar la familia del label.' });
+    }
+});
+
+app.delete('/api/label-families/:label', requirePermission('outfeeds:admin'), async (req, res) => {
+    try {
+        await pool.query('DELETE FROM label_families WHERE label = $1', [req.params.label]);
+        res.json({ success: true, message: `Label "${req.params.label}" sin familia.` });
+        broadcastCapabilities();
+    } catch (error) {
+        console.error('Error en DELETE /api/label-families/:label:', error);
+        res.status(500).json({ success: false, message: 'No se pudo quitar la familia del label.' });
+    }
+});
+
+// Excepciones a las reglas autorizadas por supervisores, de la más reciente a la más antigua.
+app.get('/api/capability-overrides', requirePermission('board:read'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await listOverrides(pool, { limit: req.query.limit }) });
+    } catch (error) {
+        console.error('Error en GET /api/capability-overrides:', error);
+        res.status(500).json({ success: false, error: 'No se pudieron obtener las excepciones registradas.' });
+    }
+});
+
+// =================================================================
+// === PLANTAS ===
+// =================================================================
+// Plantas con sus outfeeds y las reglas que reparten las órdenes entre ellas (ver lib/facilities.js).
+app.get('/api/facilities', requirePermission('board:read'), async (req, res) => {
+    try {
+        const [facilities, rules] = await Promise.all([readFacilities(pool), readRoutingRules(pool)]);
+        res.json({ success: true, data: facilities, rules });
+    } catch (error) {
+        console.error('Error en GET /api/facilities:', error);
+        res.status(500).json({ success: false, error: 'No se pudieron obtener las plantas.' });
+    }
+});
+
+// Ejecuta un cambio de configuración de plantas en una transacción y avisa a los tableros para que recarguen.
+const withFacilityChange = (label, fallbackMessage, change) => async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await change(client, req);
+        await client.query('COMMIT');
+        res.json({ success: true, ...result });
+        broadcast('facilities', {});
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error(`Error en ${label}:`, error);
+        res.status(500).json({ success: false, message: fallbackMessage });
+    } finally {
+        client.release();
+    }
+};
+
+// Crea o actualiza una planta. Body: { name, originAddress, isDefault, position } (los campos omitidos no cambian).
+app.put('/api/facilities/:facilityId', requirePermission('outfeeds:admin'), withFacilityChange(
+    'PUT /api/facilities/:facilityId', 'No se pudo guardar la planta.',
+    async (client, req) => ({ data: await saveFacility(client, req.params.facilityId, req.body, req.user), message: `Planta ${req.params.facilityId} guardada.` })
+));
+
+app.delete('/api/facilities/:facilityId', requirePermission('outfeeds:admin'), withFacilityChange(
+    'DELETE /api/facilities/:facilityId', 'No se pudo eliminar la planta.',
+    async (client, req) => {
+        await deleteFacility(client, req.params.facilityId);
+        return { message: `Planta ${req.params.facilityId} eliminada.` };
+    }
+));
+
+// Reemplaza las reglas de ruteo. Body: { rules: [{ facilityId, marketer, recibidor, addressContains }] }, en orden
+// de evaluación. Solo afecta a órdenes sin load: las que ya tienen uno siguen en la planta del load.
+app.put('/api/facility-routing', requirePermission('outfeeds:admin'), withFacilityChange(
+    'PUT /api/facility-routing', 'No se pudieron guardar las reglas de ruteo.',
+    async (client, req) => ({ rules: await replaceRoutingRules(client, req.body.rules, req.user), message: 'Reglas de ruteo actualizadas.' })
+));
+
+// Body: { id, description, facilityId }.
+app.post('/api/outfeeds', requirePermission('outfeeds:admin'), withFacilityChange(
+    'POST /api/outfeeds', 'No se pudo crear el outfeed.',
+    async (client, req) => {
+        const outfeed = await createOutfeed(client, req.body);
+        return { data: outfeed, message: `Outfeed ${outfeed.id} creado en la planta ${outfeed.facility_id}.` };
+    }
+));
+
+// Body: { description, facilityId } (los campos omitidos no cambian).
+app.patch('/api/outfeeds/:outfeedId', requirePermission('outfeeds:admin'), withFacilityChange(
+    'PATCH /api/outfeeds/:outfeedId', 'No se pudo actualizar el outfeed.',
+    async (client, req) => {
+        const outfeed = await updateOutfeed(client, parseInt(req.params.outfeedId, 10), req.body);
+        return { data: outfeed, message: `Outfeed ${outfeed.id} actualizado.` };
+    }
+));
+
+// =================================================================
+// === BITÁCORA DE CAMBIOS Y DESHACER ===
+// =================================================================
+// Filtros opcionales: tag, orderId, outfeedId, action, from, to (ISO 8601), limit.
+app.get('/api/audit', requirePermission('board:read'), async (req, res) => {
+    try {
+        const entries = await queryAuditLog(pool, req.query);
+        res.json({ success: true, data: entries });
+    } catch (error) {
+        console.error('Error en GET /api/audit:', error);
+        res.status(500).json({ success: false, error: 'No se pudo consultar la bitácora.' });
+    }
+});
+
+// Deshace el último cambio (o el indicado en auditId) restaurando su foto anterior en una sola transacción.
+app.post('/api/audit/undo', requirePermission('board:read'), async (req, res) => {
+    const { auditId } = req.body;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { entry, restored } = await undoChange(client, req.user, {
+            auditId,
+            isAllowed: (action) => hasPermission(req.user, AUDIT_ACTION_PERMISSIONS[action])
+        });
+        if (restored.loads) await syncShippingLoads(client, req.user);
+        const versions = await readVersions(client);
+        await client.query('COMMIT');
+        res.json({ success: true, message: `Cambio #${entry.id} deshecho.`, undone: { id: entry.id, action: entry.action, summary: entry.summary } });
+
+        if (restored.queues) broadcastQueues(Object.keys(restored.queues));
+        if (restored.statuses) broadcastStatuses(Object.keys(restored.statuses));
+        if (restored.loads) {
+            const loads = Object.fromEntries(Object.entries(restored.loads).map(([orderId, assignment]) => [orderId, assignment?.load ?? null]));
+            const loadFacilities = Object.fromEntries(Object.values(restored.loads).filter(Boolean).map(assignment => [assignment.load, assignment.facility]));
+            broadcast('loads', { loads, loadFacilities, versions: { loads: versions.loads } });
+        }
+        for (const [facilityId, priorities] of Object.entries(restored.priorities || {})) {
+            broadcast('priorities', { facilityId, priorities, versions: { priorities: { [facilityId]: versions.priorities[facilityId] ?? 0 } } });
         }
     } catch (error) {
-        console.error('Error verificando la contraseña de precios:', error);
+        await client.query('ROLLBACK');
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Error en POST /api/audit/undo:', error);
+        res.status(500).json({ success: false, message: 'No se pudo deshacer el cambio.' });
+    } finally {
+        client.release();
+    }
+});
+
+// =================================================================
+// === AUTENTICACIÓN Y ADMINISTRACIÓN DE USUARIOS ===
+// =================================================================
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body;
+    if (!username || !password) {
+        return res.status(400).json({ success: false, message: 'Faltan "username" o "password".' });
+    }
+    try {
+        const session = await login(username, password);
+        if (!session) {
+            return res.status(401).json({ success: false, message: 'Usuario o contraseña no válidos.' });
+        }
+        res.set('Set-Cookie', sessionCookie(req, session.token, session.maxAgeSeconds));
+        res.json({ success: true, user: session.user });
+    } catch (error) {
+        console.error('Error en POST /api/auth/login:', error);
         res.status(500).json({ success: false, message: 'Error interno del servidor.' });
     }
 });
 
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await logout(req.sessionToken);
+        res.set('Set-Cookie', sessionCookie(req, '', 0));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error en POST /api/auth/logout:', error);
+        res.status(500).json({ success: false, message: 'Error interno del servidor.' });
+    }
+});
+
+app.get('/api/auth/me', (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ success: false, message: 'Debe iniciar sesión.' });
+    }
+    res.json({ success: true, user: req.user });
+});
+
+app.get('/api/users', requirePermission('users:admin'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT id, username, display_name, roles, active, last_login_at FROM users ORDER BY username');
+        res.json({ success: true, data: result.rows, roles: VALID_ROLES });
+    } catch (error) {
+        console.error('Error en GET /api/users:', error);
+        res.status(500).json({ success: false, error: 'No se pudo obtener la lista de usuarios.' });
+    }
+});
+
+app.post('/api/users', requirePermission('users:admin'), async (req, res) => {
+    const { username, password, displayName, roles } = req.body;
+    if (!username || !password || !Array.isArray(roles) || roles.length === 0) {
+        return res.status(400).json({ success: false, message: 'Faltan "username", "password" o "roles".' });
+    }
+    try {
+        const user = await createUser(pool, { username, password, displayName, roles });
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        console.error('Error en POST /api/users:', error);
+        const status = error.code === '23505' || error.message.startsWith('Roles no válidos') ? 400 : 500;
+        res.status(status).json({ success: false, message: error.code === '23505' ? `El usuario "${username}" ya existe.` : error.message });
+    }
+});
+
+// Actualiza roles, estado o contraseña. Desactivar un usuario o cambiar su clave cierra sus sesiones abiertas.
+app.patch('/api/users/:id', requirePermission('users:admin'), async (req, res) => {
+    const { roles, active, password, displayName } = req.body;
+    if (roles !== undefined && (!Array.isArray(roles) || roles.some(r => !VALID_ROLES.includes(r)))) {
+        return res.status(400).json({ success: false, message: `Roles no válidos. Usar: ${VALID_ROLES.join(', ')}.` });
+    }
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await client.query(
+            `UPDATE users SET
+                roles = COALESCE($2, roles),
+                active = COALESCE($3, active),
+                password_hash = COALESCE($4, password_hash),
+                display_name = COALESCE($5, display_name)
+             WHERE id = $1 RETURNING *`,
+            [req.params.id, roles ?? null, active ?? null, password ? await hashPassword(password) : null, displayName ?? null]
+        );
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado.' });
+        }
+        if (active === false || password) {
+            await client.query('DELETE FROM user_sessions WHERE user_id = $1', [req.params.id]);
+        }
+        await client.query('COMMIT');
+        res.json({ success: true, user: toPublicUser(result.rows[0]) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error en PATCH /api/users/:id:', error);
+        res.status(500).json({ success: false, message: 'No se pudo actualizar el usuario.' });
+    } finally {
+        client.release();
+    }
+});
+
+// Endpoints obsoletos: las contraseñas compartidas de app_config fueron reemplazadas por cuentas con roles.
+app.post(['/api/verify-feature-password', '/api/verify-price-password'], (req, res) => {
+    console.warn(`ADVERTENCIA: Se ha llamado al endpoint obsoleto ${req.path}.`);
+    res.status(410).json({ success: false, message: 'Endpoint obsoleto. Usar /api/auth/login.' });
+});
+
 
 // =================================================================
 // === ENDPOINTS DE ESTADO (Loads, Priorities - Sin cambios) ===
 // =================================================================
-app.post('/api/loads', async (req, res) => {
-  const { updates } = req.body;
+// Body: { facilityId, updates: [{ orderId, load }], baseVersions: { loads: { [facilityId]: n } } }. Las órdenes quedan en
+// la planta indicada (sin facilityId, la planta por defecto).
+app.post('/api/loads', requirePermission('loads:write'), async (req, res) => {
+  const { updates, baseVersions } = req.body;
   if (!updates || !Array.isArray(updates)) { return res.status(400).json({ error: 'El cuerpo de la petición debe contener un array de "updates".' }); }
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
+    const facilityId = resolveFacility(await readRouting(client), req.body.facilityId);
+    await checkVersions(client, baseVersions, { loads: facilityId });
+    await checkLoadNames(client, facilityId, [...new Set(updates.map(u => u.load).filter(Boolean))]);
+    const orderIds = updates.map(u => u.orderId);
+    const before = await captureSnapshot(client, { loads: orderIds });
     for (const { orderId, load } of updates) {
         if (load) {
-            await client.query(`INSERT INTO loads (order_id, load_name) VALUES ($1, $2) ON CONFLICT (order_id) DO UPDATE SET load_name = $2, last_updated_at = CURRENT_TIMESTAMP;`, [orderId, load]);
+            await client.query(`INSERT INTO loads (order_id, load_name, facility_id) VALUES ($1, $2, $3) ON CONFLICT (order_id) DO UPDATE SET load_name = $2, facility_id = $3, last_updated_at = CURRENT_TIMESTAMP;`, [orderId, load, facilityId]);
         } else {
             await client.query('DELETE FROM loads WHERE order_id = $1', [orderId]);
         }
     }
+    await syncShippingLoads(client, req.user);
+    const newLoads = [...new Set(updates.map(u => u.load).filter(Boolean))];
+    await recordAudit(client, {
+        user: req.user, action: 'load_assignment',
+        summary: newLoads.length ? `Asigna load ${newLoads.join(', ')} a ${updates.length} órdenes` : `Quita el load de ${updates.length} órdenes`,
+        orderIds, before, after: await captureSnapshot(client, { loads: orderIds })
+    });
+    const { loads: versions } = await readVersions(client);
     await client.query('COMMIT');
-    res.status(200).json({ success: true, message: `${updates.length} loads actualizados.` });
-  } catch (error) { await client.query('ROLLBACK'); console.error('Error en POST /api/loads:', error); res.status(500).json({ error: 'No se pudo guardar el lote de loads.' });
+    res.status(200).json({ success: true, versions: { loads: versions }, message: `${updates.length} loads actualizados.` });
+    broadcast('loads', {
+        loads: updates.reduce((acc, { orderId, load }) => { acc[orderId] = load || null; return acc; }, {}),
+        loadFacilities: Object.fromEntries(updates.filter(u => u.load).map(u => [u.load, facilityId])),
+        versions: { loads: versions }
+    });
+  } catch (error) { await client.query('ROLLBACK'); if (error.stale) return sendVersionConflict(res, error); if (error.status) return res.status(error.status).json({ success: false, message: error.message }); console.error('Error en POST /api/loads:', error); res.status(500).json({ error: 'No se pudo guardar el lote de loads.' });
   } finally { client.release(); }
 });
 
-app.post('/api/priorities', async (req, res) => {
-    const newPriorities = req.body;
-    if (typeof newPriorities !== 'object' || newPriorities === null) { return res.status(400).json({ error: 'El cuerpo de la petición debe ser un objeto.' }); }
+// Armador de loads: cada load activo con su camión, estado, pallets de sus órdenes y advertencias
+// (capacidad excedida, recibidores mezclados). Filtro: facility (sin indicarlo, todas las plantas).
+app.get('/api/loads', requirePermission('board:read'), async (req, res) => {
+    try {
+        const snapshot = await orderSnapshots.get();
+        res.json({ success: true, data: await readLoadBuilder(pool, snapshot.orders, { facilityId: req.query.facility || null }) });
+    } catch (error) {
+        console.error('Error en GET /api/loads:', error);
+        res.status(500).json({ success: false, error: 'No se pudo obtener el armado de loads.' });
+    }
+});
+
+// Loads ya despachados con su historial de carga. Filtros: loadName, facility, limit.
+app.get('/api/loads/history', requirePermission('board:read'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await listLoadHistory(pool, { loadName: req.query.loadName, facilityId: req.query.facility, limit: req.query.limit }) });
+    } catch (error) {
+        console.error('Error en GET /api/loads/history:', error);
+        res.status(500).json({ success: false, error: 'No se pudo obtener el historial de loads.' });
+    }
+});
+
+// Cambios sobre un load activo: datos del camión (PATCH) o estado (POST .../status).
+const updateShippingLoad = (label, apply) => async (req, res) => {
     const client = await pool.connect();
+    let load;
     try {
         await client.query('BEGIN');
-        await client.query('TRUNCATE TABLE load_priorities');
-        for (const [loadName, priorityOrder] of Object.entries(newPriorities)) { await client.query('INSERT INTO load_priorities (load_name, priority_order) VALUES ($1, $2)', [loadName, priorityOrder]); }
+        load = await apply(client, req);
         await client.query('COMMIT');
-        res.status(200).json({ success: true, message: 'Prioridades actualizadas.' });
-    } catch (error) { await client.query('ROLLBACK'); console.error('Error en POST /api/priorities:', error); res.status(500).json({ error: 'No se pudieron guardar las prioridades.' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error(`Error en ${label}:`, error);
+        return res.status(500).json({ success: false, message: 'No se pudo actualizar el load.' });
+    } finally {
+        client.release();
+    }
+    // El cambio ya está confirmado: si no se pueden sumar las órdenes del load, se responde con el load tal como quedó.
+    try {
+        const [builderLoad] = (await readLoadBuilder(pool, (await orderSnapshots.get()).orders)).filter(l => l.loadName === load.loadName);
+        load = builderLoad ?? load;
+    } catch (error) {
+        console.error(`No se pudo completar el load en ${label}:`, error.message);
+    }
+    res.json({ success: true, load });
+    broadcast('shippingLoads', { load });
+};
+
+app.patch('/api/loads/:loadName', requirePermission('loads:write'),
+    updateShippingLoad('PATCH /api/loads/:loadName', (client, req) => updateLoadDetails(client, req.params.loadName, req.body, req.user)));
+
+app.post('/api/loads/:loadName/status', requirePermission('loads:write'),
+    updateShippingLoad('POST /api/loads/:loadName/status', (client, req) => changeLoadStatus(client, req.params.loadName, req.body, req.user)));
+
+app.post('/api/priorities', requirePermission('priorities:write'), async (req, res) => {
+    // Body: { facilityId, priorities: { [loadName]: orden }, baseVersions: { priorities: { [facilityId]: n } } }.
+    // Reemplaza las prioridades de esa planta (sin facilityId, la planta por defecto); las de las demás no cambian.
+    const { priorities: newPriorities, baseVersions } = req.body;
+    if (typeof newPriorities !== 'object' || newPriorities === null || Array.isArray(newPriorities)) { return res.status(400).json({ error: 'El cuerpo de la petición debe contener un objeto "priorities".' }); }
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const facilityId = resolveFacility(await readRouting(client), req.body.facilityId);
+        await checkVersions(client, baseVersions, { priorities: facilityId });
+        await checkLoadNames(client, facilityId, Object.keys(newPriorities));
+        const before = await captureSnapshot(client, { priorities: [facilityId] });
+        await client.query('DELETE FROM load_priorities WHERE facility_id = $1', [facilityId]);
+        for (const [loadName, priorityOrder] of Object.entries(newPriorities)) { await client.query('INSERT INTO load_priorities (load_name, priority_order, facility_id) VALUES ($1, $2, $3)', [loadName, priorityOrder, facilityId]); }
+        await recordAudit(client, { user: req.user, action: 'priority_rewrite', summary: `Reescribe las prioridades de loads de la planta ${facilityId}`, before, after: await captureSnapshot(client, { priorities: [facilityId] }) });
+        const versions = { [facilityId]: (await readVersions(client)).priorities[facilityId] ?? 0 };
+        await client.query('COMMIT');
+        res.status(200).json({ success: true, versions: { priorities: versions }, message: 'Prioridades actualizadas.' });
+        broadcast('priorities', { facilityId, priorities: newPriorities, versions: { priorities: versions } });
+    } catch (error) { await client.query('ROLLBACK'); if (error.stale) return sendVersionConflict(res, error); if (error.status) return res.status(error.status).json({ success: false, message: error.message }); console.error('Error en POST /api/priorities:', error); res.status(500).json({ error: 'No se pudieron guardar las prioridades.' });
     } finally { client.release(); }
 });
 
 // =================================================================
-// === ENDPOINT DE RECONCILIACIÓN (LÓGICA ACTUALIZADA) ===
+// === RECONCILIACIÓN ===
+// =================================================================
+// La reconciliación corre en segundo plano (ver startServer). Este endpoint permite forzar una ejecución inmediata.
+app.post('/api/reconcile', requirePermission('queue:write'), async (req, res) => {
+    try {
+        const result = await reconciler.run({ trigger: 'manual', user: req.user });
+        if (result.status === 'skipped') {
+            return res.status(409).json({ success: false, message: 'Otra instancia está reconciliando en este momento; intente nuevamente.' });
+        }
+        res.status(200).json({ success: true, run: result.run, state: result.state });
+    } catch (error) {
+        console.error('Error durante la reconciliación:', error);
+        res.status(500).json({ success: false, error: 'No se pudo completar la reconciliación.' });
+    }
+});
+
+// Historial de reconciliaciones. Filtros: status (ok | error), limit.
+app.get('/api/reconcile/runs', requirePermission('board:read'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await listReconcileRuns(pool, req.query) });
+    } catch (error) {
+        console.error('Error en GET /api/reconcile/runs:', error);
+        res.status(500).json({ success: false, error: 'No se pudo obtener el historial de reconciliaciones.' });
+    }
+});
+
+// =================================================================
+// === ALERTAS ===
 // =================================================================
-const getPackingStatus = (order, state) => {
-    if ((parseFloat(order.cantidad_despachada) || 0) > 0) return 'shipped';
-    const req = parseFloat(order.cantidad_solicitada) || 0;
-    if (req > 0) {
-        const ass = parseFloat(order.cantidad_asignada) || 0;
-        const cxp = parseFloat(order.cajas_por_pallet) || 1;
-        if (ass / cxp >= req / cxp) return 'done';
+// Alertas abiertas (status=all incluye las resueltas). Se recalculan en cada reconciliación.
+app.get('/api/alerts', requirePermission('board:read'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await listAlerts(pool, req.query) });
+    } catch (error) {
+        console.error('Error en GET /api/alerts:', error);
+        res.status(500).json({ success: false, error: 'No se pudieron obtener las alertas.' });
     }
+});
 
-    if (state.isBeingPackedSet.has(`${order.id_marketer_order}-${order.codigo_producto}`)) {
-        return 'being_packed';
+app.post('/api/alerts/:alertId/acknowledge', requirePermission('alerts:acknowledge'), async (req, res) => {
+    try {
+        const alert = await acknowledgeAlert(pool, req.params.alertId, req.user);
+        res.json({ success: true, alert });
+        broadcast('alerts', { acknowledged: [Number(alert.id)] });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Error en POST /api/alerts/:alertId/acknowledge:', error);
+        res.status(500).json({ success: false, message: 'No se pudo acusar recibo de la alerta.' });
+    }
+});
+
+// Configuración de reglas y canales (webhook o correo).
+const alertAdmin = (label, handler) => async (req, res) => {
+    try {
+        await handler(req, res);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error(`Error en ${label}:`, error);
+        res.status(500).json({ success: false, message: 'No se pudo actualizar la configuración de alertas.' });
     }
-    if ((parseFloat(order.cantidad_asignada) || 0) > 0) return 'partially';
-    return 'pending';
 };
 
-app.post('/api/reconcile', async (req, res) => {
-    console.log(`Iniciando reconciliación...`);
-    const client = await pool.connect();
+app.get('/api/alert-rules', requirePermission('board:read'), alertAdmin('GET /api/alert-rules', async (req, res) => {
+    res.json({ success: true, data: await readAlertRules(pool) });
+}));
+
+// body: { enabled?, params? }
+app.put('/api/alert-rules/:rule', requirePermission('alerts:admin'), alertAdmin('PUT /api/alert-rules/:rule', async (req, res) => {
+    res.json({ success: true, rule: await updateAlertRule(pool, req.params.rule, req.body, req.user) });
+}));
+
+app.get('/api/alert-channels', requirePermission('alerts:admin'), alertAdmin('GET /api/alert-channels', async (req, res) => {
+    res.json({ success: true, data: await listAlertChannels(pool) });
+}));
+
+// body: { type: webhook | email, target, rules? (null = todas) }
+app.post('/api/alert-channels', requirePermission('alerts:admin'), alertAdmin('POST /api/alert-channels', async (req, res) => {
+    res.status(201).json({ success: true, channel: await createAlertChannel(pool, req.body, req.user) });
+}));
+
+app.delete('/api/alert-channels/:channelId', requirePermission('alerts:admin'), alertAdmin('DELETE /api/alert-channels/:channelId', async (req, res) => {
+    await deleteAlertChannel(pool, req.params.channelId);
+    res.json({ success: true, message: `Canal ${req.params.channelId} eliminado.` });
+}));
+
+// Envía una notificación de prueba al canal, para verificar la URL o el correo.
+app.post('/api/alert-channels/:channelId/test', requirePermission('alerts:admin'), alertAdmin('POST /api/alert-channels/:channelId/test', async (req, res) => {
+    const channel = (await listAlertChannels(pool)).find(c => String(c.id) === req.params.channelId);
+    if (!channel) return res.status(404).json({ success: false, message: `No existe el canal ${req.params.channelId}.` });
+    const result = await alertEngine.testChannel(channel);
+    res.status(result.success ? 200 : 502).json(result.success ? { success: true, message: 'Notificación de prueba enviada.' } : { success: false, message: result.error });
+}));
+
+// =================================================================
+// === INDICADORES (KPI) ===
+// =================================================================
+// GET /api/kpis/:kpi (on-time | fill-rate | outfeed-shifts | paused-time | queue-wait | snapshots)
+//   from, to: días YYYY-MM-DD (por defecto los últimos 7).  marketer: on-time y fill-rate.  outfeedId: indicadores de outfeed.
+app.get('/api/kpis/:kpi', requirePermission('board:read'), async (req, res) => {
+    const reader = KPI_READERS[req.params.kpi];
+    if (!reader) {
+        return res.status(404).json({ success: false, message: `No existe el indicador "${req.params.kpi}". Usar: ${Object.keys(KPI_READERS).join(', ')}.` });
+    }
     try {
-        await client.query('BEGIN');
+        const range = parseKpiRange(req.query);
+        res.json({ success: true, from: range.from, to: range.to, data: await reader(pool, range) });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error(`Error en GET /api/kpis/${req.params.kpi}:`, error);
+        res.status(500).json({ success: false, error: 'No se pudo calcular el indicador.' });
+    }
+});
 
-        // 1. OBTENER DATOS DE LA API Y DE LA BD
-        const apiOrdersResponse = await fetch(URL_API_ORDENES);
-        if (!apiOrdersResponse.ok) throw new Error('La API de órdenes falló.');
-        const apiData = await apiOrdersResponse.json();
-        if (!apiData || !apiData[0] || !Array.isArray(apiData[0].data)) throw new Error('Formato de API de órdenes inesperado.');
-        const allApiOrders = apiData[0].data;
-
-        const [dbLoads, dbPriorities, dbQueue, dbOutfeedStatus] = await Promise.all([
-            client.query('SELECT order_id, load_name FROM loads'),
-            client.query('SELECT load_name, priority_order FROM load_priorities'),
-            client.query('SELECT outfeed_id, tag, order_id, standard_id, sequence FROM outfeed_queue'),
-            client.query('SELECT outfeed_id, status FROM outfeed_status')
+// GET /api/kpis/export/:format (xlsx | pdf): todos los indicadores del rango en un reporte para la revisión semanal.
+app.get('/api/kpis/export/:format', requirePermission('board:read'), async (req, res) => {
+    const format = EXPORT_FORMATS[req.params.format];
+    if (!format || req.params.format === 'csv') {
+        return res.status(400).json({ success: false, message: `Formato no soportado: "${req.params.format}". Usar xlsx o pdf.` });
+    }
+    try {
+        const range = parseKpiRange(req.query);
+        const [onTime, fillRate, outfeedShifts, pausedTime, downtime, queueWait] = await Promise.all([
+            readOnTimeShipRate(pool, range), readFillRate(pool, range), readOutfeedShifts(pool, range), readPausedTime(pool, range),
+            readDowntime(pool, range), readQueueWait(pool, range)
         ]);
-        
-        // --- INICIO LÓGICA DE AVANCE DE COLA ---
-        
-        const isBeingPackedSet = new Set();
-        dbQueue.rows.filter(r => r.sequence === 1).forEach(r => {
-             // Una línea solo está "siendo empacada" si su outfeed está en RUNNING
-            const outfeedStatus = dbOutfeedStatus.rows.find(s => s.outfeed_id === r.outfeed_id)?.status;
-            if (outfeedStatus === 'RUNNING') {
-                isBeingPackedSet.add(`${r.order_id}-${r.standard_id}`);
-            }
-        });
+        const tables = buildKpiTables({ onTime, fillRate, outfeedShifts, pausedTime, downtime, queueWait });
+        const period = `${range.from} to ${range.to}${range.marketer ? ` - ${range.marketer}` : ''}`;
+        const body = req.params.format === 'xlsx' ? await toXlsx(tables) : await toPdf(tables, { subtitle: `KPIs: ${period}` });
+        res.set({ 'Content-Type': format.contentType, 'Content-Disposition': `attachment; filename="packing-kpis-${range.from}-${range.to}.${format.extension}"` });
+        res.send(body);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Error en GET /api/kpis/export:', error);
+        res.status(500).json({ success: false, error: 'No se pudo generar el reporte de indicadores.' });
+    }
+});
 
-        const tempStateForStatus = { isBeingPackedSet };
-        const ordersWithStatus = allApiOrders.map(order => ({ ...order, packing_status: getPackingStatus(order, tempStateForStatus) }));
-        
-        const doneTagsToDelete = new Set();
-        const outfeedsToPromote = new Map(); 
-
-        for (const item of dbQueue.rows) {
-            if (item.sequence === 1) {
-                const order = ordersWithStatus.find(o => o.id_marketer_order == item.order_id && o.codigo_producto == item.standard_id);
-                if (order && (order.packing_status === 'done' || order.packing_status === 'shipped')) {
-                    doneTagsToDelete.add(item.tag);
-                    const outfeedStatusRow = dbOutfeedStatus.rows.find(s => s.outfeed_id === item.outfeed_id);
-                    const status = outfeedStatusRow ? outfeedStatusRow.status : 'PAUSED';
-                    outfeedsToPromote.set(item.outfeed_id, status);
-                }
-            }
-        }
-        
-        if (doneTagsToDelete.size > 0) {
-            console.log("Tags a eliminar por estar 'Done':", Array.from(doneTagsToDelete));
-            await client.query('DELETE FROM outfeed_queue WHERE tag = ANY($1::text[])', [Array.from(doneTagsToDelete)]);
-            
-            for (const [outfeedId, status] of outfeedsToPromote.entries()) {
-                const items = await client.query('SELECT id FROM outfeed_queue WHERE outfeed_id = $1 ORDER BY sequence', [outfeedId]);
-                for (let i = 0; i < items.rows.length; i++) {
-                    await client.query('UPDATE outfeed_queue SET sequence = $1 WHERE id = $2', [i + 1, items.rows[i].id]);
-                }
-                console.log(`Outfeed ${outfeedId} (estado: ${status}) ha sido limpiado y re-secuenciado.`);
-            }
-        }
-        
-        // --- FIN LÓGICA DE AVANCE DE COLA ---
-
-        // 2. AGRUPAR POR LOAD Y DETERMINAR QUÉ LIBERAR
-        const loadsGrouped = {};
-        const stateForReconcile = { loads: dbLoads.rows.reduce((acc, row) => { acc[row.order_id] = row.load_name; return acc; }, {}) };
-        for (const order of ordersWithStatus) {
-            const loadName = stateForReconcile.loads[order.id_marketer_order];
-            if (loadName) {
-                if (!loadsGrouped[loadName]) loadsGrouped[loadName] = [];
-                loadsGrouped[loadName].push(order);
-            }
+// =================================================================
+// === API EXTERNA DE MARKETERS ===
+// =================================================================
+// Solo lectura, autenticada con la clave de API de cada marketer (ver lib/marketer-api.js); descrita en
+// /api/external/v1/openapi.json. El portal /portal la usa con la misma clave.
+const readMarketerOrders = async (marketer) => {
+    // El detalle del origen de órdenes es interno: el marketer solo sabe que debe reintentar más tarde.
+    const snapshot = await orderSnapshots.get().catch(error => {
+        console.warn(`API de marketers sin órdenes disponibles: ${error.message}`);
+        throw Object.assign(new Error('Las órdenes no están disponibles en este momento; intente más tarde.'), { status: 503 });
+    });
+    const [state, activeLoads] = await Promise.all([readPlanningState(pool), readActiveLoads(pool)]);
+    const etas = await computeBoardEtas(state, snapshot.orders);
+    return { snapshot, lines: buildMarketerOrders(snapshot.orders, { marketer, planningState: state, etas, activeLoads }) };
+};
+
+const sendMarketerOrders = (res, { snapshot, lines }) => res.json({
+    success: true,
+    generatedAt: new Date().toISOString(),
+    ordersFetchedAt: snapshot.fetchedAt,
+    ordersStale: snapshot.stale,
+    data: lines
+});
+
+app.get('/api/external/v1/openapi.json', (req, res) => {
+    res.json(buildOpenApiDocument({ serverUrl: `${req.protocol}://${req.get('host')}` }));
+});
+
+app.get('/api/external/v1/marketer', requireApiKey(pool), (req, res) => {
+    res.json({ success: true, data: { name: req.marketer.name, logoUrl: req.marketer.logoFilename ? `/logos/${encodeURIComponent(req.marketer.logoFilename)}` : null } });
+});
+
+// Filtros: status (open | all, por defecto open), orderNumber.
+app.get('/api/external/v1/orders', requireApiKey(pool), async (req, res) => {
+    const status = req.query.status || 'open';
+    if (!['open', 'all'].includes(status)) {
+        return res.status(400).json({ success: false, message: 'status debe ser "open" o "all".' });
+    }
+    try {
+        const result = await readMarketerOrders(req.marketer.name);
+        const lines = result.lines
+            .filter(line => status === 'all' || line.commercialStatus === 'open')
+            .filter(line => !req.query.orderNumber || String(line.orderNumber) === String(req.query.orderNumber));
+        sendMarketerOrders(res, { ...result, lines });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Error en GET /api/external/v1/orders:', error);
+        res.status(500).json({ success: false, message: 'No se pudieron obtener las órdenes.' });
+    }
+});
+
+// Todas las líneas de una orden, abiertas o cerradas. Una orden de otro marketer responde 404, igual que una inexistente.
+app.get('/api/external/v1/orders/:orderNumber', requireApiKey(pool), async (req, res) => {
+    try {
+        const result = await readMarketerOrders(req.marketer.name);
+        const lines = result.lines.filter(line => String(line.orderNumber) === req.params.orderNumber);
+        if (lines.length === 0) {
+            return res.status(404).json({ success: false, message: `No existe la orden ${req.params.orderNumber}.` });
         }
+        sendMarketerOrders(res, { ...result, lines });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Error en GET /api/external/v1/orders/:orderNumber:', error);
+        res.status(500).json({ success: false, message: 'No se pudo obtener la orden.' });
+    }
+});
 
-        const loadsToReleasePriority = new Set();
-        const loadsToReleaseLetter = new Set();
-        for (const loadName in loadsGrouped) {
-            const ordersInLoad = loadsGrouped[loadName];
-            const isLoadFullyDone = ordersInLoad.every(o => o.packing_status === 'done' || o.packing_status === 'shipped');
-            const isLoadShippedOrClosed = ordersInLoad.some(o => o.packing_status === 'shipped' || o.estado_marketer_order === 'cerrada');
-
-            if (isLoadShippedOrClosed) {
-                loadsToReleaseLetter.add(loadName);
-            } else if (isLoadFullyDone) {
-                loadsToReleasePriority.add(loadName);
-            }
+// Administración de claves. Filtro: marketer.
+app.get('/api/marketer-api-keys', requirePermission('users:admin'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await listApiKeys(pool, { marketer: req.query.marketer }) });
+    } catch (error) {
+        console.error('Error en GET /api/marketer-api-keys:', error);
+        res.status(500).json({ success: false, error: 'No se pudieron obtener las claves de API.' });
+    }
+});
+
+// Body: { marketer, label }. La respuesta trae la clave en claro (apiKey); después solo se ve su prefijo.
+app.post('/api/marketer-api-keys', requirePermission('users:admin'), async (req, res) => {
+    try {
+        const key = await createApiKey(pool, req.body, req.user);
+        res.status(201).json({ success: true, data: key, message: `Clave de API creada para ${key.marketer}. Guárdela ahora: no se volverá a mostrar.` });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Error en POST /api/marketer-api-keys:', error);
+        res.status(500).json({ success: false, message: 'No se pudo crear la clave de API.' });
+    }
+});
+
+app.delete('/api/marketer-api-keys/:id', requirePermission('users:admin'), async (req, res) => {
+    const keyId = parseInt(req.params.id, 10);
+    if (Number.isNaN(keyId)) {
+        return res.status(400).json({ success: false, message: 'El id de la clave debe ser un entero.' });
+    }
+    try {
+        const key = await revokeApiKey(pool, keyId, req.user);
+        res.json({ success: true, data: key, message: `Clave ${key.keyPrefix}… de ${key.marketer} revocada.` });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Error en DELETE /api/marketer-api-keys/:id:', error);
+        res.status(500).json({ success: false, message: 'No se pudo revocar la clave de API.' });
+    }
+});
+
+// =================================================================
+// === EXPORTACIÓN DE REPORTES ===
+// =================================================================
+// GET /api/export/:format (csv | xlsx | pdf)
+//   timeframe: mismo valor que el filtro de período del tablero (today_past, 2025-W12, all_time, ...). Por defecto today_past.
+//   sections:  orders, queues o ambas separadas por coma. CSV admite una sola sección (por defecto orders).
+//   columns:   columnas opcionales (price, receiver, address); price se incluye solo si el rol del usuario tiene price:read.
+//   facility:  solo las órdenes y colas de esa planta. Por defecto todas.
+app.get('/api/export/:format', requirePermission('board:read'), async (req, res) => {
+    const format = EXPORT_FORMATS[req.params.format];
+    if (!format) {
+        return res.status(400).json({ success: false, message: `Formato no soportado: "${req.params.format}". Usar csv, xlsx o pdf.` });
+    }
+    const timeframe = req.query.timeframe || 'today_past';
+    if (!isValidTimeframe(timeframe)) {
+        return res.status(400).json({ success: false, message: `Período no válido: "${timeframe}".` });
+    }
+    const sections = String(req.query.sections || (req.params.format === 'csv' ? 'orders' : 'orders,queues')).split(',').map(s => s.trim()).filter(Boolean);
+    if (sections.length === 0 || sections.some(s => !['orders', 'queues'].includes(s))) {
+        return res.status(400).json({ success: false, message: 'sections debe ser "orders", "queues" o ambas.' });
+    }
+    if (req.params.format === 'csv' && sections.length > 1) {
+        return res.status(400).json({ success: false, message: 'Un CSV contiene una sola sección; pedir orders y queues por separado.' });
+    }
+    const optionalColumns = String(req.query.columns || '').split(',').map(c => c.trim())
+        .filter(c => EXPORT_COLUMN_PERMISSIONS[c] && hasPermission(req.user, EXPORT_COLUMN_PERMISSIONS[c]));
+
+    try {
+        const [snapshot, fullState, routing] = await Promise.all([orderSnapshots.get(), readPlanningState(pool), readRouting(pool)]);
+        let orders = snapshot.orders;
+        let state = fullState;
+        if (req.query.facility) {
+            const facility = routing.facilities.find(f => f.id === resolveFacility(routing, req.query.facility));
+            orders = ordersOfFacility(orders, routing, facility.id);
+            state = { ...fullState, queues: Object.fromEntries(Object.entries(fullState.queues).filter(([outfeedId]) => facility.outfeedIds.includes(Number(outfeedId)))) };
         }
+        const tables = [];
+        if (sections.includes('orders')) tables.push(buildOrderTable(orders, state, { timeframe, optionalColumns }));
+        if (sections.includes('queues')) tables.push(buildQueueTable(orders, state, await computeBoardEtas(state, orders)));
+
+        const facilitySuffix = req.query.facility ? `-${req.query.facility}` : '';
+        const filename = `packing-schedule${facilitySuffix}-${timeframe}-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+        const body = req.params.format === 'csv' ? toCsv(tables[0])
+            : req.params.format === 'xlsx' ? await toXlsx(tables)
+            : await toPdf(tables, { subtitle: `Period: ${timeframe}${snapshot.stale ? ` (cached orders from ${snapshot.fetchedAt})` : ''}` });
+
+        res.set({ 'Content-Type': format.contentType, 'Content-Disposition': `attachment; filename="${filename}"` });
+        res.send(body);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+        console.error('Error en GET /api/export:', error);
+        res.status(500).json({ success: false, message: 'No se pudo generar el reporte.' });
+    }
+});
+
+// =================================================================
+// === ETIQUETAS DE PALLETS ===
+// =================================================================
+// Historial de impresiones (para reimprimir). Filtros: tag, orderId, limit.
+app.get('/api/labels/history', requirePermission('board:read'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await listLabelPrints(pool, req.query) });
+    } catch (error) {
+        console.error('Error en GET /api/labels/history:', error);
+        res.status(500).json({ success: false, error: 'No se pudo obtener el historial de etiquetas.' });
+    }
+});
 
-        // 3. CALCULAR EL ESTADO FINAL DE PRIORIDADES
-        const currentPriorities = dbPriorities.rows.reduce((acc, row) => { acc[row.load_name] = row.priority_order; return acc; }, {});
-        const finalPriorities = Object.entries(currentPriorities)
-            .filter(([loadName]) => !loadsToReleaseLetter.has(loadName) && !loadsToReleasePriority.has(loadName))
-            .sort(([, prioA], [, prioB]) => prioA - prioB)
-            .reduce((acc, [loadName], index) => {
-                acc[loadName] = index + 1;
-                return acc;
-            }, {});
-        
-        // 4. EJECUTAR ESCRITURAS EN LA BASE DE DATOS
-        await client.query('TRUNCATE TABLE load_priorities');
-        if (Object.keys(finalPriorities).length > 0) {
-            const priorityInserts = Object.entries(finalPriorities).map(([loadName, priorityOrder]) => {
-                return client.query('INSERT INTO load_priorities (load_name, priority_order) VALUES ($1, $2)', [loadName, priorityOrder]);
-            });
-            await Promise.all(priorityInserts);
+// GET /api/labels/:format (pdf | zpl). Un solo alcance por pedido:
+//   outfeedId: toda la cola del outfeed, en su orden.   load: todos los tags del load.
+//   tags:      tags separados por coma.                  printIds: reimprime impresiones anteriores tal como salieron.
+app.get('/api/labels/:format', requirePermission('board:read'), async (req, res) => {
+    const format = LABEL_FORMATS[req.params.format];
+    if (!format) {
+        return res.status(400).json({ success: false, message: `Formato no soportado: "${req.params.format}". Usar pdf o zpl.` });
+    }
+    const scopes = ['outfeedId', 'load', 'tags', 'printIds'].filter(key => req.query[key]);
+    if (scopes.length !== 1) {
+        return res.status(400).json({ success: false, message: 'Indicar uno (y solo uno) de: outfeedId, load, tags o printIds.' });
+    }
+    const list = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+    const outfeedId = req.query.outfeedId ? parseInt(req.query.outfeedId, 10) : undefined;
+    const printIds = req.query.printIds ? list(req.query.printIds).map(Number) : null;
+    if (Number.isNaN(outfeedId) || printIds?.some(id => !Number.isInteger(id))) {
+        return res.status(400).json({ success: false, message: 'outfeedId y printIds deben ser números.' });
+    }
+
+    try {
+        let labels, reprintOf = [];
+        if (printIds) {
+            const printed = await readPrintedLabels(pool, printIds);
+            labels = printed.map(p => p.label);
+            reprintOf = printed.map(p => p.printId);
+        } else {
+            const items = await findLabelTags(pool, { outfeedId, load: req.query.load, tags: req.query.tags ? list(req.query.tags) : undefined });
+            const [snapshot, state, logosRes] = await Promise.all([
+                items.length > 0 ? orderSnapshots.get() : { orders: [] },
+                readPlanningState(pool),
+                pool.query('SELECT marketer_name, logo_filename FROM marketer_logos')
+            ]);
+            const logos = Object.fromEntries(logosRes.rows.map(row => [row.marketer_name, row.logo_filename]));
+            labels = buildLabels(items, { orders: snapshot.orders, loads: state.loads, logos });
         }
-        
-        if (loadsToReleaseLetter.size > 0) {
-            await client.query('DELETE FROM loads WHERE load_name = ANY($1::text[])', [Array.from(loadsToReleaseLetter)]);
+        if (labels.length === 0) {
+            return res.status(404).json({ success: false, message: 'No hay tags planificados para imprimir con ese criterio.' });
         }
-        
-        // 5. CONSTRUIR LA RESPUESTA FINAL RE-LEYENDO EL ESTADO ACTUALIZADO
-        const finalLoadsResult = await client.query('SELECT order_id, load_name FROM loads');
-        const finalQueueResult = await client.query('SELECT outfeed_id, tag, order_id, standard_id, sequence FROM outfeed_queue ORDER BY outfeed_id, sequence');
-        const finalStatusResult = await client.query('SELECT outfeed_id, status FROM outfeed_status');
-
-        const finalState = {
-            loads: finalLoadsResult.rows.reduce((acc, row) => { acc[row.order_id] = row.load_name; return acc; }, {}),
-            priorities: finalPriorities,
-            queues: finalQueueResult.rows.reduce((acc, row) => {
-                const key = row.outfeed_id;
-                if (!acc[key]) acc[key] = [];
-                acc[key].push({ tag: row.tag, order_id: row.order_id, standard_id: row.standard_id });
-                return acc;
-            }, {}),
-            statuses: finalStatusResult.rows.reduce((acc, row) => { acc[row.outfeed_id] = row.status; return acc; }, {})
-        };
-        
-        await client.query('COMMIT');
-        
-        console.log("Reconciliación completada.");
-        res.status(200).json({ success: true, state: finalState });
 
+        const body = req.params.format === 'pdf' ? await toLabelPdf(labels, { logosDir: path.join(__dirname, 'logos') }) : toLabelZpl(labels);
+        await recordLabelPrints(pool, { user: req.user, format: req.params.format, scope: printIds ? 'reprint' : scopes[0].replace('Id', ''), labels, reprintOf });
+
+        const name = printIds ? 'reprint' : `${scopes[0].replace('Id', '')}-${list(req.query[scopes[0]]).join('-')}`.replace(/[^\w-]/g, '_');
+        res.set({
+            'Content-Type': format.contentType,
+            'Content-Disposition': `${req.params.format === 'pdf' ? 'inline' : 'attachment'}; filename="labels-${name}.${format.extension}"`
+        });
+        res.send(body);
     } catch (error) {
-        if (client) await client.query('ROLLBACK');
-        console.error('Error durante la reconciliación:', error);
-        res.status(500).json({ success: false, error: 'No se pudo completar la reconciliación.' });
-    } finally {
-        if (client) client.release();
+        console.error('Error en GET /api/labels:', error);
+        res.status(500).json({ success: false, error: 'No se pudieron generar las etiquetas.' });
     }
 });
 
@@ -523,12 +1468,56 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// Kiosco de operador de un outfeed.
+app.get('/outfeed/:outfeedId', (req, res) => {
+    res.sendFile(path.join(__dirname, 'kiosk.html'));
+});
+
+// Tablero de indicadores para las revisiones semanales.
+app.get('/kpis', (req, res) => {
+    res.sendFile(path.join(__dirname, 'kpis.html'));
+});
+
+// Portal de solo lectura para marketers; se autentica con su clave de API, no con usuario del tablero.
+app.get('/portal', (req, res) => {
+    res.sendFile(path.join(__dirname, 'portal.html'));
+});
+
 // Endpoint obsoleto, ahora manejado por la nueva lógica.
 app.post('/api/outfeeds/assign', (req, res) => {
     console.warn("ADVERTENCIA: Se ha llamado al endpoint obsoleto /api/outfeeds/assign.");
     res.status(200).json({ success: true, message: "Endpoint obsoleto. Usar /api/plan-order." });
 });
 
-app.listen(PORT, () => {
-  console.log(`Servidor funcionando en http://localhost:${PORT}`);
+// Si la base no tiene usuarios, crea el administrador inicial definido en ADMIN_USERNAME / ADMIN_PASSWORD.
+const ensureInitialAdmin = async () => {
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    const countRes = await pool.query('SELECT COUNT(*)::int AS total FROM users');
+    if (countRes.rows[0].total > 0) return;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+        console.warn('ADVERTENCIA: No hay usuarios. Definir ADMIN_USERNAME y ADMIN_PASSWORD o usar `npm run user:create`.');
+        return;
+    }
+    await createUser(pool, { username: ADMIN_USERNAME, password: ADMIN_PASSWORD, displayName: 'Administrador', roles: ['admin'] });
+    console.log(`Usuario administrador inicial "${ADMIN_USERNAME}" creado.`);
+};
+
+const startServer = async () => {
+    if (AUTO_MIGRATE) {
+        await migrate();
+    }
+    await ensureInitialAdmin();
+    app.listen(PORT, () => {
+      console.log(`Servidor funcionando en http://localhost:${PORT}`);
+      console.log(`Origen de órdenes: ${orderSource.describe()}`);
+    });
+    if (RECONCILE_INTERVAL_SECONDS > 0) {
+        reconciler.start(RECONCILE_INTERVAL_SECONDS * 1000);
+        console.log(`Reconciliación programada cada ${RECONCILE_INTERVAL_SECONDS} s.`);
+    }
+};
+
+startServer().catch((error) => {
+    console.error('No se pudo iniciar el servidor:', error);
+    process.exit(1);
 });
\ No newline at end of file